@@ -10,9 +10,13 @@
  * - Supports multiple input formats (Canvas, Image, ImageData, URLs)
  * - Processes images through a pipeline: Load -> Resize -> Dither -> Quantize -> Export
  * - Integrates with p5.js and Q5.js for creative coding workflows
+ * - Doubles as its own Web Worker script, so pixelate({worker: true})
+ *   can render off the main thread
  * 
  * CONNECTIONS:
  * - Called by index.html's applyPixelation() function
+ * - Required by pixelate.js (Node batch CLI), which uses the headless
+ *   pixelateImageData() core on raw RGBA buffers decoded by sharp
  * - Fetches palettes from Lospec API when palette names are provided
  * - Returns canvas elements for display and export
  * 
@@ -37,8 +41,36 @@ const PixelationConstants = {
     DEFAULT_DITHER_STRENGTH: 10,
     /** Cache timeout for Lospec palette fetches in milliseconds */
     PALETTE_CACHE_TIMEOUT: 3600000, // 1 hour
+    /** Most Lospec palettes kept in the palette cache (least recently used go first) */
+    PALETTE_CACHE_SIZE: 64,
+    /** Where fetchPalette() loads Lospec palettes from: <base URL><slug>.json */
+    LOSPEC_PALETTE_URL: 'https://lospec.com/palette-list/',
+    /** Default color count for automatic palette extraction */
+    DEFAULT_AUTO_PALETTE_COLORS: 16,
+    /** Maximum color count for automatic palette extraction */
+    MAX_AUTO_PALETTE_COLORS: 256,
+    /** Images larger than this are downsampled before palette extraction */
+    PALETTE_SAMPLE_PIXELS: 65536,
+    /** Iteration cap for k-means palette refinement */
+    KMEANS_MAX_ITERATIONS: 16,
+    /** Minimum progress change (0-1) between worker progress messages */
+    WORKER_PROGRESS_STEP: 0.01,
+    /** Default alpha cutoff (0-255) for the 'threshold' and 'index' alpha modes */
+    DEFAULT_ALPHA_THRESHOLD: 128,
+    /** RGBA distance a pixel's source must move before sequence mode redraws it */
+    DEFAULT_TEMPORAL_THRESHOLD: 12,
+    /** Largest integer upscale factor for the `scale` option */
+    MAX_SCALE: 64,
 };
 
+/**
+ * URL of this script, used to start pixelation workers.
+ * Captured at load time because document.currentScript is only set then.
+ */
+const PIXELATE_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : null;
+
 /**
  * Dithering algorithm coefficients.
  * These control error diffusion in various dithering methods.
@@ -55,8 +87,456 @@ const DitheringCoefficients = {
     ATKINSON: {
         COEFFICIENT: 1/8
     },
+    /*
+     * Fixed error diffusion kernels as [dx, dy, weight] entries.
+     * dx is mirrored on right-to-left rows when scanning serpentine.
+     */
+    /** Jarvis-Judice-Ninke: wide 3-row kernel, smooth but soft */
+    JARVIS_JUDICE_NINKE: {
+        DIVISOR: 48,
+        WEIGHTS: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    /** Stucki: Jarvis-Judice-Ninke footprint with sharper weights */
+    STUCKI: {
+        DIVISOR: 42,
+        WEIGHTS: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    /** Burkes: the first two rows of Stucki, faster */
+    BURKES: {
+        DIVISOR: 32,
+        WEIGHTS: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    /** Sierra (Sierra-3): 3-row kernel close to Jarvis-Judice-Ninke */
+    SIERRA: {
+        DIVISOR: 32,
+        WEIGHTS: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    /** Two-row Sierra (Sierra-2) */
+    SIERRA_TWO_ROW: {
+        DIVISOR: 16,
+        WEIGHTS: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ]
+    },
+    /** Sierra Lite (Sierra-2-4A): tiny kernel, nearly as fast as Floyd-Steinberg */
+    SIERRA_LITE: {
+        DIVISOR: 4,
+        WEIGHTS: [
+            [1, 0, 2],
+            [-1, 1, 1], [0, 1, 1]
+        ]
+    },
+    /**
+     * Ostromoukhov variable coefficients, from "A Simple and Efficient
+     * Error-Diffusion Algorithm" (SIGGRAPH 2001). One [right, bottom-left,
+     * bottom, divisor] entry per input level 0-127; levels 128-255 mirror
+     * them (level 255 - v).
+     */
+    OSTROMOUKHOV: [
+            [13, 0, 5, 18], [13, 0, 5, 18], [21, 0, 10, 31], [7, 0, 4, 11],
+            [8, 0, 5, 13], [47, 3, 28, 78], [23, 3, 13, 39], [15, 3, 8, 26],
+            [22, 6, 11, 39], [43, 15, 20, 78], [7, 3, 3, 13], [501, 224, 211, 936],
+            [249, 116, 103, 468], [165, 80, 67, 312], [123, 62, 49, 234], [489, 256, 191, 936],
+            [81, 44, 31, 156], [483, 272, 181, 936], [60, 35, 22, 117], [53, 32, 19, 104],
+            [237, 148, 83, 468], [471, 304, 161, 936], [3, 2, 1, 6], [481, 314, 185, 980],
+            [354, 226, 155, 735], [1389, 866, 685, 2940], [227, 138, 125, 490], [267, 158, 163, 588],
+            [327, 188, 220, 735], [61, 34, 45, 140], [627, 338, 505, 1470], [1227, 638, 1075, 2940],
+            [20, 10, 19, 49], [1937, 1000, 1767, 4704], [977, 520, 855, 2352], [657, 360, 551, 1568],
+            [71, 40, 57, 168], [2005, 1160, 1539, 4704], [337, 200, 247, 784], [2039, 1240, 1425, 4704],
+            [257, 160, 171, 588], [691, 440, 437, 1568], [1045, 680, 627, 2352], [301, 200, 171, 672],
+            [177, 120, 95, 392], [2141, 1480, 1083, 4704], [1079, 760, 513, 2352], [725, 520, 323, 1568],
+            [137, 100, 57, 294], [2209, 1640, 855, 4704], [53, 40, 19, 112], [2243, 1720, 741, 4704],
+            [565, 440, 171, 1176], [759, 600, 209, 1568], [1147, 920, 285, 2352], [2311, 1880, 513, 4704],
+            [97, 80, 19, 196], [335, 280, 57, 672], [1181, 1000, 171, 2352], [793, 680, 95, 1568],
+            [599, 520, 57, 1176], [2413, 2120, 171, 4704], [405, 360, 19, 784], [2447, 2200, 57, 4704],
+            [11, 10, 0, 21], [158, 151, 3, 312], [178, 179, 7, 364], [1030, 1091, 63, 2184],
+            [248, 277, 21, 546], [318, 375, 35, 728], [458, 571, 63, 1092], [878, 1159, 147, 2184],
+            [5, 7, 1, 13], [172, 181, 37, 390], [97, 76, 22, 195], [72, 41, 17, 130],
+            [119, 47, 29, 195], [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6],
+            [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6], [4, 1, 1, 6],
+            [4, 1, 1, 6], [4, 1, 1, 6], [65, 18, 17, 100], [95, 29, 26, 150],
+            [185, 62, 53, 300], [30, 11, 9, 50], [35, 14, 11, 60], [85, 37, 28, 150],
+            [55, 26, 19, 100], [80, 41, 29, 150], [155, 86, 59, 300], [5, 3, 2, 10],
+            [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+            [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+            [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10], [5, 3, 2, 10],
+            [305, 176, 119, 600], [155, 86, 59, 300], [105, 56, 39, 200], [80, 41, 29, 150],
+            [65, 32, 23, 120], [55, 26, 19, 100], [335, 152, 113, 600], [85, 37, 28, 150],
+            [115, 48, 37, 200], [35, 14, 11, 60], [355, 136, 109, 600], [30, 11, 9, 50],
+            [365, 128, 107, 600], [185, 62, 53, 300], [25, 8, 7, 40], [95, 29, 26, 150],
+            [385, 112, 103, 600], [65, 18, 17, 100], [395, 104, 101, 600], [4, 1, 1, 6]
+    ],
     /** Threshold adjustment for ordered dithering */
-    ORDERED_THRESHOLD_CENTER: 127.5
+    ORDERED_THRESHOLD_CENTER: 127.5,
+    /** Largest generated Bayer matrix (power of two) */
+    MAX_BAYER_SIZE: 256,
+    /** Most palette picks in a pattern dithering mixing plan ('knoll'), one per threshold level */
+    MAX_PATTERN_CANDIDATES: 64,
+    /** Most cached pattern dithering plans; the cache is emptied when full, so noise can't grow it */
+    MAX_PATTERN_PLANS: 32768,
+    /** Bits per channel of the plan key for linear light (float) input */
+    PATTERN_FLOAT_KEY_BITS: 5,
+    /** Default blue-noise threshold map size */
+    DEFAULT_BLUE_NOISE_SIZE: 64,
+    /** Largest blue-noise map; void-and-cluster costs O(size^4) */
+    MAX_BLUE_NOISE_SIZE: 128,
+    /** Gaussian filter width for void-and-cluster energy (Ulichney recommends 1.5) */
+    BLUE_NOISE_SIGMA: 1.5
+};
+
+/**
+ * Tuning values for analyzeReference().
+ * These thresholds decide how screenshots are classified.
+ */
+const ReferenceAnalysisConstants = {
+    /** Luma step below which neighbouring pixels count as equal */
+    CHANGE_TOLERANCE: 8,
+    /** A luma step is an edge only if it is at least this fraction of both neighbouring steps */
+    EDGE_PEAK_RATIO: 0.5,
+    /** Smallest grid scale (source pixels per native pixel) considered */
+    MIN_GRID_SCALE: 1.5,
+    /** Largest grid scale considered */
+    MAX_GRID_SCALE: 16,
+    /** Minimum boundary coherence for a grid to be detected at all */
+    MIN_GRID_COHERENCE: 0.6,
+    /** Resolution of the grid period search in source pixels */
+    GRID_PERIOD_STEP: 0.005,
+    /** A period must reach this fraction of the best coherence to be chosen */
+    GRID_COHERENCE_RATIO: 0.85,
+    /** Periods this close to an integer are snapped to it */
+    GRID_INTEGER_SNAP: 0.03,
+    /** Below this isolated-pixel fraction an image counts as undithered */
+    MIN_DITHER_DENSITY: 0.07,
+    /** Minimum 8x8 position variance for ordered dithering */
+    MIN_ORDERED_SCORE: 0.01,
+    /** Correlation of the sub-2x2 pattern with the 4x4 Bayer matrix needed to prefer it over 2x2 */
+    MIN_DETAIL_CORRELATION: 0.5,
+    /** YCbCr distance within which noisy colors are merged into one palette color */
+    COLOR_MERGE_DISTANCE: 24,
+    /** k-means passes that center the merged color groups */
+    COLOR_MERGE_PASSES: 3,
+    /** Merged groups covering less than this fraction of the image are folded into their neighbours */
+    MIN_MERGED_SHARE: 0.001,
+    /** Side of the centered crop used for strength estimation */
+    STRENGTH_CROP_SIZE: 96,
+};
+
+/**
+ * Dithering methods that run a fixed kernel from DitheringCoefficients
+ * through errorDiffusionDithering().
+ */
+const ERROR_DIFFUSION_KERNELS = {
+    'jarvis-judice-ninke': DitheringCoefficients.JARVIS_JUDICE_NINKE,
+    'stucki': DitheringCoefficients.STUCKI,
+    'burkes': DitheringCoefficients.BURKES,
+    'sierra': DitheringCoefficients.SIERRA,
+    'two-row sierra': DitheringCoefficients.SIERRA_TWO_ROW,
+    'sierra lite': DitheringCoefficients.SIERRA_LITE,
+};
+
+/**
+ * Registered dithering algorithms, keyed by lower-case name.
+ * Filled with the built-in methods below; extend it with registerDither().
+ */
+const ditherRegistry = new Map();
+
+/**
+ * Register a dithering algorithm so pixelate(), pixelateImageData(), the
+ * web UI's dither dropdown and the batch CLI can use it by name.
+ * 
+ * The function receives the resized pixels and must quantize every pixel
+ * to the palette, in place or by returning new image data:
+ * 
+ *   fn(imageData, width, height, strength, palette, options)
+ * 
+ * - imageData: {data: Uint8ClampedArray, width, height} RGBA pixels
+ * - strength: Dithering strength normalized to 0-1
+ * - palette: Array of [r, g, b] colors
+ * - With options.linearLight, imageData.data is a Float32Array and the
+ *   palette is a linear copy, both linear light on the same 0-255 scale;
+ *   getPaletteMatcher() on that palette already matches correctly
+ * - options: The options passed to pixelateImageData(), with `distance`
+ *   and `serpentine` defaults filled in, so custom algorithms can read
+ *   their own extra options. When progress is requested,
+ *   options.onProgress(fraction) takes this stage's progress (0-1).
+ *   Unless options.alpha is 'ignore', pixels with alpha 0 should be
+ *   skipped and kept out of any error diffusion
+ * 
+ * Names are case-insensitive. Registering an existing name replaces it,
+ * including built-ins. In the browser a 'ditherregistered' event is
+ * dispatched on window so dropdowns can refresh.
+ * 
+ * @param {string} name - Method name used for the `dither` option
+ * @param {Function} fn - Dithering function with the signature above
+ * @throws {Error} If the name is empty or fn is not a function
+ */
+function registerDither(name, fn) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Dithering method name must be a non-empty string.');
+    }
+    if (typeof fn !== 'function') {
+        throw new Error(`Dithering method "${name}" must be a function.`);
+    }
+    const key = name.trim().toLowerCase();
+    ditherRegistry.set(key, fn);
+
+    if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('ditherregistered', { detail: { name: key } }));
+    }
+}
+
+/**
+ * List the registered dithering method names in registration order.
+ * 
+ * @returns {Array<string>} Lower-case method names, starting with 'none'
+ */
+function listDithers() {
+    return Array.from(ditherRegistry.keys());
+}
+
+/**
+ * Look up a registered dithering function.
+ * 
+ * Threshold maps of any size ('NxN bayer', 'blue noise NxN', 'knoll NxN') are
+ * registered on first use, so they need not be listed in advance.
+ * 
+ * @param {string} name - Method name (case-insensitive)
+ * @returns {Function} The registered dithering function
+ * @throws {Error} If no method is registered under the name, or a map size is invalid
+ */
+function getDither(name) {
+    const key = String(name).toLowerCase();
+    if (!ditherRegistry.has(key)) {
+        registerSizedDither(key);
+    }
+    const fn = ditherRegistry.get(key);
+    if (!fn) {
+        throw new Error(`Unknown dithering method: ${name}`);
+    }
+    return fn;
+}
+
+// Built-in methods, registered through the same API as custom ones
+registerDither('none', (imageData, width, height, strength, palette, options) =>
+    applyPalette(imageData, palette, options.distance, options.onProgress, options.alpha !== 'ignore'));
+registerDither('floyd-steinberg', (imageData, width, height, strength, palette, options) =>
+    floydSteinbergDithering(imageData, width, height, strength, palette, options.distance, options.serpentine, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('atkinson', (imageData, width, height, strength, palette, options) =>
+    atkinsonDithering(imageData, width, height, strength, palette, options.distance, options.serpentine, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('ordered', (imageData, width, height, strength, palette, options) =>
+    orderedDithering(imageData, width, height, strength, palette, getBayerMatrix('8x8'), options.distance, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('2x2 bayer', (imageData, width, height, strength, palette, options) =>
+    orderedDithering(imageData, width, height, strength, palette, getBayerMatrix('2x2'), options.distance, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('4x4 bayer', (imageData, width, height, strength, palette, options) =>
+    orderedDithering(imageData, width, height, strength, palette, getBayerMatrix('4x4'), options.distance, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('clustered 4x4', (imageData, width, height, strength, palette, options) =>
+    orderedDithering(imageData, width, height, strength, palette, getBayerMatrix('clustered 4x4'), options.distance, options.onProgress,
+        options.alpha !== 'ignore'));
+for (const [name, kernel] of Object.entries(ERROR_DIFFUSION_KERNELS)) {
+    registerDither(name, (imageData, width, height, strength, palette, options) =>
+        errorDiffusionDithering(imageData, width, height, strength, palette, kernel, options.distance, options.serpentine, options.onProgress,
+            options.alpha !== 'ignore'));
+}
+registerDither('ostromoukhov', (imageData, width, height, strength, palette, options) =>
+    ostromoukhovDithering(imageData, width, height, strength, palette, options.distance, options.serpentine, options.onProgress,
+        options.alpha !== 'ignore'));
+registerDither('knoll', (imageData, width, height, strength, palette, options) =>
+    knollDithering(imageData, width, height, strength, palette, getBayerMatrix('8x8'), options.distance, options.onProgress,
+        options.alpha !== 'ignore'));
+registerSizedDither('16x16 bayer');
+registerSizedDither('32x32 bayer');
+registerSizedDither('blue noise');
+
+/**
+ * Register an ordered dithering method for a named threshold map size.
+ * 
+ * - 'NxN bayer': Recursive Bayer matrix, N a power of two (see getBayerMatrix)
+ * - 'blue noise' / 'blue noise NxN': Void-and-cluster map (see getBlueNoiseMatrix),
+ *   seeded by the ditherSeed option
+ * - 'knoll NxN': Pattern dithering over an NxN Bayer matrix (see knollDithering)
+ * 
+ * Other names are left alone, so getDither() reports them as unknown.
+ * 
+ * @param {string} key - Lower-case method name
+ * @throws {Error} If the name asks for an unsupported map size
+ */
+function registerSizedDither(key) {
+    const bayerMatch = key.match(/^(\d+)x(\d+) bayer$/);
+    if (bayerMatch && bayerMatch[1] === bayerMatch[2]) {
+        const size = parseInt(bayerMatch[1]);
+        if (size < 2 || size > DitheringCoefficients.MAX_BAYER_SIZE || (size & (size - 1)) !== 0) {
+            throw new Error(`Bayer matrix size must be a power of two from 2 to ${DitheringCoefficients.MAX_BAYER_SIZE}.`);
+        }
+        // Built on first use (and cached by getBayerMatrix)
+        registerDither(key, (imageData, width, height, strength, palette, options) =>
+            orderedDithering(imageData, width, height, strength, palette, getBayerMatrix(`${size}x${size}`), options.distance,
+                options.onProgress, options.alpha !== 'ignore'));
+        return;
+    }
+
+    const blueNoiseMatch = key.match(/^blue noise(?: (\d+)x(\d+))?$/);
+    if (blueNoiseMatch && blueNoiseMatch[1] === blueNoiseMatch[2]) {
+        const size = blueNoiseMatch[1] ? parseInt(blueNoiseMatch[1]) : DitheringCoefficients.DEFAULT_BLUE_NOISE_SIZE;
+        validateBlueNoiseSize(size);
+        registerDither(key, (imageData, width, height, strength, palette, options) =>
+            orderedDithering(imageData, width, height, strength, palette, getBlueNoiseMatrix(size, options.ditherSeed || 0),
+                options.distance, options.onProgress, options.alpha !== 'ignore'));
+        return;
+    }
+
+    const knollMatch = key.match(/^knoll (\d+)x(\d+)$/);
+    if (knollMatch && knollMatch[1] === knollMatch[2]) {
+        const size = parseInt(knollMatch[1]);
+        if (size < 2 || size > DitheringCoefficients.MAX_BAYER_SIZE || (size & (size - 1)) !== 0) {
+            throw new Error(`Bayer matrix size must be a power of two from 2 to ${DitheringCoefficients.MAX_BAYER_SIZE}.`);
+        }
+        registerDither(key, (imageData, width, height, strength, palette, options) =>
+            knollDithering(imageData, width, height, strength, palette, getBayerMatrix(`${size}x${size}`), options.distance,
+                options.onProgress, options.alpha !== 'ignore'));
+    }
+}
+
+/**
+ * Color distance metrics available for palette matching.
+ * 
+ * Each metric pairs an optional color space conversion with a distance
+ * function evaluated in that space. Palette colors are converted once per
+ * palette (see getConvertedPalette), so only the pixel being matched pays
+ * the conversion cost.
+ * 
+ * - 'rgb': Squared Euclidean distance on sRGB bytes (fastest, default)
+ * - 'redmean': Weighted RGB approximation of perceived difference
+ * - 'cie76': Euclidean distance in CIELAB (Delta E 1976)
+ * - 'ciede2000': CIEDE2000 Delta E, the most perceptually accurate option
+ * - 'oklab': Euclidean distance in OKLab, a cheap perceptual alternative
+ */
+const ColorDistanceMetrics = {
+    'rgb': { convert: null, distance: colorDistance },
+    'redmean': { convert: null, distance: redmeanDistance },
+    'cie76': { convert: rgbToLab, distance: colorDistance },
+    'ciede2000': { convert: rgbToLab, distance: ciede2000Distance },
+    'oklab': { convert: rgbToOklab, distance: colorDistance },
+};
+
+/**
+ * The same metrics for palettes made by getLinearLightPalette(), whose
+ * colors (and the pixels matched against them) are linear light on the
+ * 0-255 scale. 'rgb' compares linear intensities directly; the others
+ * convert back first, so they judge colors as they look.
+ */
+const LinearLightMetrics = {
+    'rgb': { convert: null, distance: colorDistance },
+    'redmean': { convert: linearLightToRgb, distance: redmeanDistance },
+    'cie76': { convert: linearLightToLab, distance: colorDistance },
+    'ciede2000': { convert: linearLightToLab, distance: ciede2000Distance },
+    'oklab': { convert: linearLightToOklab, distance: colorDistance },
+};
+
+/**
+ * Alpha handling modes for pixelate() and pixelateImageData().
+ * 
+ * - 'preserve': Fully transparent pixels are left alone and kept out of
+ *   error diffusion; partial alpha is kept as is (default)
+ * - 'threshold': Alpha becomes 0 or 255 at alphaThreshold, then as 'preserve'
+ * - 'dither': Alpha becomes 0 or 255 through a 4x4 Bayer pattern, so soft
+ *   edges and shadows turn into stippled sprite edges
+ * - 'index': As 'threshold', and transparent pixels take the reserved palette
+ *   color at transparentIndex, which opaque pixels never match
+ * - 'ignore': Legacy behavior, every pixel is quantized and diffused
+ *   regardless of alpha
+ */
+const ALPHA_MODES = ['preserve', 'threshold', 'dither', 'index', 'ignore'];
+
+/**
+ * How the source fills a grid whose height is given explicitly.
+ * 
+ * - 'fill': The whole source is stretched to the grid (default)
+ * - 'contain': The whole source fits inside the grid, keeping its shape;
+ *   the rest of the grid is left transparent
+ * - 'cover': The source covers the whole grid, keeping its shape; the
+ *   overhang is cropped at the anchor
+ */
+const FIT_MODES = ['fill', 'contain', 'cover'];
+
+/**
+ * Anchors for 'contain' and 'cover', as horizontal and vertical fractions
+ * of the leftover space placed before the image (0 = left/top, 1 = right/bottom).
+ */
+const FIT_ANCHORS = {
+    'center': [0.5, 0.5],
+    'top': [0.5, 0],
+    'bottom': [0.5, 1],
+    'left': [0, 0.5],
+    'right': [1, 0.5],
+    'top-left': [0, 0],
+    'top-right': [1, 0],
+    'bottom-left': [0, 1],
+    'bottom-right': [1, 1],
+};
+
+/**
+ * Display overlays for previews, each with an intensity from 0 (off) to 1.
+ * They are drawn on a copy of the output, never on the quantized data.
+ * 
+ * - grid: Dark 1px lines along the pixel grid
+ * - scanlines: Darkens the lower half of every grid row, like a CRT's beam gaps
+ * - shadowMask: Red, green and blue phosphor stripes across the output columns
+ * - bloom: Glow of bright areas spilling into the dark gaps around them
+ */
+const DISPLAY_OVERLAYS = ['grid', 'scanlines', 'shadowMask', 'bloom'];
+
+/**
+ * Tone and color adjustments applied to the pixel grid before quantization,
+ * in this order: levels (or auto levels), brightness/contrast, gamma,
+ * saturation and hue, sharpening, posterization. Each entry gives the valid
+ * range, slider step and neutral default, shared by validation, the CLI
+ * flags and the web UI sliders.
+ * 
+ * - blackPoint, whitePoint: Input levels stretched to 0-255
+ * - autoLevels: Percentage of pixels clipped at each end when the levels
+ *   are taken from the image's own luminance (0 = off, overrides the points)
+ * - brightness, contrast: -100 to 100
+ * - gamma: Midtone correction, above 1 brightens
+ * - saturation: -100 (grayscale) to 100 (double)
+ * - hue: Hue rotation in degrees
+ * - sharpen: Unsharp mask amount in percent, with sharpenRadius (grid
+ *   pixels) and sharpenThreshold (minimum difference to sharpen)
+ * - posterize: Levels per channel (0 = off)
+ */
+const ADJUSTMENTS = {
+    blackPoint: { min: 0, max: 254, step: 1, default: 0 },
+    whitePoint: { min: 1, max: 255, step: 1, default: 255 },
+    autoLevels: { min: 0, max: 10, step: 0.1, default: 0 },
+    brightness: { min: -100, max: 100, step: 1, default: 0 },
+    contrast: { min: -100, max: 100, step: 1, default: 0 },
+    gamma: { min: 0.1, max: 5, step: 0.05, default: 1 },
+    saturation: { min: -100, max: 100, step: 1, default: 0 },
+    hue: { min: -180, max: 180, step: 1, default: 0 },
+    sharpen: { min: 0, max: 500, step: 5, default: 0 },
+    sharpenRadius: { min: 1, max: 10, step: 1, default: 1 },
+    sharpenThreshold: { min: 0, max: 255, step: 1, default: 0 },
+    posterize: { min: 0, max: 256, step: 1, default: 0 },
 };
 
 /**
@@ -68,10 +548,9 @@ const DitheringCoefficients = {
  * PROCESS FLOW:
  * 1. Load image from various input formats
  * 2. Fetch color palette if specified
- * 3. Resize to target pixel dimensions
- * 4. Apply dithering algorithm if requested
- * 5. Quantize colors to palette
- * 6. Optionally scale back to original resolution
+ * 3. Run the headless pipeline (pixelateImageData): resize, dither,
+ *    quantize and optionally scale back to original resolution
+ * 4. Wrap the result in a canvas (or p5/Q5 image)
  * 
  * @param {Object} options - Configuration options for pixelation
  * @param {HTMLCanvasElement|HTMLImageElement|p5.Renderer|p5.Image|Q5.Image|ImageData|string} options.image - 
@@ -85,96 +564,293 @@ const DitheringCoefficients = {
  *        '2x2 bayer' - Small pattern, subtle dithering
  *        '4x4 bayer' - Medium pattern, balanced dithering
  *        'clustered 4x4' - Clustered dot pattern, good for printing
+ *        'jarvis-judice-ninke', 'stucki', 'burkes' - Wide error diffusion kernels
+ *        'sierra', 'two-row sierra', 'sierra lite' - Sierra family, from smooth to fast
+ *        'ostromoukhov' - Variable coefficients per level, fewest pattern artifacts
+ *        'NxN bayer' - Any power-of-two Bayer matrix, e.g. '16x16 bayer', '32x32 bayer'
+ *        'blue noise' / 'blue noise NxN' - Void-and-cluster threshold map (64x64 by default),
+ *                      no visible pattern yet stable like any ordered dither
+ *        'knoll' / 'knoll NxN' - Palette-aware pattern dithering (8x8 Bayer by default);
+ *                      mixes several palette colors per cell, so sparse palettes keep in-between hues
+ *        Any name added with registerDither() (see listDithers())
  * @param {number} [options.strength=0] - Dithering intensity (0-100). 
  *        0 = no dithering, 100 = maximum error diffusion
- * @param {string|Array} [options.palette=null] - Color palette for quantization:
+ * @param {string|Array|Object} [options.palette=null] - Color palette for quantization:
  *        String: Lospec palette name (e.g., 'pico-8', 'endesga-32')
  *        Array: Custom palette as hex colors ['#FF0000', '#00FF00', ...]
+ *        Object: {auto: N, method} extracts N colors from the image itself
+ *                (method: 'median-cut' (default), 'kmeans' or 'octree')
  *        null: No palette quantization, preserve original colors
  * @param {string} [options.resolution='original'] - Output resolution:
  *        'pixel' - Output at actual pixel size (e.g., 32x32)
  *        'original' - Scale back to original image dimensions
- * @returns {Promise<HTMLCanvasElement|p5.Image|Q5.Image>} Canvas with pixelated result
+ * @param {string} [options.distance='rgb'] - Color distance used to match palette colors:
+ *        'rgb' - Squared Euclidean RGB distance, fastest
+ *        'redmean' - Weighted RGB, cheap perceptual improvement
+ *        'cie76' - CIELAB Delta E 1976
+ *        'ciede2000' - CIELAB Delta E 2000, most accurate
+ *        'oklab' - Euclidean distance in OKLab
+ * @param {boolean} [options.serpentine=false] - Alternate the scan direction on every row
+ *        for error diffusion methods, breaking up directional "worm" artifacts
+ * @param {number} [options.ditherSeed=0] - Seed for generated threshold maps ('blue noise')
+ * @param {boolean} [options.linearLight=false] - Quantize and dither in linear light instead
+ *        of sRGB, so dithered areas keep the brightness of the source
+ * @param {string} [options.downsample='box'] - How source pixels become the pixel grid:
+ *        'box' (area average), 'nearest', 'median', 'mode' (majority color,
+ *        keeps thin outlines) or 'lanczos'
+ * @param {number} [options.height] - Target height in pixels; by default it follows the
+ *        source's aspect ratio (and pixelAspect)
+ * @param {string} [options.fit='fill'] - How the source fills an explicit height:
+ *        'fill' - Stretch the whole source to the grid
+ *        'contain' - Fit the whole source inside, leaving transparent bars
+ *        'cover' - Fill the grid, cropping the overhang at `anchor`
+ * @param {string} [options.anchor='center'] - 'center', 'top', 'bottom', 'left', 'right',
+ *        'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+ * @param {number} [options.pixelAspect=1] - Height of a grid pixel relative to its width as
+ *        displayed; 1.2 samples a 320x200 grid for a 4:3 screen, like Doom
+ * @param {number} [options.scale] - Exact integer upscale (nearest neighbour) instead of
+ *        `resolution`: every grid pixel becomes scale x scale output pixels (times
+ *        pixelAspect vertically)
+ * @param {Object} [options.adjustments] - Tone and color adjustments applied to the pixel grid
+ *        before quantization, e.g. {contrast: 20, gamma: 1.2, saturation: 30, posterize: 8};
+ *        keys and ranges are listed in ADJUSTMENTS
+ * @param {Object} [options.overlay] - Display overlays for the returned canvas, each 0-1:
+ *        {grid, scanlines, shadowMask, bloom} (see DISPLAY_OVERLAYS); canvas output only
+ * @param {string} [options.alpha='preserve'] - Alpha handling (see ALPHA_MODES):
+ *        'preserve', 'threshold', 'dither', 'index' or 'ignore'
+ * @param {number} [options.alphaThreshold=128] - Alpha cutoff for 'threshold' and 'index'
+ * @param {number} [options.transparentIndex=0] - Palette index reserved for transparency in 'index' mode;
+ *        0 to palette.auto with an automatic palette
+ * @param {boolean} [options.worker=false] - Render in a Web Worker (reading pixels through
+ *        OffscreenCanvas) so the page stays responsive. Falls back to the main thread
+ *        when workers are unavailable
+ * @param {string} [options.workerURL] - URL of image-to-pixel.js for the worker
+ *        (defaults to the URL this script was loaded from)
+ * @param {Array<string>} [options.workerScripts=[]] - Scripts the worker imports first,
+ *        e.g. ones that call registerDither() for custom methods
+ * @param {Function} [options.onProgress] - Called with overall progress (0-1) while rendering
+ * @param {AbortSignal} [options.signal] - Cancels the render; the promise rejects with the
+ *        signal's reason (an AbortError by default) and a running worker is terminated
+ * @param {string} [options.format='canvas'] - Output type:
+ *        'canvas' - Canvas (or p5/Q5 image)
+ *        'png' - Blob of an 8-bit indexed PNG whose PLTE is exactly the palette
+ *        'gif' - Blob of a GIF with the palette as its color table
+ *        'idx' - Blob of a raw index map with a JSON header (see encodeIndexMap)
+ *        'npy' - Blob of a NumPy .npy index array
+ *        'indices' - Index map object from indexImageData(): {indices, width, height, palette, transparentIndex}
+ * @returns {Promise<HTMLCanvasElement|p5.Image|Q5.Image|Blob|Object>} Canvas with pixelated result,
+ *          a Blob for file formats, or the index map for 'indices'
  * @throws {Error} If required parameters are missing or invalid
  */
 async function pixelate(options) {
     const {
         image,
         width,
-        dither = 'none',
-        strength = 0,
         palette = null,
-        resolution = 'original',
+        worker = false,
+        workerURL = PIXELATE_SCRIPT_URL,
+        workerScripts = [],
+        onProgress = null,
+        signal = null,
+        format = 'canvas',
+        overlay = null,
+        ...coreOptions
     } = options;
 
     // Validate required parameters
     if (!image) {
         throw new Error('Image parameter is required for pixelation.');
     }
-    if (!width || width < PixelationConstants.MIN_PIXEL_WIDTH) {
-        throw new Error(`Width must be at least ${PixelationConstants.MIN_PIXEL_WIDTH} pixels.`);
+    validatePixelWidth(width);
+    getColorDistanceMetric(options.distance || 'rgb');
+    if (format !== 'canvas' && format !== 'indices' && !Object.hasOwn(INDEXED_FORMATS, format)) {
+        throw new Error(`Unknown output format: ${format}`);
     }
-    if (width > PixelationConstants.MAX_PIXEL_WIDTH) {
-        throw new Error(`Width cannot exceed ${PixelationConstants.MAX_PIXEL_WIDTH} pixels.`);
+    if (overlay) {
+        if (format !== 'canvas') {
+            throw new Error('Display overlays only apply to canvas output.');
+        }
+        validateDisplayOverlay(overlay);
     }
+    throwIfAborted(signal);
     // Check for p5 and Q5 availability
     const isP5Available = typeof p5 !== 'undefined';
     const isQ5Available = typeof Q5 !== 'undefined';
 
     // Load the image with support for multiple input formats
     const originalImageObject = await loadOriginalImage(image);
+    throwIfAborted(signal);
 
-    let paletteColors = null;
+    // Fetch palette if provided; automatic palettes are extracted by the core
+    const paletteColors = isAutoPalette(palette) ? palette : await resolvePaletteColors(palette);
+    throwIfAborted(signal);
 
-    // Fetch palette if provided
-    if (palette) {
-        if (Array.isArray(palette)) {
-            paletteColors = palette.map(hexToRgb);
-        } else if (typeof palette === 'string') {
-            paletteColors = await fetchPalette(palette);
-        }
+    const pipelineOptions = { ...coreOptions, width, palette: paletteColors };
+    let result;
+    if (worker && typeof Worker !== 'undefined' && workerURL) {
+        result = await pixelateInWorker(originalImageObject, pipelineOptions, { workerURL, workerScripts, onProgress, signal });
+    } else {
+        // Read the source pixels at full size; all resampling happens in pixelateImageData
+        const sourceData = readImagePixels(originalImageObject);
+
+        // Run the shared headless pipeline (identical to the Node CLI)
+        result = pixelateImageData(sourceData, { ...pipelineOptions, onProgress });
     }
 
-    // Calculate pixel dimensions
-    const aspectRatio = originalImageObject.height / originalImageObject.width;
-    const pixelsWide = width;
-    const pixelsHigh = Math.round(pixelsWide * aspectRatio);
+    // Indexed output keeps the exact palette, in order
+    if (format === 'indices') {
+        return indexImageData(result);
+    }
+    if (format !== 'canvas') {
+        const bytes = await encodeIndexedImage(result, format);
+        return new Blob([bytes], { type: INDEXED_FORMATS[format].mimeType });
+    }
 
-    let offscreenCanvas, offscreenCtx;
+    // Overlays go on a copy for display; result itself stays the quantized pixels
+    const display = overlay ? applyDisplayOverlay(result, result.gridWidth, result.gridHeight, overlay) : result;
 
-    if (originalImageObject instanceof HTMLCanvasElement) {
-        // Check if the canvas needs to be resized
-        if (originalImageObject.width !== pixelsWide || originalImageObject.height !== pixelsHigh) {
-            // Create an offscreen canvas with the new size
-            offscreenCanvas = document.createElement('canvas');
-            offscreenCanvas.width = pixelsWide;
-            offscreenCanvas.height = pixelsHigh;
-            offscreenCtx = offscreenCanvas.getContext('2d');
+    const outputCanvas = document.createElement('canvas');
+    outputCanvas.width = display.width;
+    outputCanvas.height = display.height;
+    outputCanvas.getContext('2d').putImageData(new ImageData(display.data, display.width, display.height), 0, 0);
 
-            // Draw the original canvas onto the resized offscreen canvas
-            offscreenCtx.drawImage(originalImageObject, 0, 0, pixelsWide, pixelsHigh);
-        } else {
-            // No resizing needed, reuse the original canvas
-            offscreenCanvas = originalImageObject;
-            offscreenCtx = offscreenCanvas.getContext('2d');
+    // Convert the canvas to a p5.Image or Q5.Image if necessary
+    if (isP5Available) {
+        return canvasToP5Image(outputCanvas);
+    } else if (isQ5Available) {
+        return canvasToQ5Image(outputCanvas);
+    }
+
+    return outputCanvas;
+}
+
+/**
+ * Run the pixelation pipeline on raw RGBA pixels without touching the DOM.
+ * 
+ * This is the headless core shared by the browser entry point (pixelate)
+ * and the Node batch script (pixelate.js). It only uses typed arrays and
+ * plain math, so the same input and options produce byte-identical output
+ * in every environment.
+ * 
+ * PROCESS FLOW:
+ * 1. Resize to target pixel dimensions (area average)
+ * 2. Apply dithering algorithm if requested
+ * 3. Quantize colors to palette
+ * 4. Optionally scale back to the source size (nearest neighbour)
+ * 
+ * Palettes must already be resolved: Lospec names are fetched by the
+ * caller (see resolvePaletteColors) so this function can stay synchronous.
+ * 
+ * @param {{data: Uint8ClampedArray|Uint8Array, width: number, height: number}} source - RGBA source pixels
+ * @param {Object} options - Same options as pixelate(), minus image
+ * @param {number} options.width - Target width in pixels for the pixelated output
+ * @param {string} [options.dither='none'] - Dithering algorithm (see pixelate)
+ * @param {number} [options.strength=0] - Dithering intensity (0-100)
+ * @param {Array<Array<number>|string>|Object} [options.palette=null] - Palette as RGB arrays or hex
+ *        strings, or {auto: N, method} to extract N colors from the resized image
+ * @param {string} [options.resolution='original'] - 'pixel' or 'original'
+ * @param {string} [options.distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {boolean} [options.serpentine=false] - Alternate the error diffusion scan direction per row
+ * @param {number} [options.ditherSeed=0] - Seed for generated threshold maps ('blue noise')
+ * @param {boolean} [options.linearLight=false] - Quantize and spread error in linear RGB
+ * @param {string} [options.downsample='box'] - How the pixel grid is sampled (see DOWNSAMPLE_METHODS)
+ * @param {number} [options.height] - Grid height (default: from the source's aspect ratio)
+ * @param {string} [options.fit='fill'] - How the source fills an explicit height (see FIT_MODES)
+ * @param {string} [options.anchor='center'] - Crop or placement anchor for 'cover' and 'contain' (see FIT_ANCHORS)
+ * @param {number} [options.pixelAspect=1] - Grid pixel height / width (e.g. 1.2 for 320x200 at 4:3)
+ * @param {number} [options.scale] - Integer nearest-neighbour upscale of the grid; overrides resolution
+ * @param {Object} [options.adjustments] - Tone and color adjustments before quantization (see ADJUSTMENTS)
+ * @param {string} [options.alpha='preserve'] - Alpha handling (see ALPHA_MODES)
+ * @param {number} [options.alphaThreshold=128] - Alpha cutoff for 'threshold' and 'index'
+ * @param {number} [options.transparentIndex=0] - Palette index reserved for transparency in 'index' mode;
+ *        0 to palette.auto with an automatic palette
+ * @param {Function} [options.onProgress] - Called with overall progress (0-1) as stages and rows complete
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, gridWidth: number, gridHeight: number,
+ *          palette: Array<Array<number>>|null, transparentIndex: number}} Pixelated RGBA pixels, the
+ *          pixel grid size, the palette used and the reserved transparent index (-1 if none)
+ * @throws {Error} If the source or options are invalid
+ */
+function pixelateImageData(source, options) {
+    const {
+        width,
+        dither = 'none',
+        strength = 0,
+        palette = null,
+        resolution = 'original',
+        distance = 'rgb',
+        serpentine = false,
+        linearLight = false,
+        alpha = 'preserve',
+        alphaThreshold = PixelationConstants.DEFAULT_ALPHA_THRESHOLD,
+        transparentIndex = 0,
+        downsample = 'box',
+        height = null,
+        fit = 'fill',
+        anchor = 'center',
+        pixelAspect = 1,
+        scale = null,
+        adjustments = null,
+        onProgress = null,
+    } = options;
+
+    if (!source || !source.data || !source.width || !source.height) {
+        throw new Error('Source must be an object with data, width and height.');
+    }
+    if (source.data.length !== source.width * source.height * 4) {
+        throw new Error('Source data length does not match width * height * 4.');
+    }
+    validatePixelWidth(width);
+    validatePixelHeight(height);
+    validateScale(scale);
+    if (adjustments) validateAdjustments(adjustments);
+    getColorDistanceMetric(distance);
+    if (!ALPHA_MODES.includes(alpha)) {
+        throw new Error(`Unknown alpha mode: ${alpha}`);
+    }
+    if (alpha === 'index' && isAutoPalette(palette) && transparentIndex > palette.auto) {
+        throw new Error(`Transparent index ${transparentIndex} is outside the automatic palette (0-${palette.auto}).`);
+    }
+    if (!DOWNSAMPLE_METHODS.includes(downsample)) {
+        throw new Error(`Unknown downsampling method: ${downsample}`);
+    }
+
+    // Calculate pixel dimensions and which part of the source they cover
+    const geometry = getGridGeometry(source.width, source.height, { width, height, fit, anchor, pixelAspect });
+    const pixelsWide = geometry.width;
+    const pixelsHigh = geometry.height;
+
+    // Progress milestones: resize, palette, dithering rows, final scale
+    const reportProgress = (fraction) => {
+        if (onProgress) onProgress(fraction);
+    };
+
+    // Alpha weighting keeps transparent pixels' colors from bleeding into sprite edges
+    let pixelatedData = fitImageData(source, geometry, downsample, alpha !== 'ignore');
+    if (adjustments) applyAdjustments(pixelatedData, adjustments);
+    applyAlphaMode(pixelatedData, alpha, alphaThreshold);
+    reportProgress(0.1);
+
+    // Automatic palettes are extracted from the resized grid so they match what gets quantized
+    let paletteColors = null;
+    if (isAutoPalette(palette)) {
+        paletteColors = extractPalette(pixelatedData, { colors: palette.auto, method: palette.method });
+        if (alpha === 'index') {
+            // Images with fewer colors than requested give a shorter palette; repeat its last
+            // color so the reserved transparent color still lands at transparentIndex
+            while (paletteColors.length < transparentIndex) {
+                paletteColors.push([...(paletteColors[paletteColors.length - 1] || [0, 0, 0])]);
+            }
+            paletteColors.splice(transparentIndex, 0, [0, 0, 0]);
         }
-    } else {
-        // Handle image or other input types by creating an offscreen canvas
-        offscreenCanvas = document.createElement('canvas');
-        offscreenCanvas.width = pixelsWide;
-        offscreenCanvas.height = pixelsHigh;
-        offscreenCtx = offscreenCanvas.getContext('2d');
-
-        // Draw the original image onto the offscreen canvas
-        offscreenCtx.drawImage(
-            originalImageObject,
-            0, 0, originalImageObject.width, originalImageObject.height,
-            0, 0, pixelsWide, pixelsHigh
-        );
+    } else if (palette) {
+        paletteColors = normalizePaletteColors(palette);
     }
+    reportProgress(0.2);
 
-    // Get image data for manipulation
-    let pixelatedData = offscreenCtx.getImageData(0, 0, pixelsWide, pixelsHigh);
+    // Opaque pixels never match the reserved transparent color
+    const matchColors = paletteColors && alpha === 'index'
+        ? getOpaquePalette(paletteColors, transparentIndex)
+        : paletteColors;
 
     /**
      * Apply dithering and color palette quantization.
@@ -186,662 +862,5324 @@ async function pixelate(options) {
      * DITHERING ALGORITHMS:
      * - Floyd-Steinberg: Distributes quantization error to neighboring pixels
      * - Atkinson: Similar to Floyd-Steinberg but propagates less error
+     * - Jarvis-Judice-Ninke, Stucki, Burkes, Sierra: Wider kernels from
+     *   DitheringCoefficients, smoother gradients at a higher cost
+     * - Ostromoukhov: Coefficients vary with the input level
      * - Ordered: Uses a fixed pattern matrix for consistent results
      * - Bayer: Variants of ordered dithering with different matrix sizes
+     * - Custom: Anything added with registerDither()
      * 
      * The strength parameter controls how much the dithering affects the image.
      * For training data, consistent strength across batches is crucial.
+     * 
+     * With linearLight the dither runs on linear RGB against a linearized
+     * palette. Sums of diffused error (and threshold offsets) then add up
+     * physical intensities, so a 50% gray dithered from black and white
+     * stays as bright as the source instead of coming out too dark.
      */
     const ditheringStrength = strength / 100; // Normalize strength to 0-1 range
-    if (paletteColors && dither.toLowerCase() !== 'none') {
-        if (dither.toLowerCase() === 'floyd-steinberg') {
-            pixelatedData = floydSteinbergDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors);
-        } else if (dither.toLowerCase() === 'ordered') {
-            const bayerMatrix = getBayerMatrix('8x8');
-            pixelatedData = orderedDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors, bayerMatrix);
-        } else if (dither.toLowerCase() === '4x4 bayer') {
-            const bayerMatrix = getBayerMatrix('4x4');
-            pixelatedData = orderedDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors, bayerMatrix);
-        } else if (dither.toLowerCase() === '2x2 bayer') {
-            const bayerMatrix = getBayerMatrix('2x2');
-            pixelatedData = orderedDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors, bayerMatrix);
-        } else if (dither.toLowerCase() === 'clustered 4x4') {
-            const clusteredMatrix = getBayerMatrix('clustered 4x4');
-            pixelatedData = orderedDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors, clusteredMatrix);
-        } else if (dither.toLowerCase() === 'atkinson') {
-            pixelatedData = atkinsonDithering(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, paletteColors);
+    if (paletteColors) {
+        // Built-in and custom methods all come from the registry (see registerDither)
+        const ditherFn = getDither(dither);
+        const ditherOptions = {
+            ...options,
+            distance,
+            serpentine,
+            alpha,
+            // Dithering covers 20-95% of the overall progress
+            onProgress: onProgress ? (fraction) => onProgress(0.2 + fraction * 0.75) : null,
+        };
+        if (linearLight) {
+            const linearData = toLinearLight(pixelatedData);
+            const dithered = ditherFn(linearData, pixelsWide, pixelsHigh, ditheringStrength, getLinearLightPalette(matchColors), ditherOptions);
+            pixelatedData = fromLinearLight(dithered || linearData);
         } else {
-            throw new Error(`Unknown dithering method: ${dither}`);
+            pixelatedData = ditherFn(pixelatedData, pixelsWide, pixelsHigh, ditheringStrength, matchColors, ditherOptions) || pixelatedData;
         }
-    } else if (paletteColors) {
-        applyPalette(pixelatedData, paletteColors);
-    }
 
-    // Put processed image data back onto the offscreen canvas
-    offscreenCtx.putImageData(pixelatedData, 0, 0);
-
-    // If resolution is 'original', scale the image back to its original size
-    if (resolution === 'original' && offscreenCanvas.width !== originalImageObject.width) {
-        const finalCanvas = document.createElement('canvas');
-        finalCanvas.width = originalImageObject.width;
-        finalCanvas.height = originalImageObject.height;
-        const finalCtx = finalCanvas.getContext('2d');
-        finalCtx.imageSmoothingEnabled = false;
-        finalCtx.drawImage(offscreenCanvas, 0, 0, offscreenCanvas.width, offscreenCanvas.height, 0, 0, finalCanvas.width, finalCanvas.height);
-
-        // Convert the final canvas to a p5.Image or Q5.Image if necessary
-        if (isP5Available) {
-            return canvasToP5Image(finalCanvas);
-        } else if (isQ5Available) {
-            return canvasToQ5Image(finalCanvas);
+        if (alpha === 'index') {
+            fillTransparentPixels(pixelatedData, paletteColors[transparentIndex]);
         }
-
-        return finalCanvas;
     }
+    reportProgress(0.95);
 
-    // Return the canvas
-    if (isP5Available) {
-        return canvasToP5Image(offscreenCanvas);
-    } else if (isQ5Available) {
-        return canvasToQ5Image(offscreenCanvas);
+    // An integer scale wins over resolution; otherwise 'original' scales the image back
+    // to its original size (the cropped or padded frame for 'cover' and 'contain')
+    if (scale) {
+        pixelatedData = scaleNearest(pixelatedData, pixelsWide * scale, Math.round(pixelsHigh * scale * pixelAspect));
+    } else if (resolution === 'original' && (pixelsWide !== geometry.frameWidth || pixelsHigh !== geometry.frameHeight)) {
+        pixelatedData = scaleNearest(pixelatedData, geometry.frameWidth, geometry.frameHeight);
     }
 
-    return offscreenCanvas;
+    reportProgress(1);
+    return {
+        data: pixelatedData.data,
+        width: pixelatedData.width,
+        height: pixelatedData.height,
+        // Size of the pixel grid behind a scaled result, for display overlays
+        gridWidth: pixelsWide,
+        gridHeight: pixelsHigh,
+        // The palette actually used (after auto extraction), for indexed exports
+        palette: paletteColors,
+        transparentIndex: paletteColors && alpha === 'index' ? transparentIndex : -1,
+    };
 }
 
 /**
- * Retrieve the Bayer matrix for ordered dithering patterns.
- * 
- * Bayer matrices create predictable dithering patterns that are useful
- * for training data because they produce consistent, reproducible results.
- * Each matrix size creates different pattern characteristics:
- * 
- * - 2x2: Very subtle, minimal pattern visibility
- * - 4x4: Balanced between subtlety and effectiveness
- * - 8x8: More complex patterns, better tonal range
- * - Clustered 4x4: Groups pixels for dot-pattern effects
+ * Create a pixelator for an ordered frame sequence with temporal coherence.
  * 
- * These matrices are normalized to work with the threshold calculation
- * in the ordered dithering algorithm.
+ * Pixelating movie frames one at a time makes error diffusion shimmer even
+ * where nothing moves: a tiny change anywhere upstream reroutes the
+ * diffused error. The sequence pixelator keeps each pixel's previous output
+ * until its source color (on the pixel grid) moves more than
+ * temporalThreshold away from the color that output was made from, so
+ * static areas hold still while moving areas are redrawn. Automatic
+ * palettes are extracted from the first frame and kept for the rest of the
+ * sequence. Ordered dithering thresholds are tied to the pixel grid rather
+ * than to the content, so they stay fixed to the image as well.
  * 
- * @param {string} type - The Bayer matrix type to retrieve:
- *        '2x2' - Minimal 2x2 pattern
- *        '4x4' - Standard 4x4 Bayer matrix
- *        '8x8' - Large 8x8 matrix for smooth gradients
- *        'clustered 4x4' - Clustered dot pattern
- * @returns {Array<Array<number>>} The selected Bayer matrix
- * @throws {Error} If an invalid matrix type is specified
+ * @param {Object} options - pixelateImageData() options, applied to every frame
+ * @param {number} [options.temporalThreshold=12] - RGBA distance (Euclidean, 0-255 per channel)
+ *        a pixel's source must move before its output is redrawn; 0 redraws every changed pixel
+ * @returns {{next: Function, reset: Function}} next(source) pixelates the next frame (same
+ *          arguments and result as pixelateImageData(), plus `held`, the fraction of pixels
+ *          kept from the previous frame); reset() starts over, e.g. at a scene cut
+ * @throws {Error} If the options are invalid
  */
-function getBayerMatrix(type) {
-    switch (type) {
-        case '2x2':
-            return [
-                [0, 2],
-                [3, 1]
-            ];
-        case '4x4':
-            return [
-                [0, 8, 2, 10],
-                [12, 4, 14, 6],
-                [3, 11, 1, 9],
-                [15, 7, 13, 5]
-            ];
-        case '8x8':
-            return [
-                [0, 48, 12, 60, 3, 51, 15, 63],
-                [32, 16, 44, 28, 35, 19, 47, 31],
-                [8, 56, 4, 52, 11, 59, 7, 55],
-                [40, 24, 36, 20, 43, 27, 39, 23],
-                [2, 50, 14, 62, 1, 49, 13, 61],
-                [34, 18, 46, 30, 33, 17, 45, 29],
-                [10, 58, 6, 54, 9, 57, 5, 53],
-                [42, 26, 38, 22, 41, 25, 37, 21]
-            ];
-        case 'clustered 4x4':
-            return [
-                [7, 13, 11, 4],
-                [12, 16, 14, 8],
-                [10, 15, 6, 2],
-                [5, 9, 3, 1]
-            ];
-        default:
-            throw new Error(`Invalid Bayer matrix type: ${type}`);
+function createSequencePixelator(options) {
+    const {
+        width = PixelationConstants.DEFAULT_PIXEL_WIDTH,
+        resolution = 'original',
+        alpha = 'preserve',
+        downsample = 'box',
+        height = null,
+        fit = 'fill',
+        anchor = 'center',
+        pixelAspect = 1,
+        scale = null,
+        temporalThreshold = PixelationConstants.DEFAULT_TEMPORAL_THRESHOLD,
+        ...frameOptions
+    } = options;
+
+    validatePixelWidth(width);
+    validatePixelHeight(height);
+    validateScale(scale);
+    if (typeof temporalThreshold !== 'number' || !(temporalThreshold >= 0)) {
+        throw new Error('Temporal threshold must be a non-negative number.');
     }
+    const thresholdSquared = temporalThreshold * temporalThreshold;
+
+    // Source colors each held output pixel was made from, the held output itself, and the locked palette
+    let reference = null;
+    let held = null;
+    let palette = frameOptions.palette;
+
+    return {
+        next(source) {
+            if (!source || !source.data || !source.width || !source.height) {
+                throw new Error('Source must be an object with data, width and height.');
+            }
+            const geometry = getGridGeometry(source.width, source.height, { width, height, fit, anchor, pixelAspect });
+            const grid = fitImageData(source, geometry, downsample, alpha !== 'ignore');
+            if (reference && (reference.width !== grid.width || reference.height !== grid.height)) {
+                throw new Error('All frames in a sequence must have the same aspect ratio.');
+            }
+
+            // The grid is already at pixel size, so pixelateImageData() only quantizes it
+            const result = pixelateImageData(grid, {
+                ...frameOptions,
+                palette,
+                alpha,
+                width,
+                height: grid.height,
+                downsample: 'nearest',
+                resolution: 'pixel',
+            });
+            if (isAutoPalette(palette)) {
+                palette = result.palette;
+            }
+
+            let heldCount = 0;
+            if (reference) {
+                const refData = reference.data;
+                const gridData = grid.data;
+                const heldData = held.data;
+                const output = result.data;
+                for (let idx = 0; idx < output.length; idx += 4) {
+                    const dr = gridData[idx] - refData[idx];
+                    const dg = gridData[idx + 1] - refData[idx + 1];
+                    const db = gridData[idx + 2] - refData[idx + 2];
+                    const da = gridData[idx + 3] - refData[idx + 3];
+                    if (dr * dr + dg * dg + db * db + da * da <= thresholdSquared) {
+                        output[idx] = heldData[idx];
+                        output[idx + 1] = heldData[idx + 1];
+                        output[idx + 2] = heldData[idx + 2];
+                        output[idx + 3] = heldData[idx + 3];
+                        heldCount++;
+                    } else {
+                        refData[idx] = gridData[idx];
+                        refData[idx + 1] = gridData[idx + 1];
+                        refData[idx + 2] = gridData[idx + 2];
+                        refData[idx + 3] = gridData[idx + 3];
+                    }
+                }
+            } else {
+                reference = grid;
+            }
+            held = { data: new Uint8ClampedArray(result.data), width: result.width, height: result.height };
+
+            let pixelatedData = result;
+            if (scale) {
+                pixelatedData = scaleNearest(result, width * scale, Math.round(grid.height * scale * pixelAspect));
+            } else if (resolution === 'original' && (width !== geometry.frameWidth || grid.height !== geometry.frameHeight)) {
+                pixelatedData = scaleNearest(result, geometry.frameWidth, geometry.frameHeight);
+            }
+            return { ...result, data: pixelatedData.data, width: pixelatedData.width, height: pixelatedData.height, held: heldCount / (grid.width * grid.height) };
+        },
+
+        reset() {
+            reference = null;
+            held = null;
+            palette = frameOptions.palette;
+        },
+    };
 }
 
 /**
- * Convert an HTMLCanvasElement to a p5.Image for p5.js integration.
+ * Measure frame-to-frame flicker between two consecutive pixelated frames.
  * 
- * This function enables seamless integration with p5.js creative coding
- * workflows, allowing the pixelated output to be used in p5.js sketches
- * for further processing or artistic applications.
+ * `changed` counts every pixel whose output color differs. With the source
+ * frames, `flicker` counts only changes where the source held still
+ * (within threshold at the output's size), which is the shimmer a real
+ * game never shows; 0 means static areas are perfectly stable.
  * 
- * @param {HTMLCanvasElement} canvas - The canvas containing pixelated image
- * @returns {p5.Image|HTMLCanvasElement} p5.Image if p5.js is available, otherwise original canvas
+ * @param {{data: ArrayLike<number>, width: number, height: number}} previous - Earlier pixelated frame
+ * @param {{data: ArrayLike<number>, width: number, height: number}} current - Next pixelated frame, same size
+ * @param {{previous: Object, current: Object}} [sources] - The two source frames (any size, same aspect ratio)
+ * @param {number} [threshold=12] - RGBA distance under which a source pixel counts as static
+ * @param {Object} [layout={}] - fit, anchor and pixelAspect the frames were made with, so the
+ *        sources line up with them (pixelAspect 1 for frames at 'original' resolution)
+ * @returns {{changed: number, flicker: number|null, staticPixels: number|null}} Fractions (0-1) of
+ *          pixels that changed, of static pixels that changed, and of pixels that are static
+ * @throws {Error} If the frames differ in size
  */
-function canvasToP5Image(canvas) {
-    if (typeof p5 !== 'undefined') {
-        const tempImage = createImage(canvas.width, canvas.height);
-        tempImage.drawingContext.drawImage(canvas, 0, 0, canvas.width, canvas.height);
-        return tempImage;
+function measureFlicker(previous, current, sources = null, threshold = PixelationConstants.DEFAULT_TEMPORAL_THRESHOLD, layout = {}) {
+    const { width, height } = current;
+    if (previous.width !== width || previous.height !== height) {
+        throw new Error('Frames must have the same size to measure flicker.');
     }
-    return canvas;
+
+    const toFrame = (source) => fitImageData(source, getGridGeometry(source.width, source.height, { ...layout, width, height }), 'box', true).data;
+    const before = sources ? toFrame(sources.previous) : null;
+    const after = sources ? toFrame(sources.current) : null;
+    const thresholdSquared = threshold * threshold;
+    let changed = 0;
+    let staticCount = 0;
+    let staticChanged = 0;
+
+    for (let idx = 0; idx < current.data.length; idx += 4) {
+        const pixelChanged = previous.data[idx] !== current.data[idx] ||
+            previous.data[idx + 1] !== current.data[idx + 1] ||
+            previous.data[idx + 2] !== current.data[idx + 2] ||
+            previous.data[idx + 3] !== current.data[idx + 3];
+        if (pixelChanged) changed++;
+
+        if (sources) {
+            const dr = after[idx] - before[idx];
+            const dg = after[idx + 1] - before[idx + 1];
+            const db = after[idx + 2] - before[idx + 2];
+            const da = after[idx + 3] - before[idx + 3];
+            if (dr * dr + dg * dg + db * db + da * da <= thresholdSquared) {
+                staticCount++;
+                if (pixelChanged) staticChanged++;
+            }
+        }
+    }
+
+    const pixelCount = width * height;
+    return {
+        changed: changed / pixelCount,
+        flicker: sources ? (staticCount > 0 ? staticChanged / staticCount : 0) : null,
+        staticPixels: sources ? staticCount / pixelCount : null,
+    };
 }
 
 /**
- * Convert an HTMLCanvasElement to a Q5.Image for Q5.js integration.
+ * Throw if an AbortSignal has fired.
  * 
- * Q5.js is a lightweight alternative to p5.js. This function provides
- * compatibility for projects using Q5.js instead of p5.js.
- * 
- * @param {HTMLCanvasElement} canvas - The canvas containing pixelated image
- * @returns {Q5.Image|HTMLCanvasElement} Q5.Image if Q5.js is available, otherwise original canvas
+ * @param {AbortSignal|null} signal - Signal to check
+ * @throws {DOMException|*} The signal's reason, or an AbortError
  */
-function canvasToQ5Image(canvas) {
-    if (typeof Q5 !== 'undefined' && typeof Q5.Image !== 'undefined') {
-        const tempImage = new Q5.Image(canvas.width, canvas.height);
-        tempImage.ctx.drawImage(canvas, 0, 0, canvas.width, canvas.height);
-        return tempImage;
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason !== undefined ? signal.reason : new DOMException('Pixelation aborted', 'AbortError');
     }
-    return canvas;
 }
+
 /**
- * Convert a p5.Graphics object to a standard HTMLCanvasElement.
- * @param {p5.Graphics} p5Graphics - The p5.Graphics object.
- * @returns {Promise<HTMLCanvasElement>} - A promise that resolves to an HTMLCanvasElement.
- */
-function convertP5GraphicsToCanvas(p5Graphics) {
-    return new Promise((resolve) => {
-        const canvasElement = document.createElement('canvas');
-        canvasElement.width = p5Graphics.width;
-        canvasElement.height = p5Graphics.height;
+ * Run pixelateImageData() in a dedicated Web Worker.
+ * 
+ * The image is handed over as an ImageBitmap and read back inside the
+ * worker with OffscreenCanvas, so neither pixel reading nor dithering
+ * blocks the page. Browsers without OffscreenCanvas get the pixels read
+ * on the main thread instead, with the buffer transferred (not copied).
+ * 
+ * Each call gets its own worker, so aborting one render terminates it
+ * immediately without touching other renders.
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} imageObject - Loaded source image
+ * @param {Object} pipelineOptions - Cloneable pixelateImageData() options (no functions)
+ * @param {Object} control - Worker settings
+ * @param {string} control.workerURL - URL of image-to-pixel.js
+ * @param {Array<string>} control.workerScripts - Extra scripts to import in the worker
+ * @param {Function|null} control.onProgress - Progress callback (0-1)
+ * @param {AbortSignal|null} control.signal - Cancels the render and terminates the worker
+ * @returns {Promise<Object>} pixelateImageData() result
+ */
+async function pixelateInWorker(imageObject, pipelineOptions, { workerURL, workerScripts, onProgress, signal }) {
+    const message = {
+        options: pipelineOptions,
+        // Resolve relative to the page; inside the worker they would resolve against workerURL
+        scripts: workerScripts.map(script => new URL(script, location.href).href),
+    };
+    let transfer;
+    if (typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+        message.bitmap = await createImageBitmap(imageObject);
+        transfer = [message.bitmap];
+    } else {
+        const { data, width, height } = readImagePixels(imageObject);
+        message.source = { data, width, height };
+        transfer = [data.buffer];
+    }
+    throwIfAborted(signal);
 
-        const ctx = canvasElement.getContext('2d');
-        ctx.drawImage(p5Graphics.elt, 0, 0);
+    const pixelWorker = new Worker(workerURL);
 
-        resolve(canvasElement);
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            pixelWorker.terminate();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            finish();
+            reject(signal.reason !== undefined ? signal.reason : new DOMException('Pixelation aborted', 'AbortError'));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        pixelWorker.onmessage = (event) => {
+            const reply = event.data;
+            if (reply.type === 'progress') {
+                if (onProgress) onProgress(reply.fraction);
+            } else if (reply.type === 'result') {
+                finish();
+                resolve(reply.result);
+            } else if (reply.type === 'error') {
+                finish();
+                reject(new Error(reply.message));
+            }
+        };
+        pixelWorker.onerror = (event) => {
+            finish();
+            reject(new Error(`Pixelation worker failed: ${event.message}`));
+        };
+
+        pixelWorker.postMessage(message, transfer);
     });
 }
+
 /**
- * Load the original image from various input formats.
+ * Handle a render request inside a pixelation worker.
  * 
- * This function provides a unified interface for loading images from
- * multiple sources, making the library flexible for different workflows.
- * It's essential for batch processing training data from various sources.
+ * Counterpart of pixelateInWorker(): reads the pixels (from an ImageBitmap
+ * via OffscreenCanvas, or a transferred buffer), runs the headless core and
+ * posts throttled progress followed by the result buffer.
  * 
- * SUPPORTED FORMATS:
- * - HTMLImageElement: Direct image elements from the DOM
- * - HTMLCanvasElement: Existing canvas with rendered content
- * - ImageData: Raw pixel data from canvas operations
- * - p5.Graphics/p5.Renderer: p5.js drawing surfaces
- * - Q5.Image/Q5.Graphics: Q5.js image objects
- * - OffscreenCanvas: Web Worker compatible canvases
- * - String URLs: Remote or data URLs for loading images
+ * @param {{options: Object, scripts: Array<string>, bitmap?: ImageBitmap, source?: Object}} job - Render request
+ */
+function handleWorkerJob(job) {
+    try {
+        if (job.scripts.length > 0) {
+            importScripts(...job.scripts);
+        }
+
+        let source = job.source;
+        if (job.bitmap) {
+            const canvas = new OffscreenCanvas(job.bitmap.width, job.bitmap.height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(job.bitmap, 0, 0);
+            job.bitmap.close();
+            source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        }
+
+        // Throttle progress so large renders don't flood the main thread with messages
+        let reported = 0;
+        const onProgress = (fraction) => {
+            if (fraction - reported >= PixelationConstants.WORKER_PROGRESS_STEP || fraction === 1) {
+                reported = fraction;
+                self.postMessage({ type: 'progress', fraction });
+            }
+        };
+
+        const result = pixelateImageData(source, { ...job.options, onProgress });
+        self.postMessage({ type: 'result', result }, [result.data.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
+
+/**
+ * Validate the requested pixel width against PixelationConstants.
  * 
- * The function normalizes all inputs to either HTMLImageElement or
- * HTMLCanvasElement for consistent processing downstream.
+ * @param {number} width - Target width in pixels
+ * @throws {Error} If the width is missing or out of range
+ */
+function validatePixelWidth(width) {
+    if (!width || width < PixelationConstants.MIN_PIXEL_WIDTH) {
+        throw new Error(`Width must be at least ${PixelationConstants.MIN_PIXEL_WIDTH} pixels.`);
+    }
+    if (width > PixelationConstants.MAX_PIXEL_WIDTH) {
+        throw new Error(`Width cannot exceed ${PixelationConstants.MAX_PIXEL_WIDTH} pixels.`);
+    }
+}
+
+/**
+ * Validate an explicit pixel height against the same bounds as the width.
  * 
- * @param {any} src - The input image in any supported format
- * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Normalized image ready for processing
- * @throws {Error} If the source format is not supported
+ * @param {number|null} height - Requested height in pixels, or null for automatic
+ * @throws {Error} If the height is out of range
  */
-function loadOriginalImage(src) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Handle File objects by creating a data URL
-            if (src instanceof File) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const img = new Image();
-                    img.crossOrigin = 'Anonymous';
-                    img.src = e.target.result;
-                    img.onload = () => resolve(img);
-                    img.onerror = (err) => reject(new Error(`Failed to load image from file: ${err.message}`));
-                };
-                reader.onerror = (err) => reject(new Error(`FileReader error: ${err.message}`));
-                reader.readAsDataURL(src);
-                return;
-            }
+function validatePixelHeight(height) {
+    if (height === null || height === undefined) return;
+    if (!Number.isInteger(height) || height < PixelationConstants.MIN_PIXEL_WIDTH) {
+        throw new Error(`Height must be an integer of at least ${PixelationConstants.MIN_PIXEL_WIDTH} pixels.`);
+    }
+    if (height > PixelationConstants.MAX_PIXEL_WIDTH) {
+        throw new Error(`Height cannot exceed ${PixelationConstants.MAX_PIXEL_WIDTH} pixels.`);
+    }
+}
 
-            // Directly resolve if the source is an HTMLImageElement
-            if (src instanceof HTMLImageElement) {
-                resolve(src);
-                return;
-            }
+/**
+ * Validate an integer upscale factor.
+ * 
+ * @param {number|null} scale - Requested scale, or null to follow `resolution`
+ * @throws {Error} If the scale is not an integer from 1 to MAX_SCALE
+ */
+function validateScale(scale) {
+    if (scale === null || scale === undefined) return;
+    if (!Number.isInteger(scale) || scale < 1 || scale > PixelationConstants.MAX_SCALE) {
+        throw new Error(`Scale must be an integer from 1 to ${PixelationConstants.MAX_SCALE}.`);
+    }
+}
 
-            // Handle HTMLCanvasElement, return the canvas directly
-            if (src instanceof HTMLCanvasElement) {
-                resolve(src); // return the canvas directly
-                return;
-            }
+/**
+ * Validate display overlay intensities.
+ * 
+ * @param {Object} overlay - {grid, scanlines, shadowMask, bloom}, each 0-1
+ * @throws {Error} If a key is unknown or an intensity is out of range
+ */
+function validateDisplayOverlay(overlay) {
+    for (const [name, amount] of Object.entries(overlay)) {
+        if (!DISPLAY_OVERLAYS.includes(name)) {
+            throw new Error(`Unknown display overlay: ${name}`);
+        }
+        if (typeof amount !== 'number' || !(amount >= 0 && amount <= 1)) {
+            throw new Error(`Overlay "${name}" must be a number between 0 and 1.`);
+        }
+    }
+}
 
-            // Handle ImageData by converting it to a canvas
-            if (src instanceof ImageData) {
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = src.width;
-                tempCanvas.height = src.height;
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.putImageData(src, 0, 0);
-                resolve(tempCanvas); // return the created canvas
-                return;
-            }
+/**
+ * Resolve a palette option into RGB arrays.
+ * 
+ * Arrays of hex strings (or RGB arrays) are converted directly;
+ * strings are treated as Lospec slugs and fetched. Works in both
+ * the browser and Node 18+ (global fetch).
+ * 
+ * @param {string|Array|null} palette - Palette option as passed to pixelate()
+ * @returns {Promise<Array<Array<number>>|null>} Palette as RGB arrays, or null
+ */
+async function resolvePaletteColors(palette) {
+    if (!palette) return null;
+    if (Array.isArray(palette)) {
+        return normalizePaletteColors(palette);
+    }
+    if (typeof palette === 'string') {
+        return fetchPalette(palette);
+    }
+    return null;
+}
 
-            // Handle p5.Graphics or p5.Renderer, return the canvas directly
-            if (src.elt && src.elt instanceof HTMLCanvasElement) {
-                resolve(src.elt); // p5.Graphics or p5.Renderer object, return canvas
-                return;
+/**
+ * Convert a palette of hex strings and/or RGB arrays into RGB arrays.
+ * 
+ * Palettes that are already RGB arrays are returned unchanged so that
+ * per-palette caches keyed by array identity keep working across frames.
+ * 
+ * @param {Array<Array<number>|string>} palette - Palette colors
+ * @returns {Array<Array<number>>} Palette as RGB arrays
+ */
+function normalizePaletteColors(palette) {
+    if (palette.every(Array.isArray)) return palette;
+    return palette.map(color => typeof color === 'string' ? hexToRgb(color) : color);
+}
+
+/**
+ * Read the full-size RGBA pixels of a loaded image or canvas.
+ * 
+ * The source is drawn 1:1 onto a scratch canvas so no browser
+ * resampling is involved; downscaling happens in resizeImageData.
+ * 
+ * @param {HTMLImageElement|HTMLCanvasElement} imageObject - Normalized image from loadOriginalImage
+ * @returns {ImageData} Source pixels at their original size
+ */
+function readImagePixels(imageObject) {
+    const canvas = document.createElement('canvas');
+    canvas.width = imageObject.width;
+    canvas.height = imageObject.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(imageObject, 0, 0, imageObject.width, imageObject.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Resize RGBA pixels by averaging every source pixel covered by each cell.
+ * 
+ * Cell bounds use integer math so results are reproducible across
+ * platforms. When enlarging, each cell covers a single source pixel,
+ * which makes this equivalent to nearest-neighbour sampling.
+ * 
+ * With weightByAlpha, colors are averaged in proportion to their alpha so
+ * transparent pixels (often black) don't darken the edges of opaque ones.
+ * For fully opaque images both modes give identical results.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {boolean} [weightByAlpha=false] - Weight each color by its alpha
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
+ */
+function resizeImageData(source, targetWidth, targetHeight, weightByAlpha = false) {
+    const { data, width, height } = source;
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+
+    for (let y = 0; y < targetHeight; y++) {
+        const y0 = Math.floor(y * height / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / targetHeight));
+        for (let x = 0; x < targetWidth; x++) {
+            const x0 = Math.floor(x * width / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / targetWidth));
+
+            let r = 0, g = 0, b = 0, a = 0;
+            let wr = 0, wg = 0, wb = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const idx = (sy * width + sx) * 4;
+                    r += data[idx];
+                    g += data[idx + 1];
+                    b += data[idx + 2];
+                    a += data[idx + 3];
+                    if (weightByAlpha) {
+                        wr += data[idx] * data[idx + 3];
+                        wg += data[idx + 1] * data[idx + 3];
+                        wb += data[idx + 2] * data[idx + 3];
+                    }
+                }
             }
 
-            // Handle Q5.Image or Q5.Graphics, return the canvas directly
-            if (src.canvas && src.canvas instanceof HTMLCanvasElement) {
-                resolve(src.canvas); // Q5.Graphics or Q5.Image object, return canvas
-                return;
+            const count = (y1 - y0) * (x1 - x0);
+            const outIdx = (y * targetWidth + x) * 4;
+            if (weightByAlpha && a > 0) {
+                output[outIdx] = Math.round(wr / a);
+                output[outIdx + 1] = Math.round(wg / a);
+                output[outIdx + 2] = Math.round(wb / a);
+            } else {
+                output[outIdx] = Math.round(r / count);
+                output[outIdx + 1] = Math.round(g / count);
+                output[outIdx + 2] = Math.round(b / count);
             }
+            output[outIdx + 3] = Math.round(a / count);
+        }
+    }
 
-            // Handle OffscreenCanvas, convert it to an HTMLCanvasElement
-            if (src.canvas instanceof OffscreenCanvas) {
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = src.canvas.width;
-                tempCanvas.height = src.canvas.height;
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.drawImage(src.canvas, 0, 0);
-                resolve(tempCanvas); // return the converted canvas
-                return;
+    return { data: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Downsampling methods for building the pixel grid.
+ * 
+ * - 'box': Area average of every source pixel in the cell (default)
+ * - 'nearest': The source pixel at the center of the cell, no blending
+ * - 'median': Per-channel median of the cell, drops isolated specks
+ * - 'mode': Most frequent color in the cell; ties go to the darker
+ *   color, so thin dark outlines survive
+ * - 'lanczos': Lanczos-3 filter, sharpest edges with slight ringing
+ * 
+ * All of them run in plain JavaScript, so the browser and Node build the
+ * same grid from the same pixels.
+ */
+const DOWNSAMPLE_METHODS = ['box', 'nearest', 'median', 'mode', 'lanczos'];
+
+/**
+ * Resize RGBA pixels to the pixel grid with one of DOWNSAMPLE_METHODS.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {string} [method='box'] - Downsampling method
+ * @param {boolean} [weightByAlpha=false] - Keep transparent pixels' colors out of the result
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
+ * @throws {Error} If the method is unknown
+ */
+function downsampleImageData(source, targetWidth, targetHeight, method = 'box', weightByAlpha = false) {
+    switch (method) {
+        case 'box':
+            return resizeImageData(source, targetWidth, targetHeight, weightByAlpha);
+        case 'nearest':
+            return nearestDownsample(source, targetWidth, targetHeight);
+        case 'median':
+            return medianDownsample(source, targetWidth, targetHeight, weightByAlpha);
+        case 'mode':
+            return modeDownsample(source, targetWidth, targetHeight, weightByAlpha);
+        case 'lanczos':
+            return lanczosResample(source, targetWidth, targetHeight, weightByAlpha);
+        default:
+            throw new Error(`Unknown downsampling method: ${method}`);
+    }
+}
+
+/**
+ * Sample the source pixel at the center of each grid cell.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
+ */
+function nearestDownsample(source, targetWidth, targetHeight) {
+    const { data, width, height } = source;
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+
+    for (let y = 0; y < targetHeight; y++) {
+        const sy = Math.min(height - 1, Math.floor((y + 0.5) * height / targetHeight));
+        for (let x = 0; x < targetWidth; x++) {
+            const sx = Math.min(width - 1, Math.floor((x + 0.5) * width / targetWidth));
+            const srcIdx = (sy * width + sx) * 4;
+            const outIdx = (y * targetWidth + x) * 4;
+            output[outIdx] = data[srcIdx];
+            output[outIdx + 1] = data[srcIdx + 1];
+            output[outIdx + 2] = data[srcIdx + 2];
+            output[outIdx + 3] = data[srcIdx + 3];
+        }
+    }
+
+    return { data: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Per-channel median of each grid cell (cells as in resizeImageData).
+ * 
+ * With weightByAlpha, colors come from the visible pixels of the cell
+ * only; alpha is the median over all of them.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {boolean} [weightByAlpha=false] - Ignore transparent pixels' colors
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
+ */
+function medianDownsample(source, targetWidth, targetHeight, weightByAlpha = false) {
+    const { data, width, height } = source;
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const maxCell = (Math.ceil(width / targetWidth) + 1) * (Math.ceil(height / targetHeight) + 1);
+    const channels = [new Uint8Array(maxCell), new Uint8Array(maxCell), new Uint8Array(maxCell), new Uint8Array(maxCell)];
+    const median = (values, count) => {
+        const sorted = values.subarray(0, count).sort();
+        const middle = count >> 1;
+        return count % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    };
+
+    for (let y = 0; y < targetHeight; y++) {
+        const y0 = Math.floor(y * height / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / targetHeight));
+        for (let x = 0; x < targetWidth; x++) {
+            const x0 = Math.floor(x * width / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / targetWidth));
+
+            let count = 0;
+            let visible = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const idx = (sy * width + sx) * 4;
+                    channels[3][count++] = data[idx + 3];
+                    if (!weightByAlpha || data[idx + 3] > 0) {
+                        channels[0][visible] = data[idx];
+                        channels[1][visible] = data[idx + 1];
+                        channels[2][visible] = data[idx + 2];
+                        visible++;
+                    }
+                }
             }
-            //Handle T5js
-            if (src.element) {
-                resolve(src.element);
-                return;
+
+            const outIdx = (y * targetWidth + x) * 4;
+            if (visible > 0) {
+                output[outIdx] = median(channels[0], visible);
+                output[outIdx + 1] = median(channels[1], visible);
+                output[outIdx + 2] = median(channels[2], visible);
             }
-            // Handle URL strings by loading an image
-            if (typeof src === 'string') {
-                const img = new Image();
-                img.crossOrigin = 'Anonymous';
-                img.src = src;
+            output[outIdx + 3] = median(channels[3], count);
+        }
+    }
 
-                img.onload = () => resolve(img);
-                img.onerror = (err) => {
-                    reject(new Error(`Failed to load image: ${err.message}`));
-                };
-                return;
+    return { data: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Most frequent color of each grid cell (cells as in resizeImageData).
+ * 
+ * Ties go to the darker color (Rec. 601 luma), then to the first one
+ * found, so a one-pixel outline wins against an evenly split background.
+ * With weightByAlpha, all fully transparent pixels count as one color,
+ * which loses ties against any visible color.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {boolean} [weightByAlpha=false] - Merge transparent pixels regardless of their color
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
+ */
+function modeDownsample(source, targetWidth, targetHeight, weightByAlpha = false) {
+    const { data, width, height } = source;
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const counts = new Map();
+
+    for (let y = 0; y < targetHeight; y++) {
+        const y0 = Math.floor(y * height / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / targetHeight));
+        for (let x = 0; x < targetWidth; x++) {
+            const x0 = Math.floor(x * width / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / targetWidth));
+
+            counts.clear();
+            let bestKey = 0;
+            let bestCount = 0;
+            let bestLuma = Infinity;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const idx = (sy * width + sx) * 4;
+                    const transparent = weightByAlpha && data[idx + 3] === 0;
+                    const key = transparent ? 0 :
+                        ((data[idx] << 24) | (data[idx + 1] << 16) | (data[idx + 2] << 8) | data[idx + 3]) >>> 0;
+                    const count = (counts.get(key) || 0) + 1;
+                    counts.set(key, count);
+
+                    const luma = transparent ? Infinity : 299 * data[idx] + 587 * data[idx + 1] + 114 * data[idx + 2];
+                    if (count > bestCount || (count === bestCount && luma < bestLuma)) {
+                        bestKey = key;
+                        bestCount = count;
+                        bestLuma = luma;
+                    }
+                }
             }
 
-            // Handle unexpected sources
-            console.warn('Unsupported or invalid image source.');
-            reject(new Error('Unsupported or invalid image source.'));
-        } catch (error) {
-            console.warn(`Error when loading image: ${error.message}`);
-            reject(error);
+            const outIdx = (y * targetWidth + x) * 4;
+            output[outIdx] = bestKey >>> 24;
+            output[outIdx + 1] = (bestKey >>> 16) & 0xFF;
+            output[outIdx + 2] = (bestKey >>> 8) & 0xFF;
+            output[outIdx + 3] = bestKey & 0xFF;
         }
-    });
+    }
+
+    return { data: output, width: targetWidth, height: targetHeight };
 }
 
 /**
- * Cache for fetched color palettes to avoid redundant API calls.
- * This improves performance when processing multiple images with the same palette.
+ * Lanczos-3 kernel.
+ * 
+ * @param {number} x - Distance from the sample center in (scaled) pixels
+ * @returns {number} Filter weight
  */
-let cachedPalette = { name: null, colors: null };
+function lanczosKernel(x) {
+    if (x === 0) return 1;
+    if (x <= -3 || x >= 3) return 0;
+    const px = Math.PI * x;
+    return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+}
 
 /**
- * Fetch a color palette from the Lospec API.
- * 
- * Lospec is a community database of pixel art color palettes. Using
- * established palettes ensures training data has authentic pixel art
- * color schemes that models can learn to recognize and reproduce.
- * 
- * The function caches fetched palettes to reduce API calls during
- * batch processing, which is important for generating large datasets.
+ * Filter weights for resampling one axis with Lanczos-3.
  * 
- * POPULAR PALETTES FOR TRAINING:
- * - 'pico-8': 16 colors, classic fantasy console palette
- * - 'endesga-32': 32 colors, versatile general-purpose palette
- * - 'resurrect-64': 64 colors, comprehensive range for detailed art
- * - 'sweetie-16': 16 colors, pastel tones for softer aesthetics
+ * When shrinking, the kernel is stretched by the scale factor so every
+ * source pixel contributes (no aliasing). Edges repeat the border pixel.
  * 
- * @param {string} paletteName - The Lospec palette slug (e.g., 'pico-8')
- * @returns {Promise<Array<Array<number>>>} RGB color arrays [[r,g,b], ...]
- * @throws {Error} If the palette cannot be fetched from Lospec
+ * @param {number} sourceSize - Source length in pixels
+ * @param {number} targetSize - Target length in pixels
+ * @returns {Array<{indices: Int32Array, weights: Float64Array}>} Normalized taps per target pixel
  */
-function fetchPalette(paletteName) {
-    const paletteUrl = `https://lospec.com/palette-list/${paletteName}.json`;
-    if (cachedPalette.name === paletteName) { return Promise.resolve(cachedPalette.colors); }
-    return fetch(paletteUrl)
-        .then(response => {
-            if (!response.ok) throw new Error('Palette not found');
-            return response.json();
-        })
-        .then(data => {
-            const colors = data.colors.map(hexToRgb);
-            // Cache the fetched palette
-            cachedPalette.name = paletteName;
-            cachedPalette.colors = colors;
-            return colors;
-        })
-        .catch(error => {
-            console.warn('Error fetching palette:', error);
-            throw error;
-        });
+function getLanczosTaps(sourceSize, targetSize) {
+    const scale = sourceSize / targetSize;
+    const filterScale = Math.max(1, scale);
+    const support = 3 * filterScale;
+    const taps = [];
 
+    for (let i = 0; i < targetSize; i++) {
+        const center = (i + 0.5) * scale - 0.5;
+        const start = Math.ceil(center - support);
+        const end = Math.floor(center + support);
+        const indices = new Int32Array(end - start + 1);
+        const weights = new Float64Array(end - start + 1);
+        let total = 0;
+        for (let j = start; j <= end; j++) {
+            const weight = lanczosKernel((j - center) / filterScale);
+            indices[j - start] = Math.min(sourceSize - 1, Math.max(0, j));
+            weights[j - start] = weight;
+            total += weight;
+        }
+        for (let k = 0; k < weights.length; k++) weights[k] /= total;
+        taps.push({ indices, weights });
+    }
+    return taps;
 }
 
 /**
- * Convert hexadecimal color string to RGB array.
+ * Resample RGBA pixels with a separable Lanczos-3 filter.
  * 
- * This utility function converts hex color codes (common in palettes)
- * to RGB arrays needed for pixel manipulation. It handles both
- * 3-character and 6-character hex codes with or without '#' prefix.
+ * With weightByAlpha, colors are filtered premultiplied by alpha so
+ * transparent pixels don't bleed into opaque edges.
  * 
- * @param {string} hex - Hex color code (e.g., '#FF0000' or 'FF0000')
- * @returns {Array<number>} RGB values as [red, green, blue] (0-255 range)
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @param {boolean} [weightByAlpha=false] - Filter premultiplied colors
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resized pixels
  */
-function hexToRgb(hex) {
-    hex = hex.replace('#', '');
-    const bigint = parseInt(hex, 16);
-    return [bigint >> 16 & 255, bigint >> 8 & 255, bigint & 255];
+function lanczosResample(source, targetWidth, targetHeight, weightByAlpha = false) {
+    const { data, width, height } = source;
+    const columnTaps = getLanczosTaps(width, targetWidth);
+    const rowTaps = getLanczosTaps(height, targetHeight);
+
+    // Horizontal pass: source rows to target columns
+    const horizontal = new Float64Array(targetWidth * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < targetWidth; x++) {
+            const { indices, weights } = columnTaps[x];
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = 0; k < indices.length; k++) {
+                const idx = (y * width + indices[k]) * 4;
+                const alphaWeight = weightByAlpha ? data[idx + 3] / 255 : 1;
+                const weight = weights[k];
+                r += data[idx] * alphaWeight * weight;
+                g += data[idx + 1] * alphaWeight * weight;
+                b += data[idx + 2] * alphaWeight * weight;
+                a += data[idx + 3] * weight;
+            }
+            const outIdx = (y * targetWidth + x) * 4;
+            horizontal[outIdx] = r;
+            horizontal[outIdx + 1] = g;
+            horizontal[outIdx + 2] = b;
+            horizontal[outIdx + 3] = a;
+        }
+    }
+
+    // Vertical pass, then undo the alpha premultiplication
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    for (let y = 0; y < targetHeight; y++) {
+        const { indices, weights } = rowTaps[y];
+        for (let x = 0; x < targetWidth; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = 0; k < indices.length; k++) {
+                const idx = (indices[k] * targetWidth + x) * 4;
+                const weight = weights[k];
+                r += horizontal[idx] * weight;
+                g += horizontal[idx + 1] * weight;
+                b += horizontal[idx + 2] * weight;
+                a += horizontal[idx + 3] * weight;
+            }
+            const outIdx = (y * targetWidth + x) * 4;
+            const unpremultiply = weightByAlpha ? (a > 0 ? 255 / a : 0) : 1;
+            output[outIdx] = Math.round(r * unpremultiply);
+            output[outIdx + 1] = Math.round(g * unpremultiply);
+            output[outIdx + 2] = Math.round(b * unpremultiply);
+            output[outIdx + 3] = Math.round(a);
+        }
+    }
+
+    return { data: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Work out how a source image maps onto the pixel grid.
+ * 
+ * pixelAspect is the height of one grid pixel relative to its width as
+ * displayed (1.2 for Doom's 320x200 shown at 4:3). Without a height, the
+ * grid keeps the source's shape at that pixel aspect. With a height, fit
+ * decides how the source fills it (see FIT_MODES).
+ * 
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @param {Object} options - Grid options
+ * @param {number} options.width - Grid width in pixels
+ * @param {number} [options.height] - Grid height in pixels (default: from the source's aspect ratio)
+ * @param {string} [options.fit='fill'] - 'fill', 'contain' or 'cover'
+ * @param {string} [options.anchor='center'] - Where 'contain' places and 'cover' crops (see FIT_ANCHORS)
+ * @param {number} [options.pixelAspect=1] - Grid pixel height / width
+ * @returns {{width: number, height: number, crop: Object, content: Object, frameWidth: number, frameHeight: number}}
+ *          Grid size; `crop`, the source rectangle used; `content`, the grid rectangle it lands in;
+ *          and the frame size in source pixels, used for 'original' resolution
+ * @throws {Error} If fit, anchor or pixelAspect is invalid
+ */
+function getGridGeometry(sourceWidth, sourceHeight, options) {
+    const { width, height = null, fit = 'fill', anchor = 'center', pixelAspect = 1 } = options;
+
+    if (!FIT_MODES.includes(fit)) {
+        throw new Error(`Unknown fit mode: ${fit}`);
+    }
+    if (!FIT_ANCHORS[anchor]) {
+        throw new Error(`Unknown anchor: ${anchor}`);
+    }
+    if (typeof pixelAspect !== 'number' || !(pixelAspect > 0) || !isFinite(pixelAspect)) {
+        throw new Error('Pixel aspect must be a positive number.');
+    }
+
+    const source = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+    if (height === null || height === undefined) {
+        const pixelsHigh = Math.max(1, Math.round(width * sourceHeight / sourceWidth / pixelAspect));
+        return {
+            width,
+            height: pixelsHigh,
+            crop: source,
+            content: { x: 0, y: 0, width, height: pixelsHigh },
+            frameWidth: sourceWidth,
+            frameHeight: sourceHeight,
+        };
+    }
+
+    const [anchorX, anchorY] = FIT_ANCHORS[anchor];
+    const grid = { x: 0, y: 0, width, height };
+    // Shape (width / height) of the grid as displayed
+    const gridAspect = width / (height * pixelAspect);
+    const sourceAspect = sourceWidth / sourceHeight;
+
+    if (fit === 'cover') {
+        const cropWidth = sourceAspect > gridAspect ? Math.max(1, Math.round(sourceHeight * gridAspect)) : sourceWidth;
+        const cropHeight = sourceAspect > gridAspect ? sourceHeight : Math.max(1, Math.round(sourceWidth / gridAspect));
+        return {
+            width,
+            height,
+            crop: {
+                x: Math.round((sourceWidth - cropWidth) * anchorX),
+                y: Math.round((sourceHeight - cropHeight) * anchorY),
+                width: cropWidth,
+                height: cropHeight,
+            },
+            content: grid,
+            frameWidth: cropWidth,
+            frameHeight: cropHeight,
+        };
+    }
+
+    if (fit === 'contain') {
+        const wider = sourceAspect > gridAspect;
+        const contentWidth = wider ? width : Math.min(width, Math.max(1, Math.round(height * pixelAspect * sourceAspect)));
+        const contentHeight = wider ? Math.min(height, Math.max(1, Math.round(width / pixelAspect / sourceAspect))) : height;
+        return {
+            width,
+            height,
+            crop: source,
+            content: {
+                x: Math.round((width - contentWidth) * anchorX),
+                y: Math.round((height - contentHeight) * anchorY),
+                width: contentWidth,
+                height: contentHeight,
+            },
+            frameWidth: wider ? sourceWidth : Math.round(sourceHeight * gridAspect),
+            frameHeight: wider ? Math.round(sourceWidth / gridAspect) : sourceHeight,
+        };
+    }
+
+    return { width, height, crop: source, content: grid, frameWidth: sourceWidth, frameHeight: sourceHeight };
+}
+
+/**
+ * Build the pixel grid for a geometry from getGridGeometry(): crop the
+ * source, downsample it into the content rectangle and leave the rest of
+ * the grid transparent.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA source pixels
+ * @param {Object} geometry - Result of getGridGeometry() for this source
+ * @param {string} [method='box'] - Downsampling method (see DOWNSAMPLE_METHODS)
+ * @param {boolean} [weightByAlpha=false] - Keep transparent pixels' colors out of the result
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Grid pixels
+ */
+function fitImageData(source, geometry, method = 'box', weightByAlpha = false) {
+    const { crop, content } = geometry;
+
+    // Rows are copied with subarray(), which plain arrays don't have
+    if (!ArrayBuffer.isView(source.data)) {
+        source = { data: Uint8ClampedArray.from(source.data), width: source.width, height: source.height };
+    }
+
+    let region = source;
+    if (crop.width !== source.width || crop.height !== source.height) {
+        const data = new Uint8ClampedArray(crop.width * crop.height * 4);
+        for (let y = 0; y < crop.height; y++) {
+            const start = ((crop.y + y) * source.width + crop.x) * 4;
+            data.set(source.data.subarray(start, start + crop.width * 4), y * crop.width * 4);
+        }
+        region = { data, width: crop.width, height: crop.height };
+    }
+
+    const resized = downsampleImageData(region, content.width, content.height, method, weightByAlpha);
+    if (content.width === geometry.width && content.height === geometry.height) {
+        return resized;
+    }
+
+    const output = new Uint8ClampedArray(geometry.width * geometry.height * 4);
+    for (let y = 0; y < content.height; y++) {
+        const start = y * content.width * 4;
+        output.set(resized.data.subarray(start, start + content.width * 4), ((content.y + y) * geometry.width + content.x) * 4);
+    }
+    return { data: output, width: geometry.width, height: geometry.height };
+}
+
+/**
+ * Scale RGBA pixels with nearest-neighbour sampling.
+ * 
+ * Used to blow the pixel grid back up to the source size without
+ * smoothing, replacing the canvas drawImage path so Node and the
+ * browser agree exactly.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels
+ * @param {number} targetWidth - Output width in pixels
+ * @param {number} targetHeight - Output height in pixels
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Scaled pixels
+ */
+function scaleNearest(source, targetWidth, targetHeight) {
+    const { data, width, height } = source;
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+
+    for (let y = 0; y < targetHeight; y++) {
+        const sy = Math.floor(y * height / targetHeight);
+        for (let x = 0; x < targetWidth; x++) {
+            const sx = Math.floor(x * width / targetWidth);
+            const srcIdx = (sy * width + sx) * 4;
+            const outIdx = (y * targetWidth + x) * 4;
+            output[outIdx] = data[srcIdx];
+            output[outIdx + 1] = data[srcIdx + 1];
+            output[outIdx + 2] = data[srcIdx + 2];
+            output[outIdx + 3] = data[srcIdx + 3];
+        }
+    }
+
+    return { data: output, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Draw display overlays (see DISPLAY_OVERLAYS) on a copy of a pixelated image.
+ * 
+ * The image can be at any size; grid lines and scanlines follow the cells
+ * of the gridWidth x gridHeight pixel grid it was scaled up from, so they
+ * line up best with an integer `scale`. Only RGB changes, alpha is kept.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - Pixelated RGBA pixels
+ * @param {number} gridWidth - Width of the pixel grid behind the image
+ * @param {number} gridHeight - Height of the pixel grid behind the image
+ * @param {Object} overlay - Intensities from 0 to 1: {grid, scanlines, shadowMask, bloom}
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} New image with overlays
+ * @throws {Error} If an overlay is unknown or out of range
+ */
+function applyDisplayOverlay(image, gridWidth, gridHeight, overlay) {
+    validateDisplayOverlay(overlay);
+    const { grid = 0, scanlines = 0, shadowMask = 0, bloom = 0 } = overlay;
+    const { width, height } = image;
+    const output = new Uint8ClampedArray(image.data);
+
+    // Grid cell of every output column and row
+    const cellColumn = new Int32Array(width);
+    const cellRow = new Int32Array(height);
+    for (let x = 0; x < width; x++) cellColumn[x] = Math.floor(x * gridWidth / width);
+    for (let y = 0; y < height; y++) cellRow[y] = Math.floor(y * gridHeight / height);
+
+    // Position of each output row inside its cell, for scanlines
+    const rowInCell = new Float64Array(height);
+    for (let y = 0, start = 0; y < height; y++) {
+        if (y > 0 && cellRow[y] !== cellRow[y - 1]) start = y;
+        let end = y + 1;
+        while (end < height && cellRow[end] === cellRow[y]) end++;
+        // Cells one row high fall back to alternate output rows
+        rowInCell[y] = end - start > 1 ? (y - start) / (end - start) : y % 2 * 0.5;
+    }
+
+    for (let y = 0; y < height; y++) {
+        const gridRow = y === 0 || cellRow[y] !== cellRow[y - 1];
+        const rowFactor = (gridRow ? 1 - grid : 1) * (rowInCell[y] >= 0.5 ? 1 - scanlines : 1);
+        for (let x = 0; x < width; x++) {
+            const gridColumn = x === 0 || cellColumn[x] !== cellColumn[x - 1];
+            const factor = rowFactor * (gridColumn && !gridRow ? 1 - grid : 1);
+            const idx = (y * width + x) * 4;
+            const phosphor = x % 3;
+            for (let c = 0; c < 3; c++) {
+                output[idx + c] = output[idx + c] * factor * (c === phosphor ? 1 : 1 - shadowMask);
+            }
+        }
+    }
+
+    if (bloom > 0) {
+        // Screen-blend a blurred copy of the clean image, about half a cell wide
+        const radius = Math.max(1, Math.round(width / gridWidth / 2));
+        const glow = blurRGB(image, radius);
+        for (let idx = 0, i = 0; idx < output.length; idx += 4, i += 3) {
+            for (let c = 0; c < 3; c++) {
+                output[idx + c] = 255 - (255 - output[idx + c]) * (255 - glow[i + c] * bloom) / 255;
+            }
+        }
+    }
+
+    return { data: output, width, height };
+}
+
+/**
+ * Blur the RGB channels of an image with two passes of a separable box
+ * filter, a cheap approximation of a Gaussian. Edges repeat the border.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @param {number} radius - Box radius in pixels
+ * @returns {Float32Array} Blurred RGB values, three per pixel
+ */
+function blurRGB(image, radius) {
+    const { data, width, height } = image;
+    let current = new Float32Array(width * height * 3);
+    for (let i = 0, idx = 0; idx < data.length; i += 3, idx += 4) {
+        current[i] = data[idx];
+        current[i + 1] = data[idx + 1];
+        current[i + 2] = data[idx + 2];
+    }
+
+    const size = 2 * radius + 1;
+    let next = new Float32Array(current.length);
+    const boxPass = (length, lines, stride, lineStride) => {
+        for (let line = 0; line < lines; line++) {
+            const base = line * lineStride;
+            for (let c = 0; c < 3; c++) {
+                const at = (k) => current[base + Math.min(length - 1, Math.max(0, k)) * stride + c];
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) sum += at(k);
+                for (let k = 0; k < length; k++) {
+                    next[base + k * stride + c] = sum / size;
+                    sum += at(k + radius + 1) - at(k - radius);
+                }
+            }
+        }
+        [current, next] = [next, current];
+    };
+
+    for (let pass = 0; pass < 2; pass++) {
+        boxPass(width, height, 3, width * 3);
+        boxPass(height, width, width * 3, 3);
+    }
+    return current;
+}
+
+/**
+ * Validate pre-quantization adjustments against ADJUSTMENTS.
+ * 
+ * @param {Object} adjustments - Adjustment values by name
+ * @throws {Error} If a key is unknown, a value is out of range, or the levels cross
+ */
+function validateAdjustments(adjustments) {
+    for (const [name, value] of Object.entries(adjustments)) {
+        const range = ADJUSTMENTS[name];
+        if (!range) {
+            throw new Error(`Unknown adjustment: ${name}`);
+        }
+        if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) {
+            throw new Error(`Adjustment "${name}" must be a number from ${range.min} to ${range.max}.`);
+        }
+    }
+    const { blackPoint = 0, whitePoint = 255 } = adjustments;
+    if (blackPoint >= whitePoint) {
+        throw new Error('Adjustment "blackPoint" must be below "whitePoint".');
+    }
+}
+
+/**
+ * Apply tone and color adjustments in place (see ADJUSTMENTS for the order).
+ * 
+ * Levels, brightness, contrast and gamma are combined into one lookup
+ * table shared by all channels; saturation and hue into one luminance-
+ * preserving color matrix (the same as CSS saturate() and hue-rotate()).
+ * Alpha is left alone and fully transparent pixels never affect auto levels.
+ * 
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image - RGBA pixels, modified in place
+ * @param {Object} adjustments - Adjustment values by name; missing ones are neutral
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} The same image
+ * @throws {Error} If the adjustments are invalid
+ */
+function applyAdjustments(image, adjustments) {
+    validateAdjustments(adjustments);
+    const value = (name) => adjustments[name] === undefined ? ADJUSTMENTS[name].default : adjustments[name];
+    const { data } = image;
+
+    // Levels from the luminance histogram, clipping autoLevels percent at each end
+    let blackPoint = value('blackPoint');
+    let whitePoint = value('whitePoint');
+    const autoLevels = value('autoLevels');
+    if (autoLevels > 0) {
+        const histogram = new Uint32Array(256);
+        let counted = 0;
+        for (let idx = 0; idx < data.length; idx += 4) {
+            if (data[idx + 3] === 0) continue;
+            histogram[Math.round(0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2])]++;
+            counted++;
+        }
+        const clip = counted * autoLevels / 100;
+        let low = 0;
+        for (let sum = histogram[0]; low < 255 && sum <= clip; sum += histogram[++low]);
+        let high = 255;
+        for (let sum = histogram[255]; high > 0 && sum <= clip; sum += histogram[--high]);
+        if (high > low) {
+            blackPoint = low;
+            whitePoint = high;
+        }
+    }
+
+    const brightness = value('brightness') * 2.55;
+    const contrastLevel = value('contrast') * 2.55;
+    const contrast = (259 * (contrastLevel + 255)) / (255 * (259 - contrastLevel));
+    const gamma = value('gamma');
+    const clamp = (v) => Math.min(255, Math.max(0, v));
+
+    const toneTable = new Uint8ClampedArray(256);
+    for (let v = 0; v < 256; v++) {
+        let level = clamp((v - blackPoint) * 255 / (whitePoint - blackPoint));
+        level = clamp(contrast * (level + brightness - 128) + 128);
+        toneTable[v] = Math.round(255 * Math.pow(level / 255, 1 / gamma));
+    }
+
+    // Saturation after hue rotation, both around Rec. 709 luminance
+    const saturation = 1 + value('saturation') / 100;
+    const angle = value('hue') * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const hueMatrix = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+    ];
+    const saturationMatrix = [
+        0.213 + 0.787 * saturation, 0.715 - 0.715 * saturation, 0.072 - 0.072 * saturation,
+        0.213 - 0.213 * saturation, 0.715 + 0.285 * saturation, 0.072 - 0.072 * saturation,
+        0.213 - 0.213 * saturation, 0.715 - 0.715 * saturation, 0.072 + 0.928 * saturation,
+    ];
+    const matrix = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            matrix[row * 3 + col] = saturationMatrix[row * 3] * hueMatrix[col] +
+                saturationMatrix[row * 3 + 1] * hueMatrix[3 + col] +
+                saturationMatrix[row * 3 + 2] * hueMatrix[6 + col];
+        }
+    }
+    const colorChanged = saturation !== 1 || angle !== 0;
+
+    for (let idx = 0; idx < data.length; idx += 4) {
+        const r = toneTable[data[idx]];
+        const g = toneTable[data[idx + 1]];
+        const b = toneTable[data[idx + 2]];
+        if (colorChanged) {
+            data[idx] = Math.round(matrix[0] * r + matrix[1] * g + matrix[2] * b);
+            data[idx + 1] = Math.round(matrix[3] * r + matrix[4] * g + matrix[5] * b);
+            data[idx + 2] = Math.round(matrix[6] * r + matrix[7] * g + matrix[8] * b);
+        } else {
+            data[idx] = r;
+            data[idx + 1] = g;
+            data[idx + 2] = b;
+        }
+    }
+
+    // Unsharp mask: push each channel away from its blurred value
+    const amount = value('sharpen') / 100;
+    if (amount > 0) {
+        const threshold = value('sharpenThreshold');
+        const blurred = blurRGB(image, value('sharpenRadius'));
+        for (let idx = 0, i = 0; idx < data.length; idx += 4, i += 3) {
+            for (let c = 0; c < 3; c++) {
+                const difference = data[idx + c] - blurred[i + c];
+                if (Math.abs(difference) >= threshold) {
+                    data[idx + c] = Math.round(data[idx + c] + difference * amount);
+                }
+            }
+        }
+    }
+
+    const levels = value('posterize');
+    if (levels >= 2) {
+        for (let idx = 0; idx < data.length; idx += 4) {
+            for (let c = 0; c < 3; c++) {
+                data[idx + c] = Math.round(Math.round(data[idx + c] * (levels - 1) / 255) * 255 / (levels - 1));
+            }
+        }
+    }
+
+    return image;
+}
+
+/**
+ * Apply an alpha mode's alpha changes in place (see ALPHA_MODES).
+ * 
+ * 'threshold' and 'index' cut alpha at alphaThreshold; 'dither' compares
+ * alpha against a 4x4 Bayer pattern so coverage is kept on average.
+ * 'preserve' and 'ignore' leave alpha untouched.
+ * 
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels to modify
+ * @param {string} alpha - Alpha mode
+ * @param {number} alphaThreshold - Cutoff (0-255) for 'threshold' and 'index'
+ */
+function applyAlphaMode(imageData, alpha, alphaThreshold) {
+    if (alpha !== 'threshold' && alpha !== 'index' && alpha !== 'dither') return;
+
+    const { data, width, height } = imageData;
+    const bayerMatrix = getBayerMatrix('4x4');
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4 + 3;
+            const cutoff = alpha === 'dither'
+                ? ((bayerMatrix[y % 4][x % 4] + 0.5) / 16) * 255
+                : alphaThreshold;
+            data[idx] = data[idx] >= cutoff ? 255 : 0;
+        }
+    }
+}
+
+/**
+ * Cache of palettes without their reserved transparent color, keyed by
+ * palette identity so the opaque palette (and its matcher) is reused.
+ */
+const opaquePaletteCache = new WeakMap();
+
+/**
+ * Get a palette minus the color reserved for transparency.
+ * 
+ * @param {Array<Array<number>>} palette - Full palette as RGB arrays
+ * @param {number} transparentIndex - Index of the reserved color
+ * @returns {Array<Array<number>>} Colors opaque pixels may use
+ * @throws {Error} If the index is out of range or no other color is left
+ */
+function getOpaquePalette(palette, transparentIndex) {
+    if (!Number.isInteger(transparentIndex) || transparentIndex < 0 || transparentIndex >= palette.length) {
+        throw new Error(`Transparent index ${transparentIndex} is outside the palette (0-${palette.length - 1}).`);
+    }
+    if (palette.length < 2) {
+        throw new Error('Alpha mode "index" needs at least one palette color besides the transparent one.');
+    }
+
+    let entry = opaquePaletteCache.get(palette);
+    if (!entry) {
+        entry = {};
+        opaquePaletteCache.set(palette, entry);
+    }
+    if (!entry[transparentIndex]) {
+        entry[transparentIndex] = palette.filter((_, index) => index !== transparentIndex);
+    }
+    return entry[transparentIndex];
+}
+
+/**
+ * Paint every fully transparent pixel with the reserved palette color,
+ * keeping alpha at 0, so indexed exports can map them to one entry.
+ * 
+ * @param {{data: Uint8ClampedArray}} imageData - RGBA pixels to modify
+ * @param {Array<number>} color - Reserved RGB color
+ */
+function fillTransparentPixels(imageData, color) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] !== 0) continue;
+        data[i] = color[0];
+        data[i + 1] = color[1];
+        data[i + 2] = color[2];
+    }
+}
+
+/**
+ * Retrieve the Bayer matrix for ordered dithering patterns.
+ * 
+ * Bayer matrices create predictable dithering patterns that are useful
+ * for training data because they produce consistent, reproducible results.
+ * Each matrix size creates different pattern characteristics:
+ * 
+ * - 2x2: Very subtle, minimal pattern visibility
+ * - 4x4: Balanced between subtlety and effectiveness
+ * - 8x8: More complex patterns, better tonal range
+ * - 16x16 and up: Generated recursively, up to 256 tonal levels
+ * - Clustered 4x4: Groups pixels for dot-pattern effects
+ * 
+ * These matrices are normalized to work with the threshold calculation
+ * in the ordered dithering algorithm.
+ * 
+ * @param {string} type - The Bayer matrix type to retrieve:
+ *        '2x2' - Minimal 2x2 pattern
+ *        '4x4' - Standard 4x4 Bayer matrix
+ *        '8x8' - Large 8x8 matrix for smooth gradients
+ *        'NxN' - Any larger power of two up to MAX_BAYER_SIZE (e.g. '16x16')
+ *        'clustered 4x4' - Clustered dot pattern
+ * @returns {Array<Array<number>>} The selected Bayer matrix
+ * @throws {Error} If an invalid matrix type is specified
+ */
+function getBayerMatrix(type) {
+    const sizeMatch = String(type).match(/^(\d+)x(\d+)$/);
+    const size = sizeMatch && sizeMatch[1] === sizeMatch[2] ? parseInt(sizeMatch[1]) : 0;
+    if (size > 8 && size <= DitheringCoefficients.MAX_BAYER_SIZE && (size & (size - 1)) === 0) {
+        return buildBayerMatrix(size);
+    }
+
+    switch (type) {
+        case '2x2':
+            return [
+                [0, 2],
+                [3, 1]
+            ];
+        case '4x4':
+            return [
+                [0, 8, 2, 10],
+                [12, 4, 14, 6],
+                [3, 11, 1, 9],
+                [15, 7, 13, 5]
+            ];
+        case '8x8':
+            return [
+                [0, 48, 12, 60, 3, 51, 15, 63],
+                [32, 16, 44, 28, 35, 19, 47, 31],
+                [8, 56, 4, 52, 11, 59, 7, 55],
+                [40, 24, 36, 20, 43, 27, 39, 23],
+                [2, 50, 14, 62, 1, 49, 13, 61],
+                [34, 18, 46, 30, 33, 17, 45, 29],
+                [10, 58, 6, 54, 9, 57, 5, 53],
+                [42, 26, 38, 22, 41, 25, 37, 21]
+            ];
+        case 'clustered 4x4':
+            return [
+                [7, 13, 11, 4],
+                [12, 16, 14, 8],
+                [10, 15, 6, 2],
+                [5, 9, 3, 1]
+            ];
+        default:
+            throw new Error(`Invalid Bayer matrix type: ${type} (sizes are powers of two up to ${DitheringCoefficients.MAX_BAYER_SIZE})`);
+    }
+}
+
+/** Generated Bayer matrices by size */
+const bayerMatrixCache = new Map();
+
+/**
+ * Build a Bayer matrix of a power-of-two size from the one half its size.
+ * 
+ * The result is four copies of 4M, where M is the smaller matrix, tiled
+ * as quadrants and offset by [[0, 2], [3, 1]]:
+ * [[4M, 4M + 2], [4M + 3, 4M + 1]]. Consecutive thresholds therefore
+ * alternate between quadrants and stay far apart at every scale.
+ * Matrices from 16x16 up are built from the 8x8 above and cached.
+ * 
+ * @param {number} size - Power of two, 16 or more
+ * @returns {Array<Array<number>>} Matrix holding 0 to size^2 - 1
+ */
+function buildBayerMatrix(size) {
+    if (bayerMatrixCache.has(size)) {
+        return bayerMatrixCache.get(size);
+    }
+
+    const half = size / 2;
+    const smaller = getBayerMatrix(`${half}x${half}`);
+    const offsets = [[0, 2], [3, 1]];
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        const row = new Array(size);
+        for (let x = 0; x < size; x++) {
+            row[x] = 4 * smaller[y % half][x % half] + offsets[Math.floor(y / half)][Math.floor(x / half)];
+        }
+        matrix.push(row);
+    }
+
+    bayerMatrixCache.set(size, matrix);
+    return matrix;
+}
+
+/** Blue-noise threshold maps by "size:seed" */
+const blueNoiseCache = new Map();
+
+/**
+ * Check a blue-noise map size.
+ * 
+ * @param {number} size - Map width and height
+ * @throws {Error} If the size is not an integer from 4 to MAX_BLUE_NOISE_SIZE
+ */
+function validateBlueNoiseSize(size) {
+    if (!Number.isInteger(size) || size < 4 || size > DitheringCoefficients.MAX_BLUE_NOISE_SIZE) {
+        throw new Error(`Blue noise size must be an integer from 4 to ${DitheringCoefficients.MAX_BLUE_NOISE_SIZE}.`);
+    }
+}
+
+/**
+ * Generate a blue-noise threshold map with void-and-cluster (Ulichney 1993).
+ * 
+ * Blue noise has no low-frequency structure, so ordered dithering with it
+ * looks like error diffusion without the crawling artifacts, yet stays a
+ * fixed per-pixel threshold: the same input always gives the same output.
+ * 
+ * The energy of each cell is a toroidal Gaussian sum over the set pixels,
+ * so the map tiles seamlessly:
+ * 1. Seed ~10% of the cells at random, then move the pixel in the tightest
+ *    cluster (highest energy) to the largest void (lowest energy) until stable
+ * 2. Rank the seed pixels by repeatedly removing the tightest cluster
+ * 3. Rank the remaining cells by repeatedly filling the largest void
+ * 
+ * Maps are cached per size and seed. Generation is O(size^4): about 30 ms
+ * for 32x32 and 150 ms for 64x64.
+ * 
+ * @param {number} [size=64] - Map width and height
+ * @param {number} [seed=0] - Seed for the initial random pattern
+ * @returns {Array<Array<number>>} Matrix holding each threshold rank 0 to size^2 - 1 once
+ * @throws {Error} If the size is out of range
+ */
+function getBlueNoiseMatrix(size = DitheringCoefficients.DEFAULT_BLUE_NOISE_SIZE, seed = 0) {
+    validateBlueNoiseSize(size);
+    const cacheKey = `${size}:${seed}`;
+    if (blueNoiseCache.has(cacheKey)) {
+        return blueNoiseCache.get(cacheKey);
+    }
+
+    const cellCount = size * size;
+    const sigmaFactor = 1 / (2 * DitheringCoefficients.BLUE_NOISE_SIGMA * DitheringCoefficients.BLUE_NOISE_SIGMA);
+
+    // Gaussian weight for every toroidal offset
+    const kernel = new Float64Array(cellCount);
+    for (let dy = 0; dy < size; dy++) {
+        const wy = Math.min(dy, size - dy);
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) * sigmaFactor);
+        }
+    }
+
+    const pattern = new Uint8Array(cellCount);
+    const energy = new Float64Array(cellCount);
+    const toggle = (cell, sign) => {
+        pattern[cell] = sign > 0 ? 1 : 0;
+        const cx = cell % size;
+        const cy = Math.floor(cell / size);
+        for (let y = 0; y < size; y++) {
+            const rowOffset = ((y - cy + size) % size) * size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += sign * kernel[rowOffset + (x - cx + size) % size];
+            }
+        }
+    };
+    // Highest energy among set pixels, or lowest among empty ones; ties go to the lowest index
+    const tightestCluster = () => {
+        let best = -1;
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (pattern[cell] && (best < 0 || energy[cell] > energy[best])) best = cell;
+        }
+        return best;
+    };
+    const largestVoid = () => {
+        let best = -1;
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (!pattern[cell] && (best < 0 || energy[cell] < energy[best])) best = cell;
+        }
+        return best;
+    };
+
+    // Initial binary pattern
+    const random = createSeededRandom(seed);
+    const initialCount = Math.max(1, Math.floor(cellCount / 10));
+    let placed = 0;
+    while (placed < initialCount) {
+        const cell = Math.floor(random() * cellCount);
+        if (!pattern[cell]) {
+            toggle(cell, 1);
+            placed++;
+        }
+    }
+    for (let iteration = 0; iteration < cellCount; iteration++) {
+        const cluster = tightestCluster();
+        toggle(cluster, -1);
+        const hole = largestVoid();
+        toggle(hole, 1);
+        if (hole === cluster) break;
+    }
+
+    const ranks = new Int32Array(cellCount);
+    const prototype = pattern.slice();
+    const prototypeEnergy = energy.slice();
+
+    // Phase 1: remove the tightest clusters, highest ranks first
+    for (let rank = initialCount - 1; rank >= 0; rank--) {
+        const cluster = tightestCluster();
+        toggle(cluster, -1);
+        ranks[cluster] = rank;
+    }
+
+    // Phases 2 and 3: from the prototype, fill the largest voids. Past the halfway point
+    // the classic algorithm swaps to the tightest cluster of empty cells, which is the
+    // same cell because the Gaussian sum over all cells is constant on the torus
+    pattern.set(prototype);
+    energy.set(prototypeEnergy);
+    for (let rank = initialCount; rank < cellCount; rank++) {
+        const hole = largestVoid();
+        toggle(hole, 1);
+        ranks[hole] = rank;
+    }
+
+    const matrix = [];
+    for (let y = 0; y < size; y++) {
+        matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+    }
+    blueNoiseCache.set(cacheKey, matrix);
+    return matrix;
+}
+
+/**
+ * Convert an HTMLCanvasElement to a p5.Image for p5.js integration.
+ * 
+ * This function enables seamless integration with p5.js creative coding
+ * workflows, allowing the pixelated output to be used in p5.js sketches
+ * for further processing or artistic applications.
+ * 
+ * @param {HTMLCanvasElement} canvas - The canvas containing pixelated image
+ * @returns {p5.Image|HTMLCanvasElement} p5.Image if p5.js is available, otherwise original canvas
+ */
+function canvasToP5Image(canvas) {
+    if (typeof p5 !== 'undefined') {
+        const tempImage = createImage(canvas.width, canvas.height);
+        tempImage.drawingContext.drawImage(canvas, 0, 0, canvas.width, canvas.height);
+        return tempImage;
+    }
+    return canvas;
+}
+
+/**
+ * Convert an HTMLCanvasElement to a Q5.Image for Q5.js integration.
+ * 
+ * Q5.js is a lightweight alternative to p5.js. This function provides
+ * compatibility for projects using Q5.js instead of p5.js.
+ * 
+ * @param {HTMLCanvasElement} canvas - The canvas containing pixelated image
+ * @returns {Q5.Image|HTMLCanvasElement} Q5.Image if Q5.js is available, otherwise original canvas
+ */
+function canvasToQ5Image(canvas) {
+    if (typeof Q5 !== 'undefined' && typeof Q5.Image !== 'undefined') {
+        const tempImage = new Q5.Image(canvas.width, canvas.height);
+        tempImage.ctx.drawImage(canvas, 0, 0, canvas.width, canvas.height);
+        return tempImage;
+    }
+    return canvas;
+}
+/**
+ * Convert a p5.Graphics object to a standard HTMLCanvasElement.
+ * @param {p5.Graphics} p5Graphics - The p5.Graphics object.
+ * @returns {Promise<HTMLCanvasElement>} - A promise that resolves to an HTMLCanvasElement.
+ */
+function convertP5GraphicsToCanvas(p5Graphics) {
+    return new Promise((resolve) => {
+        const canvasElement = document.createElement('canvas');
+        canvasElement.width = p5Graphics.width;
+        canvasElement.height = p5Graphics.height;
+
+        const ctx = canvasElement.getContext('2d');
+        ctx.drawImage(p5Graphics.elt, 0, 0);
+
+        resolve(canvasElement);
+    });
+}
+/**
+ * Load the original image from various input formats.
+ * 
+ * This function provides a unified interface for loading images from
+ * multiple sources, making the library flexible for different workflows.
+ * It's essential for batch processing training data from various sources.
+ * 
+ * SUPPORTED FORMATS:
+ * - HTMLImageElement: Direct image elements from the DOM
+ * - HTMLCanvasElement: Existing canvas with rendered content
+ * - ImageData: Raw pixel data from canvas operations
+ * - p5.Graphics/p5.Renderer: p5.js drawing surfaces
+ * - Q5.Image/Q5.Graphics: Q5.js image objects
+ * - OffscreenCanvas: Web Worker compatible canvases
+ * - String URLs: Remote or data URLs for loading images
+ * 
+ * The function normalizes all inputs to either HTMLImageElement or
+ * HTMLCanvasElement for consistent processing downstream.
+ * 
+ * @param {any} src - The input image in any supported format
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Normalized image ready for processing
+ * @throws {Error} If the source format is not supported
+ */
+function loadOriginalImage(src) {
+    return new Promise((resolve, reject) => {
+        try {
+            // Handle File objects by creating a data URL
+            if (src instanceof File) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    const img = new Image();
+                    img.crossOrigin = 'Anonymous';
+                    img.src = e.target.result;
+                    img.onload = () => resolve(img);
+                    img.onerror = (err) => reject(new Error(`Failed to load image from file: ${err.message}`));
+                };
+                reader.onerror = (err) => reject(new Error(`FileReader error: ${err.message}`));
+                reader.readAsDataURL(src);
+                return;
+            }
+
+            // Directly resolve if the source is an HTMLImageElement
+            if (src instanceof HTMLImageElement) {
+                resolve(src);
+                return;
+            }
+
+            // Handle HTMLCanvasElement, return the canvas directly
+            if (src instanceof HTMLCanvasElement) {
+                resolve(src); // return the canvas directly
+                return;
+            }
+
+            // Handle ImageData by converting it to a canvas
+            if (src instanceof ImageData) {
+                const tempCanvas = document.createElement('canvas');
+                tempCanvas.width = src.width;
+                tempCanvas.height = src.height;
+                const tempCtx = tempCanvas.getContext('2d');
+                tempCtx.putImageData(src, 0, 0);
+                resolve(tempCanvas); // return the created canvas
+                return;
+            }
+
+            // Handle p5.Graphics or p5.Renderer, return the canvas directly
+            if (src.elt && src.elt instanceof HTMLCanvasElement) {
+                resolve(src.elt); // p5.Graphics or p5.Renderer object, return canvas
+                return;
+            }
+
+            // Handle Q5.Image or Q5.Graphics, return the canvas directly
+            if (src.canvas && src.canvas instanceof HTMLCanvasElement) {
+                resolve(src.canvas); // Q5.Graphics or Q5.Image object, return canvas
+                return;
+            }
+
+            // Handle OffscreenCanvas, convert it to an HTMLCanvasElement
+            if (src.canvas instanceof OffscreenCanvas) {
+                const tempCanvas = document.createElement('canvas');
+                tempCanvas.width = src.canvas.width;
+                tempCanvas.height = src.canvas.height;
+                const tempCtx = tempCanvas.getContext('2d');
+                tempCtx.drawImage(src.canvas, 0, 0);
+                resolve(tempCanvas); // return the converted canvas
+                return;
+            }
+            //Handle T5js
+            if (src.element) {
+                resolve(src.element);
+                return;
+            }
+            // Handle URL strings by loading an image
+            if (typeof src === 'string') {
+                const img = new Image();
+                img.crossOrigin = 'Anonymous';
+                img.src = src;
+
+                img.onload = () => resolve(img);
+                img.onerror = (err) => {
+                    reject(new Error(`Failed to load image: ${err.message}`));
+                };
+                return;
+            }
+
+            // Handle unexpected sources
+            console.warn('Unsupported or invalid image source.');
+            reject(new Error('Unsupported or invalid image source.'));
+        } catch (error) {
+            console.warn(`Error when loading image: ${error.message}`);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Curated collection of popular pixel art palettes.
+ * 
+ * These palettes are carefully selected for their use in pixel art and
+ * game development. They provide excellent starting points for training
+ * data generation with authentic color schemes.
+ * 
+ * PALETTE CHARACTERISTICS:
+ * - Sweet Canyon Extended 64: Large palette for detailed work
+ * - PICO-8: Classic 16-color fantasy console palette
+ * - Endesga 32: Versatile 32-color general purpose palette
+ * - Resurrect 64: Comprehensive palette for complex scenes
+ * 
+ * Shared by the web UI (picker.js) and the Node CLI (--palette <name>).
+ * 
+ * Each palette includes:
+ * - name: Display name for UI
+ * - author: Original creator for attribution
+ * - colors: Hex color codes (without # prefix)
+ */
+const DEFAULT_PALETTES = sortPalettesByName([
+    { "name": "Sweet Canyon Extended 64", "author": "Mr Slime", "colors": ["0f0e11", "2d2c33", "40404a", "51545c", "6b7179", "7c8389", "a8b2b6", "d5d5d5", "eeebe0", "f1dbb1", "eec99f", "e1a17e", "cc9562", "ab7b49", "9a643a", "86482f", "783a29", "6a3328", "541d29", "42192c", "512240", "782349", "8b2e5d", "a93e89", "d062c8", "ec94ea", "f2bdfc", "eaebff", "a2fafa", "64e7e7", "54cfd8", "2fb6c3", "2c89af", "25739d", "2a5684", "214574", "1f2966", "101445", "3c0d3b", "66164c", "901f3d", "bb3030", "dc473c", "ec6a45", "fb9b41", "f0c04c", "f4d66e", "fffb76", "ccf17a", "97d948", "6fba3b", "229443", "1d7e45", "116548", "0c4f3f", "0a3639", "251746", "48246d", "69189c", "9f20c0", "e527d2", "ff51cf", "ff7ada", "ff9edb"] },
+    { "name": "Beached Boogaloo", "author": ".tomais", "colors": ["ff0b20", "8f0434", "500037", "a0ff00", "57e71e", "0ea717", "057833", "2cdeef", "2483e7", "153ab7", "0d0a87", "ff0b88", "a60fff", "6409cf", "eaef30", "ff880b", "b75308", "802202", "000000", "231940", "514378", "ffffff", "73a3a7", "366770", "f7b771", "c77650", "974c38", "873939", "601e2c", "300c1f"] },
+    { "name": "Endesga 32", "author": "ENDESGA", "colors": ["be4a2f", "d77643", "ead4aa", "e4a672", "b86f50", "733e39", "3e2731", "a22633", "e43b44", "f77622", "feae34", "fee761", "63c74d", "3e8948", "265c42", "193c3e", "124e89", "0099db", "2ce8f5", "ffffff", "c0cbdc", "8b9bb4", "5a6988", "3a4466", "262b44", "181425", "ff0044", "68386c", "b55088", "f6757a", "e8b796", "c28569"] },
+    { "name": "Intacto14", "author": "Anubi", "colors": ["221529", "4b5561", "879ba3", "cbf5ef", "62b4de", "5660d6", "5b29a6", "d64562", "f2735c", "edbb8e", "ab6375", "522152", "37ada2", "8cde8c"] },
+    { "name": "Batpalette", "author": "el Rojaz", "colors": ["000000", "7f7f7f", "ffffff", "681e99", "3f48cc", "88ff82", "bfa621", "cc3d18"] },
+    { "name": "Hidden Library", "author": "Pixel Hoo", "colors": ["100b2a", "2a213a", "314743", "65856d", "adca9a", "ecfeca", "582d27", "974133", "d67654", "5d3441", "a3685b", "ffb379", "ffe6a9", "ffffff"] },
+    { "name": "Toxic Haze", "author": "sillyTheJester", "colors": ["e5ff00", "b8d14a", "9ab06e", "708763", "4c5c52", "393e40", "242424"] },
+    { "name": "Chaotic neutral", "author": "Dodecahedron ⷽ", "colors": ["e1d4cb", "c19f90", "a56457", "6d504d", "484044", "392b29", "31312f", "d8eef0", "97999f", "81a4c0", "6a7f92", "415973", "43425a", "45334b", "4b1f40", "671087", "955ab9"] },
+    { "name": "Resurrect 64", "author": "Kerrie Lake", "colors": ["2e222f", "3e3546", "625565", "966c6c", "ab947a", "694f62", "7f708a", "9babb2", "c7dcd0", "ffffff", "6e2727", "b33831", "ea4f36", "f57d4a", "ae2334", "e83b3b", "fb6b1d", "f79617", "f9c22b", "7a3045", "9e4539", "cd683d", "e6904e", "fbb954", "4c3e24", "676633", "a2a947", "d5e04b", "fbff86", "165a4c", "239063", "1ebc73", "91db69", "cddf6c", "313638", "374e4a", "547e64", "92a984", "b2ba90", "0b5e65", "0b8a8f", "0eaf9b", "30e1b9", "8ff8e2", "323353", "484a77", "4d65b4", "4d9be6", "8fd3ff", "45293f", "6b3e75", "905ea9", "a884f3", "eaaded", "753c54", "a24b6f", "cf657f", "ed8099", "831c5d", "c32454", "f04f78", "f68181", "fca790", "fdcbb0"] },
+    { "name": "Apollo", "author": "AdamCYounis", "colors": ["172038", "253a5e", "3c5e8b", "4f8fba", "73bed3", "a4dddb", "19332d", "25562e", "468232", "75a743", "a8ca58", "d0da91", "4d2b32", "7a4841", "ad7757", "c09473", "d7b594", "e7d5b3", "341c27", "602c2c", "884b2b", "be772b", "de9e41", "e8c170", "241527", "411d31", "752438", "a53030", "cf573c", "da863e", "1e1d39", "402751", "7a367b", "a23e8c", "c65197", "df84a5", "090a14", "10141f", "151d28", "202e37", "394a50", "577277", "819796", "a8b5b2", "c7cfcc", "ebede9"] },
+    { "name": "Lospec500", "author": "", "colors": ["10121c", "2c1e31", "6b2643", "ac2847", "ec273f", "94493a", "de5d3a", "e98537", "f3a833", "4d3533", "6e4c30", "a26d3f", "ce9248", "dab163", "e8d282", "f7f3b7", "1e4044", "006554", "26854c", "5ab552", "9de64e", "008b8b", "62a477", "a6cb96", "d3eed3", "3e3b65", "3859b3", "3388de", "36c5f4", "6dead6", "5e5b8c", "8c78a5", "b0a7b8", "deceed", "9a4d76", "c878af", "cc99ff", "fa6e79", "ffa2ac", "ffd1d5", "f6e8e0", "ffffff"] },
+    { "name": "CC-29", "author": "Alpha6", "colors": ["f2f0e5", "b8b5b9", "868188", "646365", "45444f", "3a3858", "212123", "352b42", "43436a", "4b80ca", "68c2d3", "a2dcc7", "ede19e", "d3a068", "b45252", "6a536e", "4b4158", "80493a", "a77b5b", "e5ceb4", "c2d368", "8ab060", "567b79", "4e584a", "7b7243", "b2b47e", "edc8c4", "cf8acb", "5f556a"] },
+    { "name": "SLSO8", "author": "Luis Miguel Maldonado", "colors": ["0d2b45", "203c56", "544e68", "8d697a", "d08159", "ffaa5e", "ffd4a3", "ffecd6"] },
+    { "name": "PICO-8", "author": "", "colors": ["000000", "1D2B53", "7E2553", "008751", "AB5236", "5F574F", "C2C3C7", "FFF1E8", "FF004D", "FFA300", "FFEC27", "00E436", "29ADFF", "83769C", "FF77A8", "FFCCAA"] },
+    { "name": "Sweetie 16", "author": "", "colors": ["1a1c2c", "5d275d", "b13e53", "ef7d57", "ffcd75", "a7f070", "38b764", "257179", "29366f", "3b5dc9", "41a6f6", "73eff7", "f4f4f4", "94b0c2", "566c86", "333c57"] },
+    { "name": "Vinik24", "author": "Vinik", "colors": ["000000", "6f6776", "9a9a97", "c5ccb8", "8b5580", "c38890", "a593a5", "666092", "9a4f50", "c28d75", "7ca1c0", "416aa3", "8d6268", "be955c", "68aca9", "387080", "6e6962", "93a167", "6eaa78", "557064", "9d9f7f", "7e9e99", "5d6872", "433455"] },
+    { "name": "Fantasy 24", "author": "", "colors": ["1f240a", "39571c", "a58c27", "efac28", "efd8a1", "ab5c1c", "183f39", "ef692f", "efb775", "a56243", "773421", "724113", "2a1d0d", "392a1c", "684c3c", "927e6a", "276468", "ef3a0c", "45230d", "3c9f9c", "9b1a0a", "36170c", "550f0a", "300f0a"] },
+    { "name": "Oil 6", "author": "", "colors": ["fbf5ef", "f2d3ab", "c69fa5", "8b6d9c", "494d7e", "272744"] },
+    { "name": "Journey", "author": "🍍PineappleOnPizza🍍(Comissions Open)", "colors": ["050914", "110524", "3b063a", "691749", "9c3247", "d46453", "f5a15d", "ffcf8e", "ff7a7d", "ff417d", "d61a88", "94007a", "42004e", "220029", "100726", "25082c", "3d1132", "73263d", "bd4035", "ed7b39", "ffb84a", "fff540", "c6d831", "77b02a", "429058", "2c645e", "153c4a", "052137", "0e0421", "0c0b42", "032769", "144491", "488bd4", "78d7ff", "b0fff1", "faffff", "c7d4e1", "928fb8", "5b537d", "392946", "24142c", "0e0f2c", "132243", "1a466b", "10908e", "28c074", "3dff6e", "f8ffb8", "f0c297", "cf968c", "8f5765", "52294b", "0f022e", "35003b", "64004c", "9b0e3e", "d41e3c", "ed4c40", "ff9757", "d4662f", "9c341a", "691b22", "450c28", "2d002e"] },
+]);
+
+/**
+ * Sort palettes alphabetically by name for consistent UI display.
+ * 
+ * This ensures palettes appear in a predictable order regardless
+ * of how they were added, improving user experience when selecting
+ * palettes for training data generation.
+ * 
+ * @param {Array<Object>} palettes - Array of palette objects with name property
+ * @returns {Array<Object>} New array sorted by palette name (case-insensitive)
+ */
+function sortPalettesByName(palettes) {
+    return palettes.slice().sort((a, b) => {
+        const nameA = a.name.toUpperCase();
+        const nameB = b.name.toUpperCase();
+        if (nameA < nameB) {
+            return -1;
+        }
+        if (nameA > nameB) {
+            return 1;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Find a built-in palette by display name or Lospec-style slug.
+ * 
+ * Matching is case-insensitive and treats the name's slug form as an
+ * alias, so 'Endesga 32', 'endesga 32' and 'endesga-32' all resolve.
+ * 
+ * @param {string} name - Palette name or slug
+ * @returns {Object|null} Palette object from DEFAULT_PALETTES, or null if none matches
+ */
+function findDefaultPalette(name) {
+    const target = slugifyPaletteName(name);
+    return DEFAULT_PALETTES.find(palette => slugifyPaletteName(palette.name) === target) || null;
+}
+
+/**
+ * Convert a palette name to its Lospec-style slug (e.g. 'Endesga 32' -> 'endesga-32').
+ * 
+ * @param {string} name - Palette display name
+ * @returns {string} Lowercase slug with runs of other characters collapsed to '-'
+ */
+function slugifyPaletteName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Settings for fetchPalette(), changed with configurePaletteLoader().
+ * A storage of undefined means the default for the environment
+ * (see getDefaultPaletteStorage).
+ */
+const paletteLoader = {
+    baseUrl: PixelationConstants.LOSPEC_PALETTE_URL,
+    fetcher: null,
+    cacheSize: PixelationConstants.PALETTE_CACHE_SIZE,
+    cacheTimeout: PixelationConstants.PALETTE_CACHE_TIMEOUT,
+    storage: undefined,
+};
+
+/** Storage key (or file entry) holding the persisted palette cache */
+const PALETTE_CACHE_STORAGE_KEY = 'image-to-pixel-palette-cache';
+
+/**
+ * Fetched Lospec palettes by slug, as {colors, fetchedAt}. Map order is
+ * the LRU order: hits move an entry to the end, eviction takes the first.
+ * Entries past the timeout are kept as an offline fallback until evicted.
+ */
+const paletteCache = new Map();
+
+/** Whether the persisted cache has been read into paletteCache yet */
+let paletteCacheLoaded = false;
+
+/** Requests in flight by slug, so concurrent callers share one download */
+const pendingPalettes = new Map();
+
+/** RGB colors of built-in palettes, converted once so callers share one array */
+const defaultPaletteColors = new WeakMap();
+
+/**
+ * Configure where fetchPalette() loads palettes from and how it caches them.
+ * 
+ * Point baseUrl at a local mirror of Lospec's palette-list/<slug>.json
+ * files (in Node a directory path or file: URL works too), or pass a
+ * fetcher to load palettes any other way. Omitted settings are left alone.
+ * 
+ * @param {Object} options - Settings to change
+ * @param {string} [options.baseUrl] - URL prefix; palettes load from <baseUrl><slug>.json
+ * @param {Function|null} [options.fetcher] - async (url, slug) => Lospec palette JSON
+ *        ({colors: ['rrggbb', ...]}); null restores the built-in fetch
+ * @param {number} [options.cacheSize] - Most palettes kept in the cache
+ * @param {number} [options.cacheTimeout] - Milliseconds before a cached palette is fetched again
+ * @param {{getItem: Function, setItem: Function}|null} [options.storage] - Where the cache
+ *        persists (localStorage interface; see createFilePaletteStorage), null for memory only
+ * @throws {Error} If a setting is invalid
+ */
+function configurePaletteLoader(options) {
+    const { baseUrl, fetcher, cacheSize, cacheTimeout, storage } = options;
+    if (baseUrl !== undefined && (typeof baseUrl !== 'string' || baseUrl === '')) {
+        throw new Error('Palette base URL must be a non-empty string.');
+    }
+    if (fetcher !== undefined && fetcher !== null && typeof fetcher !== 'function') {
+        throw new Error('Palette fetcher must be a function.');
+    }
+    if (cacheSize !== undefined && (!Number.isInteger(cacheSize) || cacheSize < 1)) {
+        throw new Error('Palette cache size must be a positive integer.');
+    }
+    if (cacheTimeout !== undefined && (typeof cacheTimeout !== 'number' || !(cacheTimeout >= 0))) {
+        throw new Error('Palette cache timeout must be a non-negative number.');
+    }
+    if (storage && (typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function')) {
+        throw new Error('Palette storage must have getItem() and setItem().');
+    }
+
+    if (baseUrl !== undefined) paletteLoader.baseUrl = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+    if (fetcher !== undefined) paletteLoader.fetcher = fetcher;
+    if (cacheTimeout !== undefined) paletteLoader.cacheTimeout = cacheTimeout;
+    if (cacheSize !== undefined) {
+        paletteLoader.cacheSize = cacheSize;
+        evictPalettes();
+    }
+    if (storage !== undefined) {
+        // Read the new storage on the next fetch
+        paletteLoader.storage = storage;
+        paletteCache.clear();
+        paletteCacheLoaded = false;
+    }
+}
+
+/**
+ * Forget every cached palette, in memory and in storage.
+ */
+function clearPaletteCache() {
+    paletteCache.clear();
+    paletteCacheLoaded = true;
+    savePaletteCache();
+}
+
+/**
+ * Create a palette cache storage backed by a JSON file (Node only).
+ * 
+ * Implements the getItem/setItem part of the localStorage interface.
+ * Writes go to a temporary file first, so an interrupted write never
+ * leaves a truncated cache behind.
+ * 
+ * @param {string} filePath - Cache file; missing directories are created on write
+ * @returns {{getItem: Function, setItem: Function}} Storage for configurePaletteLoader()
+ */
+function createFilePaletteStorage(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    const readAll = () => {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    };
+
+    return {
+        getItem(key) {
+            const value = readAll()[key];
+            return value === undefined ? null : value;
+        },
+        setItem(key, value) {
+            const all = readAll();
+            all[key] = String(value);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const temporaryPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(temporaryPath, JSON.stringify(all));
+            fs.renameSync(temporaryPath, filePath);
+        }
+    };
+}
+
+/**
+ * Pick where the palette cache persists when none was configured:
+ * a file under ~/.cache/image-to-pixel in Node, localStorage in the
+ * browser, and nowhere in workers or when storage is blocked.
+ * 
+ * @returns {{getItem: Function, setItem: Function}|null} Storage, or null
+ */
+function getDefaultPaletteStorage() {
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        const path = require('path');
+        const os = require('os');
+        return createFilePaletteStorage(path.join(os.homedir(), '.cache', 'image-to-pixel', 'palettes.json'));
+    }
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Reading localStorage throws where storage is blocked
+        return null;
+    }
+}
+
+/**
+ * Get the storage the palette cache persists to, resolving the default once.
+ * 
+ * @returns {{getItem: Function, setItem: Function}|null} Storage, or null
+ */
+function getPaletteStorage() {
+    if (paletteLoader.storage === undefined) {
+        paletteLoader.storage = getDefaultPaletteStorage();
+    }
+    return paletteLoader.storage;
+}
+
+/**
+ * Read the persisted palette cache into memory, once.
+ * A missing or unreadable cache just starts empty.
+ */
+function loadPaletteCache() {
+    if (paletteCacheLoaded) return;
+    paletteCacheLoaded = true;
+    const storage = getPaletteStorage();
+    if (!storage) return;
+
+    try {
+        const entries = JSON.parse(storage.getItem(PALETTE_CACHE_STORAGE_KEY)) || [];
+        for (const [slug, entry] of entries) {
+            if (entry && Array.isArray(entry.colors) && typeof entry.fetchedAt === 'number') {
+                paletteCache.set(slug, { colors: entry.colors, fetchedAt: entry.fetchedAt });
+            }
+        }
+        evictPalettes();
+    } catch (error) {
+        console.warn('Failed to load the palette cache:', error);
+    }
+}
+
+/**
+ * Write the palette cache to storage. Failures (full storage, read-only
+ * disk) only cost the next session a download, so they are just logged.
+ */
+function savePaletteCache() {
+    const storage = getPaletteStorage();
+    if (!storage) return;
+
+    try {
+        storage.setItem(PALETTE_CACHE_STORAGE_KEY, JSON.stringify(Array.from(paletteCache)));
+    } catch (error) {
+        console.warn('Failed to save the palette cache:', error);
+    }
+}
+
+/**
+ * Drop the least recently used palettes until the cache fits cacheSize.
+ */
+function evictPalettes() {
+    for (const slug of paletteCache.keys()) {
+        if (paletteCache.size <= paletteLoader.cacheSize) break;
+        paletteCache.delete(slug);
+    }
+}
+
+/**
+ * Load a palette's Lospec JSON through the configured fetcher, or with
+ * fetch() (reading the file directly for local mirrors in Node).
+ * 
+ * @param {string} slug - Palette slug
+ * @returns {Promise<Array<Array<number>>>} RGB color arrays
+ * @throws {Error} If the palette cannot be loaded or has no colors
+ */
+async function downloadPalette(slug) {
+    const url = `${paletteLoader.baseUrl}${slug}.json`;
+    let data;
+    if (paletteLoader.fetcher) {
+        data = await paletteLoader.fetcher(url, slug);
+    } else if (!/^https?:/i.test(url) && typeof process !== 'undefined' && process.versions && process.versions.node) {
+        const { fileURLToPath } = require('url');
+        data = JSON.parse(require('fs').readFileSync(url.startsWith('file:') ? fileURLToPath(url) : url, 'utf8'));
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Palette not found');
+        data = await response.json();
+    }
+
+    if (!data || !Array.isArray(data.colors) || data.colors.length === 0) {
+        throw new Error(`Palette "${slug}" has no colors`);
+    }
+    return data.colors.map(hexToRgb);
+}
+
+/**
+ * Fetch a color palette from the Lospec API.
+ * 
+ * Lospec is a community database of pixel art color palettes. Using
+ * established palettes ensures training data has authentic pixel art
+ * color schemes that models can learn to recognize and reproduce.
+ * 
+ * Palettes are resolved in this order:
+ * 1. Built-in palettes (DEFAULT_PALETTES) whose slug matches, offline
+ * 2. The palette cache, for palettes fetched within the cache timeout
+ * 3. A download from the configured source (see configurePaletteLoader)
+ * 4. An expired cache entry, with a warning, when the download fails
+ * 
+ * The cache holds the most recently used palettes (PALETTE_CACHE_SIZE)
+ * and persists to localStorage in the browser and to a file in Node, so
+ * batch jobs and offline machines skip the network once a palette has
+ * been seen. Repeated calls return the same array, which keeps the
+ * per-palette matcher caches warm.
+ * 
+ * POPULAR PALETTES FOR TRAINING:
+ * - 'pico-8': 16 colors, classic fantasy console palette
+ * - 'endesga-32': 32 colors, versatile general-purpose palette
+ * - 'resurrect-64': 64 colors, comprehensive range for detailed art
+ * - 'sweetie-16': 16 colors, pastel tones for softer aesthetics
+ * 
+ * @param {string} paletteName - The Lospec palette slug (e.g., 'pico-8')
+ * @returns {Promise<Array<Array<number>>>} RGB color arrays [[r,g,b], ...]
+ * @throws {Error} If the palette cannot be loaded and is not cached
+ */
+function fetchPalette(paletteName) {
+    const slug = slugifyPaletteName(paletteName);
+    const builtIn = findDefaultPalette(slug);
+    if (builtIn) {
+        if (!defaultPaletteColors.has(builtIn)) {
+            defaultPaletteColors.set(builtIn, builtIn.colors.map(hexToRgb));
+        }
+        return Promise.resolve(defaultPaletteColors.get(builtIn));
+    }
+
+    loadPaletteCache();
+    const cached = paletteCache.get(slug);
+    if (cached && Date.now() - cached.fetchedAt < paletteLoader.cacheTimeout) {
+        paletteCache.delete(slug);
+        paletteCache.set(slug, cached);
+        return Promise.resolve(cached.colors);
+    }
+    if (pendingPalettes.has(slug)) {
+        return pendingPalettes.get(slug);
+    }
+
+    const request = downloadPalette(slug)
+        .then(colors => {
+            paletteCache.delete(slug);
+            paletteCache.set(slug, { colors, fetchedAt: Date.now() });
+            evictPalettes();
+            savePaletteCache();
+            return colors;
+        })
+        .catch(error => {
+            if (cached) {
+                console.warn(`Could not refresh palette "${slug}", using the cached copy:`, error.message);
+                return cached.colors;
+            }
+            console.warn('Error fetching palette:', error);
+            throw error;
+        })
+        .finally(() => pendingPalettes.delete(slug));
+    pendingPalettes.set(slug, request);
+    return request;
+}
+
+/**
+ * Convert hexadecimal color string to RGB array.
+ * 
+ * This utility function converts hex color codes (common in palettes)
+ * to RGB arrays needed for pixel manipulation. It handles both
+ * 3-character and 6-character hex codes with or without '#' prefix.
+ * 
+ * @param {string} hex - Hex color code (e.g., '#FF0000' or 'FF0000')
+ * @returns {Array<number>} RGB values as [red, green, blue] (0-255 range)
+ */
+function hexToRgb(hex) {
+    hex = hex.replace('#', '');
+    const bigint = parseInt(hex, 16);
+    return [bigint >> 16 & 255, bigint >> 8 & 255, bigint & 255];
+}
+
+/**
+ * Convert an RGB array to a '#rrggbb' hex string.
+ * 
+ * @param {Array<number>} color - RGB values as [red, green, blue] (0-255 range)
+ * @returns {string} Lowercase hex color code with '#' prefix
+ */
+function rgbToHex(color) {
+    return '#' + color.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Palette file formats read by parsePaletteFile() and written by
+ * encodePaletteFile(), keyed by format name.
+ * 
+ * - 'json': This project's {name, author, colors} file (also Lospec's JSON)
+ * - 'gpl': GIMP palette (also used by Aseprite, Krita and Inkscape)
+ * - 'pal': JASC-PAL text palette (Paint Shop Pro, Aseprite); Microsoft
+ *   RIFF palettes with the same extension are read too
+ * - 'act': Photoshop color table, 256 RGB triplets plus a color count
+ * - 'aco': Photoshop color swatches
+ * - 'ase': Adobe swatch exchange (Photoshop, Illustrator, InDesign)
+ * - 'txt': Paint.NET palette, one AARRGGBB value per line
+ * - 'hex': One RRGGBB value per line (Lospec's .hex download)
+ * - 'png': Swatch strip, one pixel per color. Being an image, it is read
+ *   from decoded pixels with paletteFromSwatchImage() instead
+ */
+const PALETTE_FORMATS = {
+    'json': { label: 'JSON', extension: '.json', mimeType: 'application/json', parse: parseJsonPalette, encode: encodeJsonPalette },
+    'gpl': { label: 'GIMP (.gpl)', extension: '.gpl', mimeType: 'text/plain', parse: parseGimpPalette, encode: encodeGimpPalette },
+    'pal': { label: 'JASC (.pal)', extension: '.pal', mimeType: 'text/plain', parse: parseJascPalette, encode: encodeJascPalette },
+    'act': { label: 'Photoshop (.act)', extension: '.act', mimeType: 'application/octet-stream', parse: parseActPalette, encode: encodeActPalette },
+    'aco': { label: 'Photoshop (.aco)', extension: '.aco', mimeType: 'application/octet-stream', parse: parseAcoPalette, encode: encodeAcoPalette },
+    'ase': { label: 'Adobe (.ase)', extension: '.ase', mimeType: 'application/octet-stream', parse: parseAsePalette, encode: encodeAsePalette },
+    'txt': { label: 'Paint.NET (.txt)', extension: '.txt', mimeType: 'text/plain', parse: parsePaintNetPalette, encode: encodePaintNetPalette },
+    'hex': { label: 'Hex list (.hex)', extension: '.hex', mimeType: 'text/plain', parse: parseHexPalette, encode: encodeHexPalette },
+    'png': { label: 'PNG swatches (.png)', extension: '.png', mimeType: 'image/png', parse: null, encode: encodeSwatchPNG },
+};
+
+/**
+ * Find the palette format for a file name from its extension.
+ * 
+ * @param {string} fileName - File name or path
+ * @returns {string|null} Key of PALETTE_FORMATS, or null for unknown extensions
+ */
+function getPaletteFormat(fileName) {
+    const match = String(fileName).toLowerCase().match(/\.[a-z0-9]+$/);
+    if (!match) return null;
+    return Object.keys(PALETTE_FORMATS).find(format => PALETTE_FORMATS[format].extension === match[0]) || null;
+}
+
+/**
+ * Read a palette file.
+ * 
+ * @param {Uint8Array|ArrayBuffer} bytes - File contents
+ * @param {string} format - Key of PALETTE_FORMATS (see getPaletteFormat), except 'png'
+ * @returns {{name: string|null, author: string|null, colors: Array<Array<number>>}} The palette;
+ *          name and author are null when the format does not store them
+ * @throws {Error} If the format is unknown, or the file is malformed or has no colors
+ */
+function parsePaletteFile(bytes, format) {
+    const entry = PALETTE_FORMATS[format];
+    if (!entry) {
+        throw new Error(`Unknown palette format: ${format}`);
+    }
+    if (!entry.parse) {
+        throw new Error('PNG swatches are images: decode the pixels and use paletteFromSwatchImage().');
+    }
+    const palette = entry.parse(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    if (palette.colors.length === 0) {
+        throw new Error('Palette file has no colors.');
+    }
+    return { name: palette.name || null, author: palette.author || null, colors: palette.colors };
+}
+
+/**
+ * Write a palette file.
+ * 
+ * @param {{name?: string, author?: string, colors: Array<Array<number>|string>}} palette - Palette to write
+ * @param {string} format - Key of PALETTE_FORMATS
+ * @returns {Promise<Uint8Array>} File bytes
+ * @throws {Error} If the format is unknown, or holds fewer colors than the palette ('act', 'png')
+ */
+async function encodePaletteFile(palette, format) {
+    const entry = PALETTE_FORMATS[format];
+    if (!entry) {
+        throw new Error(`Unknown palette format: ${format}`);
+    }
+    const colors = normalizePaletteColors(palette.colors).map(color => color.map(channel => clampByte(channel)));
+    const output = await entry.encode({ name: palette.name || 'Palette', author: palette.author || '', colors });
+    return typeof output === 'string' ? new TextEncoder().encode(output) : output;
+}
+
+/**
+ * Read the colors of a swatch image: every distinct color in row-major
+ * order, skipping transparent pixels. A 1px-per-color strip gives its
+ * colors in order; scaled-up strips and swatch grids work the same way.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData - Decoded RGBA pixels
+ * @returns {Array<Array<number>>} Palette as RGB arrays
+ */
+function paletteFromSwatchImage(imageData) {
+    const data = imageData.data;
+    const seen = new Set();
+    const colors = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (seen.has(key)) continue;
+        seen.add(key);
+        colors.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    return colors;
+}
+
+/**
+ * Round a channel value and clamp it to 0-255.
+ * 
+ * @param {number} value - Channel value
+ * @returns {number} Byte value
+ */
+function clampByte(value) {
+    return Math.min(255, Math.max(0, Math.round(value)));
+}
+
+/**
+ * Decode a text palette file, accepting UTF-8 with or without a BOM.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Array<string>} Trimmed lines
+ */
+function readPaletteLines(bytes) {
+    return new TextDecoder().decode(bytes).split(/\r?\n/).map(line => line.trim());
+}
+
+/**
+ * Parse this project's palette JSON ({name, author, colors}), as written by
+ * the picker's download button; Lospec's JSON has the same shape.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{name: string, author: string, colors: Array<Array<number>>}} Palette
+ */
+function parseJsonPalette(bytes) {
+    const palette = JSON.parse(new TextDecoder().decode(bytes));
+    if (!palette || !Array.isArray(palette.colors)) {
+        throw new Error('Palette JSON needs a "colors" array.');
+    }
+    return { name: palette.name, author: palette.author, colors: normalizePaletteColors(palette.colors) };
+}
+
+/**
+ * Write a palette as this project's JSON, with '#rrggbb' colors.
+ * 
+ * @param {{name: string, author: string, colors: Array<Array<number>>}} palette - Palette
+ * @returns {string} File contents
+ */
+function encodeJsonPalette(palette) {
+    return JSON.stringify({ name: palette.name, author: palette.author || undefined, colors: palette.colors.map(rgbToHex) }, null, 2);
+}
+
+/**
+ * Parse a GIMP .gpl palette: a "GIMP Palette" header, optional
+ * "Name:"/"Columns:" lines and "#" comments, then one "R G B [name]"
+ * line per color.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{name: string|null, colors: Array<Array<number>>}} Palette
+ */
+function parseGimpPalette(bytes) {
+    const lines = readPaletteLines(bytes);
+    if (!/^GIMP Palette/i.test(lines[0])) {
+        throw new Error('Not a GIMP palette (missing "GIMP Palette" header).');
+    }
+    let name = null;
+    const colors = [];
+    for (const line of lines.slice(1)) {
+        if (line === '' || line.startsWith('#')) continue;
+        const color = line.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+        if (color) {
+            colors.push([clampByte(+color[1]), clampByte(+color[2]), clampByte(+color[3])]);
+            continue;
+        }
+        const header = line.match(/^([A-Za-z]+):\s*(.*)$/);
+        if (!header) {
+            throw new Error(`Invalid GIMP palette line: ${line}`);
+        }
+        if (header[1].toLowerCase() === 'name') name = header[2];
+    }
+    return { name, colors };
+}
+
+/**
+ * Write a GIMP .gpl palette, naming each color by its hex code.
+ * 
+ * @param {{name: string, colors: Array<Array<number>>}} palette - Palette
+ * @returns {string} File contents
+ */
+function encodeGimpPalette(palette) {
+    const lines = ['GIMP Palette', `Name: ${palette.name}`, `Columns: ${Math.min(16, palette.colors.length)}`, '#'];
+    for (const color of palette.colors) {
+        lines.push(`${color.map(channel => String(channel).padStart(3)).join(' ')}\t${rgbToHex(color).slice(1)}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a .pal palette: JASC-PAL text ("JASC-PAL", "0100", the color
+ * count, then "R G B" lines), or a Microsoft RIFF palette.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parseJascPalette(bytes) {
+    if (String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF') {
+        return parseRiffPalette(bytes);
+    }
+    const lines = readPaletteLines(bytes);
+    if (lines[0] !== 'JASC-PAL') {
+        throw new Error('Not a JASC palette (missing "JASC-PAL" header).');
+    }
+    const count = parseInt(lines[2], 10);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error('Invalid JASC palette color count.');
+    }
+    const colorLines = lines.slice(3);
+    while (colorLines.length > 0 && colorLines[colorLines.length - 1] === '') colorLines.pop();
+    if (colorLines.length < count) {
+        throw new Error(`JASC palette declares ${count} colors but has ${colorLines.length}.`);
+    }
+    const colors = [];
+    for (const line of colorLines.slice(0, count)) {
+        const color = line.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+        if (!color) {
+            throw new Error(`Invalid JASC palette line: ${line}`);
+        }
+        colors.push([clampByte(+color[1]), clampByte(+color[2]), clampByte(+color[3])]);
+    }
+    return { colors };
+}
+
+/**
+ * Parse a Microsoft RIFF palette: a "PAL " form whose "data" chunk holds
+ * a LOGPALETTE (version, count, then R G B flags per entry).
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parseRiffPalette(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (String.fromCharCode(...bytes.subarray(8, 12)) !== 'PAL ') {
+        throw new Error('Not a RIFF palette.');
+    }
+    for (let offset = 12; offset + 8 <= bytes.length; offset += 8 + view.getUint32(offset + 4, true)) {
+        if (String.fromCharCode(...bytes.subarray(offset, offset + 4)) !== 'data') continue;
+        const count = view.getUint16(offset + 10, true);
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 12 + i * 4;
+            colors.push([bytes[entry], bytes[entry + 1], bytes[entry + 2]]);
+        }
+        return { colors };
+    }
+    throw new Error('RIFF palette has no data chunk.');
+}
+
+/**
+ * Write a JASC-PAL palette.
+ * 
+ * @param {{colors: Array<Array<number>>}} palette - Palette
+ * @returns {string} File contents
+ */
+function encodeJascPalette(palette) {
+    const lines = ['JASC-PAL', '0100', String(palette.colors.length), ...palette.colors.map(color => color.join(' '))];
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a Photoshop .act color table: 256 RGB triplets, optionally
+ * followed by the number of colors in use and the transparent index
+ * (big-endian uint16 each).
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parseActPalette(bytes) {
+    if (bytes.length !== 768 && bytes.length !== 772) {
+        throw new Error('Not a Photoshop color table (expected 768 or 772 bytes).');
+    }
+    let count = 256;
+    if (bytes.length === 772) {
+        const stored = (bytes[768] << 8) | bytes[769];
+        if (stored > 0 && stored <= 256) count = stored;
+    }
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        colors.push([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]);
+    }
+    return { colors };
+}
+
+/**
+ * Write a Photoshop .act color table with its color count and no
+ * transparent index.
+ * 
+ * @param {{colors: Array<Array<number>>}} palette - Palette of at most 256 colors
+ * @returns {Uint8Array} File bytes
+ */
+function encodeActPalette(palette) {
+    if (palette.colors.length > 256) {
+        throw new Error(`ACT supports at most 256 colors (palette has ${palette.colors.length}).`);
+    }
+    const output = new Uint8Array(772);
+    palette.colors.forEach((color, i) => output.set(color, i * 3));
+    const view = new DataView(output.buffer);
+    view.setUint16(768, palette.colors.length);
+    view.setUint16(770, 0xFFFF);
+    return output;
+}
+
+/**
+ * Parse Photoshop .aco swatches. The file starts with a version 1
+ * section (version 2 files repeat the colors with names after it, and
+ * some only have the version 2 section); colors are read from the first.
+ * 
+ * Each color is a color space id and four big-endian uint16 values:
+ * RGB, HSB, CMYK, Lab and grayscale are supported.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parseAcoPalette(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 4) {
+        throw new Error('Not a Photoshop swatch file.');
+    }
+    const version = view.getUint16(0);
+    const count = view.getUint16(2);
+    if (version !== 1 && version !== 2) {
+        throw new Error(`Unsupported ACO version: ${version}`);
+    }
+
+    const colors = [];
+    let offset = 4;
+    for (let i = 0; i < count; i++) {
+        if (offset + 10 > bytes.length) {
+            throw new Error('ACO file is truncated.');
+        }
+        const space = view.getUint16(offset);
+        const w = view.getUint16(offset + 2);
+        const x = view.getUint16(offset + 4);
+        const y = view.getUint16(offset + 6);
+        const z = view.getUint16(offset + 8);
+        // Lab stores a and b as signed values
+        const labA = view.getInt16(offset + 4);
+        const labB = view.getInt16(offset + 6);
+        offset += 10;
+        if (version === 2) {
+            // Name: uint32 length in UTF-16 units (with terminator), then the characters
+            offset += 4 + view.getUint32(offset) * 2;
+        }
+
+        if (space === 0) {
+            colors.push([w, x, y].map(value => clampByte(value / 257)));
+        } else if (space === 1) {
+            colors.push(hsvToRgb(w / 65535 * 360, x / 65535, y / 65535));
+        } else if (space === 2) {
+            // Ink amounts are stored inverted: 0 means 100% ink
+            colors.push([w, x, y].map(value => clampByte(value / 65535 * z / 65535 * 255)));
+        } else if (space === 7) {
+            colors.push(labToRgb([w / 100, labA / 100, labB / 100]));
+        } else if (space === 8) {
+            colors.push(new Array(3).fill(clampByte((1 - w / 10000) * 255)));
+        } else {
+            throw new Error(`Unsupported ACO color space: ${space}`);
+        }
+    }
+    return { colors };
+}
+
+/**
+ * Write Photoshop .aco swatches: a version 1 section followed by a
+ * version 2 section naming each color by its hex code.
+ * 
+ * @param {{colors: Array<Array<number>>}} palette - Palette
+ * @returns {Uint8Array} File bytes
+ */
+function encodeAcoPalette(palette) {
+    const names = palette.colors.map(color => rgbToHex(color));
+    const size = 8 + palette.colors.length * 20 + names.reduce((total, name) => total + 4 + (name.length + 1) * 2, 0);
+    const output = new Uint8Array(size);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+    for (const version of [1, 2]) {
+        view.setUint16(offset, version);
+        view.setUint16(offset + 2, palette.colors.length);
+        offset += 4;
+        palette.colors.forEach((color, i) => {
+            view.setUint16(offset, 0);
+            color.forEach((channel, c) => view.setUint16(offset + 2 + c * 2, channel * 257));
+            offset += 10;
+            if (version === 2) {
+                view.setUint32(offset, names[i].length + 1);
+                offset += 4;
+                for (const char of names[i]) {
+                    view.setUint16(offset, char.charCodeAt(0));
+                    offset += 2;
+                }
+                offset += 2;
+            }
+        });
+    }
+    return output;
+}
+
+/**
+ * Parse an Adobe .ase swatch exchange file. Color entries may be RGB,
+ * CMYK, LAB or Gray; the first group's name becomes the palette name.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{name: string|null, colors: Array<Array<number>>}} Palette
+ */
+function parseAsePalette(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') {
+        throw new Error('Not an Adobe swatch exchange file (missing "ASEF" signature).');
+    }
+    const readName = (offset) => {
+        const length = view.getUint16(offset);
+        let name = '';
+        for (let i = 0; i < length - 1; i++) {
+            name += String.fromCharCode(view.getUint16(offset + 2 + i * 2));
+        }
+        return { name, end: offset + 2 + length * 2 };
+    };
+
+    const blockCount = view.getUint32(8);
+    let name = null;
+    const colors = [];
+    let offset = 12;
+    for (let block = 0; block < blockCount; block++) {
+        if (offset + 6 > bytes.length) {
+            throw new Error('ASE file is truncated.');
+        }
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+
+        if (type === 0xC001 && name === null) {
+            name = readName(body).name;
+        } else if (type === 0x0001) {
+            const modelStart = readName(body).end;
+            const model = String.fromCharCode(...bytes.subarray(modelStart, modelStart + 4));
+            const value = (i) => view.getFloat32(modelStart + 4 + i * 4);
+            if (model === 'RGB ') {
+                colors.push([0, 1, 2].map(i => clampByte(value(i) * 255)));
+            } else if (model === 'CMYK') {
+                const k = 1 - value(3);
+                colors.push([0, 1, 2].map(i => clampByte((1 - value(i)) * k * 255)));
+            } else if (model === 'LAB ') {
+                colors.push(labToRgb([value(0) * 100, value(1), value(2)]));
+            } else if (model === 'Gray') {
+                colors.push(new Array(3).fill(clampByte(value(0) * 255)));
+            } else {
+                throw new Error(`Unsupported ASE color model: ${model}`);
+            }
+        }
+    }
+    return { name, colors };
+}
+
+/**
+ * Write an Adobe .ase file: one group named after the palette holding an
+ * RGB color entry per color, named by its hex code.
+ * 
+ * @param {{name: string, colors: Array<Array<number>>}} palette - Palette
+ * @returns {Uint8Array} File bytes
+ */
+function encodeAsePalette(palette) {
+    const nameBytes = (name) => {
+        const output = new Uint8Array(2 + (name.length + 1) * 2);
+        const view = new DataView(output.buffer);
+        view.setUint16(0, name.length + 1);
+        for (let i = 0; i < name.length; i++) view.setUint16(2 + i * 2, name.charCodeAt(i));
+        return output;
+    };
+    const block = (type, body) => {
+        const output = new Uint8Array(6 + body.length);
+        const view = new DataView(output.buffer);
+        view.setUint16(0, type);
+        view.setUint32(2, body.length);
+        output.set(body, 6);
+        return output;
+    };
+
+    const header = new Uint8Array(12);
+    const headerView = new DataView(header.buffer);
+    header.set([0x41, 0x53, 0x45, 0x46]);
+    headerView.setUint16(4, 1);
+    headerView.setUint32(8, palette.colors.length + 2);
+
+    const blocks = [header, block(0xC001, nameBytes(palette.name))];
+    for (const color of palette.colors) {
+        const values = new Uint8Array(18);
+        const view = new DataView(values.buffer);
+        values.set([0x52, 0x47, 0x42, 0x20]);
+        color.forEach((channel, c) => view.setFloat32(4 + c * 4, channel / 255));
+        view.setUint16(16, 2);
+        blocks.push(block(0x0001, concatBytes([nameBytes(rgbToHex(color)), values])));
+    }
+    blocks.push(block(0xC002, new Uint8Array(0)));
+    return concatBytes(blocks);
+}
+
+/**
+ * Parse a Paint.NET .txt palette: ";" comment lines and one AARRGGBB
+ * (or RRGGBB) hex value per line. Alpha is ignored.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parsePaintNetPalette(bytes) {
+    const colors = [];
+    for (const line of readPaletteLines(bytes)) {
+        if (line === '' || line.startsWith(';')) continue;
+        if (!/^([0-9a-f]{2})?[0-9a-f]{6}$/i.test(line)) {
+            throw new Error(`Invalid Paint.NET palette line: ${line}`);
+        }
+        colors.push(hexToRgb(line.slice(-6)));
+    }
+    return { colors };
+}
+
+/**
+ * Write a Paint.NET .txt palette with opaque colors.
+ * 
+ * @param {{name: string, colors: Array<Array<number>>}} palette - Palette
+ * @returns {string} File contents
+ */
+function encodePaintNetPalette(palette) {
+    const lines = ['; paint.net Palette File', `; Palette: ${palette.name}`, `; Colors: ${palette.colors.length}`];
+    for (const color of palette.colors) {
+        lines.push('FF' + rgbToHex(color).slice(1).toUpperCase());
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a .hex palette: one RRGGBB value per line, '#' optional.
+ * 
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{colors: Array<Array<number>>}} Palette
+ */
+function parseHexPalette(bytes) {
+    const colors = [];
+    for (const line of readPaletteLines(bytes)) {
+        if (line === '') continue;
+        if (!/^#?[0-9a-f]{6}$/i.test(line)) {
+            throw new Error(`Invalid hex palette line: ${line}`);
+        }
+        colors.push(hexToRgb(line));
+    }
+    return { colors };
+}
+
+/**
+ * Write a .hex palette.
+ * 
+ * @param {{colors: Array<Array<number>>}} palette - Palette
+ * @returns {string} File contents
+ */
+function encodeHexPalette(palette) {
+    return palette.colors.map(color => rgbToHex(color).slice(1)).join('\n') + '\n';
+}
+
+/**
+ * Write a palette as a 1px-per-color indexed PNG strip.
+ * 
+ * @param {{colors: Array<Array<number>>}} palette - Palette of at most 256 colors
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ */
+function encodeSwatchPNG(palette) {
+    const count = palette.colors.length;
+    return encodeIndexedPNG({
+        indices: Uint8Array.from({ length: count }, (_, i) => i),
+        width: count,
+        height: 1,
+        palette: palette.colors,
+        transparentIndex: -1,
+    });
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * 
+ * Math.random() cannot be replayed; anything that must be reproducible
+ * from a seed (dataset splits, sampled parameters, noise maps) draws
+ * from one of these instead.
+ * 
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Palette extraction methods available for automatic palettes.
+ * 
+ * - 'median-cut': Recursively splits the color box with the widest range (Heckbert)
+ * - 'kmeans': Lloyd's k-means refinement seeded from median-cut
+ * - 'octree': Gervautz-Purgathofer octree, merging the least used leaves
+ */
+const PALETTE_EXTRACTION_METHODS = ['median-cut', 'kmeans', 'octree'];
+
+/**
+ * Check whether a palette option requests automatic extraction.
+ * 
+ * @param {*} palette - Palette option as passed to pixelate()
+ * @returns {boolean} True for objects of the form {auto: N, method}
+ */
+function isAutoPalette(palette) {
+    return !!palette && typeof palette === 'object' && !Array.isArray(palette) && palette.auto !== undefined;
+}
+
+/**
+ * Generate a palette from the colors of an image.
+ * 
+ * This lets a dataset use colors native to its source footage instead
+ * of a hand-picked palette. Fully transparent pixels are ignored, large
+ * images are area-averaged down to PALETTE_SAMPLE_PIXELS first, and
+ * every method is deterministic so the same image always yields the
+ * same palette.
+ * 
+ * The result is sorted from dark to light so it reads naturally in
+ * the picker.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.colors=16] - Target number of colors (1-256)
+ * @param {string} [options.method='median-cut'] - 'median-cut', 'kmeans' or 'octree'
+ * @returns {Array<Array<number>>} Extracted palette as RGB arrays (at most options.colors entries)
+ * @throws {Error} If the color count or method is invalid
+ */
+function extractPalette(source, options = {}) {
+    const {
+        colors = PixelationConstants.DEFAULT_AUTO_PALETTE_COLORS,
+        method = 'median-cut',
+    } = options;
+
+    if (!Number.isInteger(colors) || colors < 1 || colors > PixelationConstants.MAX_AUTO_PALETTE_COLORS) {
+        throw new Error(`Auto palette size must be an integer between 1 and ${PixelationConstants.MAX_AUTO_PALETTE_COLORS}.`);
+    }
+    const methodName = String(method).toLowerCase();
+    if (!PALETTE_EXTRACTION_METHODS.includes(methodName)) {
+        throw new Error(`Unknown palette extraction method: ${method}`);
+    }
+
+    const pixels = collectPalettePixels(source);
+    if (pixels.length === 0) {
+        return [[0, 0, 0]];
+    }
+
+    let palette;
+    if (methodName === 'octree') {
+        palette = octreeQuantize(pixels, colors);
+    } else {
+        palette = medianCutQuantize(pixels, colors);
+        if (methodName === 'kmeans') {
+            palette = kMeansQuantize(pixels, palette);
+        }
+    }
+
+    return palette
+        .map(color => color.map(channel => Math.min(255, Math.max(0, Math.round(channel)))))
+        .sort((a, b) => (0.2126 * a[0] + 0.7152 * a[1] + 0.0722 * a[2]) - (0.2126 * b[0] + 0.7152 * b[1] + 0.0722 * b[2]));
+}
+
+/**
+ * Gather opaque pixels from an image as RGB arrays for palette extraction.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels
+ * @returns {Array<Array<number>>} Opaque pixel colors
+ */
+function collectPalettePixels(source) {
+    let sample = source;
+    const totalPixels = source.width * source.height;
+    if (totalPixels > PixelationConstants.PALETTE_SAMPLE_PIXELS) {
+        const scale = Math.sqrt(PixelationConstants.PALETTE_SAMPLE_PIXELS / totalPixels);
+        sample = resizeImageData(
+            source,
+            Math.max(1, Math.floor(source.width * scale)),
+            Math.max(1, Math.floor(source.height * scale))
+        );
+    }
+
+    const pixels = [];
+    const data = sample.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    return pixels;
+}
+
+/**
+ * Median-cut color quantization.
+ * 
+ * Starts with one box holding every pixel and repeatedly splits the box
+ * whose widest channel range is largest at that channel's median, until
+ * the target count is reached or no box can be split further.
+ * 
+ * @param {Array<Array<number>>} pixels - Pixel colors
+ * @param {number} colorCount - Target palette size
+ * @returns {Array<Array<number>>} Mean color of each box
+ */
+function medianCutQuantize(pixels, colorCount) {
+    const describeBox = (boxPixels) => {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        for (const p of boxPixels) {
+            for (let c = 0; c < 3; c++) {
+                if (p[c] < min[c]) min[c] = p[c];
+                if (p[c] > max[c]) max[c] = p[c];
+            }
+        }
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { pixels: boxPixels, channel, range: ranges[channel] };
+    };
+
+    const boxes = [describeBox(pixels)];
+    while (boxes.length < colorCount) {
+        // Split the box with the widest range; ties go to the earliest box
+        let target = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].range > 0 && (target === -1 || boxes[i].range > boxes[target].range)) {
+                target = i;
+            }
+        }
+        if (target === -1) break;
+
+        const box = boxes[target];
+        const channel = box.channel;
+        const sorted = box.pixels.slice().sort((a, b) => a[channel] - b[channel]);
+        const median = Math.floor(sorted.length / 2);
+        boxes.splice(target, 1, describeBox(sorted.slice(0, median)), describeBox(sorted.slice(median)));
+    }
+
+    return boxes.map(box => averageColor(box.pixels));
+}
+
+/**
+ * Refine a palette with Lloyd's k-means algorithm.
+ * 
+ * Seeding from median-cut instead of random centers keeps the result
+ * deterministic. Clusters that end up empty are dropped.
+ * 
+ * @param {Array<Array<number>>} pixels - Pixel colors
+ * @param {Array<Array<number>>} initialCenters - Starting cluster centers
+ * @returns {Array<Array<number>>} Refined cluster centers
+ */
+function kMeansQuantize(pixels, initialCenters) {
+    let centers = initialCenters.map(center => center.slice());
+
+    for (let iteration = 0; iteration < PixelationConstants.KMEANS_MAX_ITERATIONS; iteration++) {
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        for (const p of pixels) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let k = 0; k < centers.length; k++) {
+                const d = colorDistance(p, centers[k]);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = k;
+                }
+            }
+            sums[best][0] += p[0];
+            sums[best][1] += p[1];
+            sums[best][2] += p[2];
+            sums[best][3]++;
+        }
+
+        let moved = 0;
+        const next = [];
+        sums.forEach((sum, k) => {
+            if (sum[3] === 0) return;
+            const center = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+            moved = Math.max(moved, colorDistance(center, centers[k]));
+            next.push(center);
+        });
+        const converged = next.length === centers.length && moved < 0.25;
+        centers = next;
+        if (converged) break;
+    }
+
+    return centers;
+}
+
+/**
+ * Octree color quantization.
+ * 
+ * Inserts every pixel into an 8-level octree (one level per bit of each
+ * channel), then repeatedly folds the children of the deepest, least
+ * populated node into their parent until at most colorCount leaves remain.
+ * 
+ * @param {Array<Array<number>>} pixels - Pixel colors
+ * @param {number} colorCount - Target palette size
+ * @returns {Array<Array<number>>} Mean color of each remaining leaf
+ */
+function octreeQuantize(pixels, colorCount) {
+    const MAX_DEPTH = 8;
+    const levels = Array.from({ length: MAX_DEPTH }, () => []);
+    const createNode = (depth) => {
+        const node = { depth, count: 0, r: 0, g: 0, b: 0, children: null };
+        if (depth < MAX_DEPTH) levels[depth].push(node);
+        return node;
+    };
+    const root = createNode(0);
+    let leafCount = 0;
+
+    for (const p of pixels) {
+        let node = root;
+        for (let depth = 0; depth < MAX_DEPTH; depth++) {
+            const shift = 7 - depth;
+            const index = ((p[0] >> shift) & 1) << 2 | ((p[1] >> shift) & 1) << 1 | ((p[2] >> shift) & 1);
+            if (!node.children) node.children = new Array(8).fill(null);
+            if (!node.children[index]) {
+                node.children[index] = createNode(depth + 1);
+                if (depth + 1 === MAX_DEPTH) leafCount++;
+            }
+            node = node.children[index];
+        }
+        node.count++;
+        node.r += p[0];
+        node.g += p[1];
+        node.b += p[2];
+    }
+
+    // Fold the deepest reducible nodes, least populated first, until the palette fits
+    const subtreeCount = (node) => node.children
+        ? node.children.reduce((sum, child) => sum + (child ? subtreeCount(child) : 0), node.count)
+        : node.count;
+    for (let depth = MAX_DEPTH - 1; depth >= 0 && leafCount > colorCount; depth--) {
+        const candidates = levels[depth]
+            .filter(node => node.children)
+            .map(node => ({ node, count: subtreeCount(node) }))
+            .sort((a, b) => a.count - b.count);
+        for (const { node } of candidates) {
+            if (leafCount <= colorCount) break;
+            let merged = 0;
+            for (const child of node.children) {
+                if (!child) continue;
+                node.count += child.count;
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+                merged++;
+            }
+            node.children = null;
+            leafCount -= merged - 1;
+        }
+    }
+
+    const palette = [];
+    const collectLeaves = (node) => {
+        if (!node.children) {
+            if (node.count > 0) palette.push([node.r / node.count, node.g / node.count, node.b / node.count]);
+            return;
+        }
+        node.children.forEach(child => child && collectLeaves(child));
+    };
+    collectLeaves(root);
+    return palette;
+}
+
+/**
+ * Average a list of RGB colors.
+ * 
+ * @param {Array<Array<number>>} colors - Colors to average
+ * @returns {Array<number>} Mean color [r, g, b]
+ */
+function averageColor(colors) {
+    const sum = [0, 0, 0];
+    for (const c of colors) {
+        sum[0] += c[0];
+        sum[1] += c[1];
+        sum[2] += c[2];
+    }
+    return sum.map(channel => channel / colors.length);
+}
+
+/**
+ * Infer a pixelation preset from a reference screenshot.
+ * 
+ * This answers "make my footage look like this game": given a screenshot
+ * (e.g. a Doom frame captured at 4x), it works out the settings that
+ * reproduce the look so they can be passed straight to pixelate(),
+ * pixelateImageData() or the batch CLI (--preset).
+ * 
+ * ANALYSIS STEPS:
+ * 1. Grid scale: finds the period of the luma edges between columns/rows,
+ *    so integer (4x) and non-integer (2.4x aspect-corrected) upscales are found
+ * 2. Native image: takes the majority color of the inner half of every grid cell
+ * 3. Palette: the exact set of colors in the native image. When there are
+ *    more than 256 in an upscaled reference (lossy JPEG noise), near-identical
+ *    colors are merged first; otherwise falls back to median-cut extraction
+ * 4. Dither type: ordered dithering leaves a brightness bias that repeats
+ *    with the matrix size; error diffusion leaves isolated pixels without
+ *    that repetition
+ * 5. Strength: re-dithers a blurred copy of the native image at each
+ *    strength and keeps the one whose dither density matches the reference
+ * 
+ * The returned object is a valid options object for pixelate() (minus
+ * image); diagnostics live under `analysis` and are ignored by the pipeline.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels of the reference
+ * @returns {{width: number, dither: string, strength: number, palette: Array<string>, resolution: string, analysis: Object}}
+ *          Preset options plus analysis details (scale, native size, palette exactness, dither scores)
+ */
+function analyzeReference(source) {
+    if (!source || !source.data || !source.width || !source.height) {
+        throw new Error('Source must be an object with data, width and height.');
+    }
+
+    const gridX = detectGridPeriod(source, 'x');
+    const gridY = detectGridPeriod(source, 'y');
+    let native = sampleGridCells(source, gridX, gridY);
+
+    // Exact palette when the native image uses few enough colors
+    const counts = new Map();
+    for (let i = 0; i < native.data.length; i += 4) {
+        const key = (native.data[i] << 16) | (native.data[i + 1] << 8) | native.data[i + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    let colors = counts.size <= PixelationConstants.MAX_AUTO_PALETTE_COLORS
+        ? [...counts.keys()].map(key => [key >> 16 & 255, key >> 8 & 255, key & 255])
+        : null;
+
+    // Too many colors: lossy compression noise around a real palette, or not paletted at all.
+    // Only upscaled references are merged; at native size noise can't be told from 1px detail
+    const upscaled = gridX.period > 1 || gridY.period > 1;
+    const merged = colors || !upscaled ? null : mergeNoisyColors(native);
+    if (merged) {
+        native = merged.image;
+        colors = merged.colors;
+    }
+    const paletteExact = colors !== null;
+    const paletteColors = paletteExact
+        ? colors.sort((a, b) => (0.2126 * a[0] + 0.7152 * a[1] + 0.0722 * a[2]) - (0.2126 * b[0] + 0.7152 * b[1] + 0.0722 * b[2]))
+        : extractPalette(native, { colors: PixelationConstants.MAX_AUTO_PALETTE_COLORS, method: 'median-cut' });
+
+    const ditherInfo = detectDitherType(native);
+    const strength = ditherInfo.dither === 'none'
+        ? 0
+        : estimateDitherStrength(native, paletteColors, ditherInfo.dither);
+
+    return {
+        width: Math.min(PixelationConstants.MAX_PIXEL_WIDTH, Math.max(PixelationConstants.MIN_PIXEL_WIDTH, native.width)),
+        dither: ditherInfo.dither,
+        strength,
+        palette: paletteColors.map(rgbToHex),
+        resolution: 'pixel',
+        analysis: {
+            scaleX: Math.round(gridX.period * 1000) / 1000,
+            scaleY: Math.round(gridY.period * 1000) / 1000,
+            nativeWidth: native.width,
+            nativeHeight: native.height,
+            colorCount: counts.size,
+            paletteExact,
+            colorsMerged: merged !== null,
+            ditherDensity: ditherInfo.density,
+            orderedScores: ditherInfo.orderedScores,
+        },
+    };
+}
+
+/**
+ * Detect the pixel grid period along one axis of an upscaled image.
+ * 
+ * Every column (or row) boundary is weighted by how many pixels change
+ * across it. For each candidate period p, the boundaries are treated as
+ * phases 2*pi*x/p and the coherence |sum(w * e^(i*phase))| / sum(w) is
+ * measured; true grid lines all share one phase. Divisors of the true
+ * period are coherent too, so the largest strongly coherent period wins.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels
+ * @param {string} axis - 'x' for columns, 'y' for rows
+ * @returns {{period: number, offset: number}} Cell size in source pixels and grid phase offset
+ */
+function detectGridPeriod(source, axis) {
+    const { data, width, height } = source;
+    const length = axis === 'x' ? width : height;
+    const span = axis === 'x' ? height : width;
+    const tolerance = ReferenceAnalysisConstants.CHANGE_TOLERANCE;
+    const ratio = ReferenceAnalysisConstants.EDGE_PEAK_RATIO;
+
+    // Weight of each boundary between position i-1 and i
+    const weights = new Float64Array(length);
+    const steps = new Float32Array(length + 2);
+    let totalWeight = 0;
+    for (let j = 0; j < span; j++) {
+        let previous = 0;
+        for (let i = 0; i < length; i++) {
+            const idx = axis === 'x' ? (j * width + i) * 4 : (i * width + j) * 4;
+            const luma = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            steps[i] = i === 0 ? 0 : Math.abs(luma - previous);
+            previous = luma;
+        }
+        for (let i = 1; i < length; i++) {
+            // JPEG ringing is weaker than the edge it surrounds, so only local peaks count
+            const neighbours = Math.max(steps[i - 1], steps[i + 1], i > 1 ? steps[i - 2] : 0, steps[i + 2] || 0);
+            if (steps[i] > tolerance && steps[i] >= ratio * neighbours) {
+                weights[i]++;
+                totalWeight++;
+            }
+        }
+    }
+    if (totalWeight === 0) return { period: 1, offset: 0 };
+
+    // Every boundary sits on an integer, so period 1 is trivially coherent; search from MIN_GRID_SCALE up
+    const maxPeriod = Math.min(ReferenceAnalysisConstants.MAX_GRID_SCALE, length / 8);
+    const step = ReferenceAnalysisConstants.GRID_PERIOD_STEP;
+    const candidates = [];
+    for (let p = ReferenceAnalysisConstants.MIN_GRID_SCALE; p <= maxPeriod; p += step) {
+        let re = 0, im = 0;
+        for (let i = 1; i < length; i++) {
+            if (weights[i] === 0) continue;
+            const phase = 2 * Math.PI * i / p;
+            re += weights[i] * Math.cos(phase);
+            im += weights[i] * Math.sin(phase);
+        }
+        candidates.push({ period: p, coherence: Math.hypot(re, im) / totalWeight, re, im });
+    }
+
+    const bestCoherence = Math.max(0, ...candidates.map(c => c.coherence));
+    if (bestCoherence < ReferenceAnalysisConstants.MIN_GRID_COHERENCE) {
+        // No regular grid: the image is already at native resolution
+        return { period: 1, offset: 0 };
+    }
+
+    // Largest local maximum that is nearly as coherent as the best candidate
+    let chosen = null;
+    for (let k = 0; k < candidates.length; k++) {
+        const c = candidates[k];
+        const isPeak = (k === 0 || c.coherence >= candidates[k - 1].coherence) &&
+            (k === candidates.length - 1 || c.coherence >= candidates[k + 1].coherence);
+        if (isPeak && c.coherence >= ReferenceAnalysisConstants.GRID_COHERENCE_RATIO * bestCoherence) {
+            chosen = c;
+        }
+    }
+
+    let period = chosen.period;
+    if (Math.abs(period - Math.round(period)) < ReferenceAnalysisConstants.GRID_INTEGER_SNAP) {
+        period = Math.round(period);
+    }
+    const offset = ((Math.atan2(chosen.im, chosen.re) / (2 * Math.PI)) * period + period) % period;
+    return { period, offset };
+}
+
+/**
+ * Sample the inner half of every grid cell.
+ * 
+ * Each native pixel takes the color most of those pixels share, or their
+ * mean when none does (compression noise), so cell borders blurred by
+ * JPEG or resampling never leak in. Cells too narrow to have more than
+ * one inner pixel use their center pixel.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} source - RGBA pixels
+ * @param {{period: number, offset: number}} gridX - Horizontal grid
+ * @param {{period: number, offset: number}} gridY - Vertical grid
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Native-resolution image
+ */
+function sampleGridCells(source, gridX, gridY) {
+    const spans = (grid, length) => {
+        // Shift the origin so a partial first cell counts only if at least half of it is visible
+        let origin = grid.offset;
+        if (origin > grid.period / 2) origin -= grid.period;
+        const result = [];
+        for (let c = origin + grid.period / 2; c < length; c += grid.period) {
+            if (c < 0) continue;
+            // Pixels whose centers lie in the middle half of the cell
+            const from = Math.max(0, Math.ceil(c - grid.period / 4 - 0.5));
+            const to = Math.min(length, Math.ceil(c + grid.period / 4 - 0.5));
+            const center = Math.min(length - 1, Math.floor(c));
+            result.push(to - from > 1 ? { from, to } : { from: center, to: center + 1 });
+        }
+        return result;
+    };
+
+    const xs = spans(gridX, source.width);
+    const ys = spans(gridY, source.height);
+    const output = new Uint8ClampedArray(xs.length * ys.length * 4);
+    const votes = new Map();
+    ys.forEach((rows, y) => {
+        xs.forEach((columns, x) => {
+            votes.clear();
+            let r = 0, g = 0, b = 0, count = 0;
+            for (let sy = rows.from; sy < rows.to; sy++) {
+                for (let sx = columns.from; sx < columns.to; sx++) {
+                    const srcIdx = (sy * source.width + sx) * 4;
+                    const key = (source.data[srcIdx] << 16) | (source.data[srcIdx + 1] << 8) | source.data[srcIdx + 2];
+                    votes.set(key, (votes.get(key) || 0) + 1);
+                    r += source.data[srcIdx];
+                    g += source.data[srcIdx + 1];
+                    b += source.data[srcIdx + 2];
+                    count++;
+                }
+            }
+
+            const outIdx = (y * xs.length + x) * 4;
+            let majority = -1;
+            for (const [key, votesForKey] of votes) {
+                if (votesForKey * 2 > count) majority = key;
+            }
+            if (majority >= 0) {
+                output[outIdx] = majority >> 16 & 255;
+                output[outIdx + 1] = majority >> 8 & 255;
+                output[outIdx + 2] = majority & 255;
+            } else {
+                output[outIdx] = Math.round(r / count);
+                output[outIdx + 1] = Math.round(g / count);
+                output[outIdx + 2] = Math.round(b / count);
+            }
+            output[outIdx + 3] = 255;
+        });
+    });
+    return { data: output, width: xs.length, height: ys.length };
+}
+
+/**
+ * Merge the near-identical colors lossy compression leaves in a native image.
+ * 
+ * A chroma-subsampled JPEG turns every palette color into hundreds of
+ * slightly different ones, which hides both the palette and the dither
+ * pattern. Colors are grouped in YCbCr: each color, most common first,
+ * joins the nearest group within COLOR_MERGE_DISTANCE or starts a new one,
+ * then a few k-means passes center the groups. Groups smaller than
+ * MIN_MERGED_SHARE of the image are stray noise and join their nearest
+ * neighbour. Every pixel then takes its group's mean color.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - Native-resolution RGBA pixels
+ * @returns {{image: {data: Uint8ClampedArray, width: number, height: number}, colors: Array<Array<number>>}|null}
+ *          The merged image and its colors, or null if more than MAX_AUTO_PALETTE_COLORS groups remain
+ */
+function mergeNoisyColors(image) {
+    const { data, width, height } = image;
+    const limit = PixelationConstants.MAX_AUTO_PALETTE_COLORS;
+    const reach = ReferenceAnalysisConstants.COLOR_MERGE_DISTANCE;
+
+    const counts = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const colors = [...counts].sort((a, b) => b[1] - a[1]).map(([key, count]) => {
+        const r = key >> 16 & 255, g = key >> 8 & 255, b = key & 255;
+        return {
+            key,
+            count,
+            rgb: [r, g, b],
+            ycc: [0.299 * r + 0.587 * g + 0.114 * b, -0.168736 * r - 0.331264 * g + 0.5 * b, 0.5 * r - 0.418688 * g - 0.081312 * b],
+            group: 0,
+        };
+    });
+    const nearest = (ycc, centers) => {
+        let best = 0, bestDistance = Infinity;
+        centers.forEach((center, index) => {
+            const distance = Math.hypot(ycc[0] - center[0], ycc[1] - center[1], ycc[2] - center[2]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        return { index: best, distance: bestDistance };
+    };
+    // Weighted mean of each group's colors in the given space; empty groups are dropped
+    const groupMeans = (space) => {
+        const sums = new Map();
+        for (const color of colors) {
+            const sum = sums.get(color.group) || [0, 0, 0, 0];
+            for (let c = 0; c < 3; c++) sum[c] += color[space][c] * color.count;
+            sum[3] += color.count;
+            sums.set(color.group, sum);
+        }
+        return [...sums].map(([group, sum]) => ({ group, mean: [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]], count: sum[3] }));
+    };
+    const assign = (centers) => {
+        for (const color of colors) color.group = nearest(color.ycc, centers).index;
+    };
+
+    // Leader clustering; a photo rather than paletted art soon needs far too many groups
+    let centers = [];
+    for (const color of colors) {
+        const found = nearest(color.ycc, centers);
+        if (found.distance <= reach) continue;
+        if (centers.length === limit * 2) return null;
+        centers.push(color.ycc);
+    }
+
+    for (let pass = 0; pass < ReferenceAnalysisConstants.COLOR_MERGE_PASSES; pass++) {
+        assign(centers);
+        centers = groupMeans('ycc').map(group => group.mean);
+    }
+
+    // Fold stray noise into the real colors around it
+    assign(centers);
+    const minCount = ReferenceAnalysisConstants.MIN_MERGED_SHARE * width * height;
+    const groups = groupMeans('ycc');
+    if (groups.some(group => group.count >= minCount)) {
+        centers = groups.filter(group => group.count >= minCount).map(group => group.mean);
+        assign(centers);
+    }
+    if (centers.length > limit) return null;
+
+    const groupColors = new Map(groupMeans('rgb').map(({ group, mean }) => [group, mean.map(Math.round)]));
+    const colorOf = new Map(colors.map(color => [color.key, groupColors.get(color.group)]));
+
+    const output = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        output.set(colorOf.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]), i);
+        output[i + 3] = 255;
+    }
+    return { image: { data: output, width, height }, colors: [...groupColors.values()] };
+}
+
+/**
+ * Measure how densely an image is dithered.
+ * 
+ * Counts pixels that differ from both neighbors while those neighbors
+ * match each other (horizontally or vertically). Flat pixel art and
+ * plain edges rarely produce this one-pixel alternation; every dither
+ * method produces a lot of it.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @returns {number} Fraction of interior pixels that are isolated (0-1)
+ */
+function measureDitherDensity(image) {
+    const { data, width, height } = image;
+    const key = (x, y) => {
+        const i = (y * width + x) * 4;
+        return (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    };
+    let isolated = 0, total = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const c = key(x, y);
+            const l = key(x - 1, y), r = key(x + 1, y);
+            const u = key(x, y - 1), d = key(x, y + 1);
+            if ((c !== l && l === r) || (c !== u && u === d)) isolated++;
+            total++;
+        }
+    }
+    return total ? isolated / total : 0;
+}
+
+/**
+ * Classify the dithering used in a native-resolution image.
+ * 
+ * Ordered dithering rounds pixels up more often at low-threshold matrix
+ * positions, so the fraction of "brighter than the local mean" pixels,
+ * grouped by (x mod 8, y mod 8), varies strongly. When it does, that
+ * 8x8 pattern is compared with each threshold matrix (tiled to 8x8) to
+ * pick the matrix; otherwise isolated pixels indicate error diffusion.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - Native-resolution pixels
+ * @returns {{dither: string, density: number, orderedScores: Object}} Detected method, density and per-size scores
+ */
+function detectDitherType(image) {
+    const density = measureDitherDensity(image);
+    const { data, width, height } = image;
+    const lum = new Float32Array(width * height);
+    for (let i = 0; i < lum.length; i++) {
+        lum[i] = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+    }
+
+    // Position statistics of "rounded up" pixels in non-flat 3x3 neighbourhoods
+    const sizes = [2, 4, 8];
+    const stats = sizes.map(n => ({ n, up: new Float64Array(n * n), count: new Float64Array(n * n) }));
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            let sum = 0, min = Infinity, max = -Infinity;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const v = lum[(y + dy) * width + x + dx];
+                    sum += v;
+                    if (v < min) min = v;
+                    if (v > max) max = v;
+                }
+            }
+            if (max === min) continue;
+            const up = lum[y * width + x] > sum / 9 ? 1 : 0;
+            for (const s of stats) {
+                const pos = (y % s.n) * s.n + (x % s.n);
+                s.up[pos] += up;
+                s.count[pos]++;
+            }
+        }
+    }
+
+    const orderedScores = {};
+    const meansBySize = {};
+    for (const s of stats) {
+        const means = [];
+        let samples = 0;
+        for (let pos = 0; pos < s.up.length; pos++) {
+            if (s.count[pos] === 0) continue;
+            means.push(s.up[pos] / s.count[pos]);
+            samples += s.count[pos];
+        }
+        if (means.length < s.up.length) {
+            orderedScores[s.n] = 0;
+            continue;
+        }
+        const mean = means.reduce((a, b) => a + b, 0) / means.length;
+        const variance = means.reduce((a, b) => a + (b - mean) * (b - mean), 0) / means.length;
+        // Remove the variance expected from sampling noise alone
+        const noise = mean * (1 - mean) / (samples / means.length);
+        orderedScores[s.n] = Math.max(0, variance - noise);
+        meansBySize[s.n] = means;
+    }
+
+    if (density < ReferenceAnalysisConstants.MIN_DITHER_DENSITY) {
+        return { dither: 'none', density, orderedScores };
+    }
+
+    if (orderedScores[8] >= ReferenceAnalysisConstants.MIN_ORDERED_SCORE) {
+        // The matrix whose (tiled) threshold order best matches the 8x8 round-up pattern wins
+        const matrices = { '2x2 bayer': '2x2', 'clustered 4x4': 'clustered 4x4', 'ordered': '8x8' };
+        let bestMethod = 'ordered';
+        let bestCorrelation = -Infinity;
+        for (const [method, type] of Object.entries(matrices)) {
+            const correlation = matrixPatternCorrelation(meansBySize[8], getBayerMatrix(type));
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestMethod = method;
+            }
+        }
+
+        // 4x4 Bayer shares the 2x2 ordering at its coarse level; look for its finer structure
+        if (bestMethod === '2x2 bayer' &&
+            matrixPatternCorrelation(meansBySize[8], getBayerMatrix('4x4'), 2) >= ReferenceAnalysisConstants.MIN_DETAIL_CORRELATION) {
+            bestMethod = '4x4 bayer';
+        }
+        return { dither: bestMethod, density, orderedScores };
+    }
+
+    return { dither: 'floyd-steinberg', density, orderedScores };
+}
+
+/**
+ * Best correlation between per-position round-up rates and a threshold matrix.
+ * 
+ * Low thresholds round up most often, so the 8x8 rates are correlated with
+ * the negated matrix tiled to 8x8, over every cyclic shift (the screenshot's
+ * matrix origin is unknown).
+ * 
+ * With `detailPeriod`, the mean of every (x mod p, y mod p) class is removed
+ * from both sides first, so only structure finer than that period is compared.
+ * 
+ * @param {Array<number>} means - Round-up rate per 8x8 position (row-major)
+ * @param {Array<Array<number>>} matrix - Square threshold matrix (2, 4 or 8 wide)
+ * @param {number} [detailPeriod=0] - Coarse period to remove before correlating
+ * @returns {number} Highest Pearson correlation over all shifts
+ */
+function matrixPatternCorrelation(means, matrix, detailPeriod = 0) {
+    const n = matrix.length;
+    const coarseClass = (i) => (Math.floor(i / 8) % detailPeriod) * detailPeriod + (i % 8) % detailPeriod;
+    const removeCoarse = (values) => {
+        if (!detailPeriod) return values;
+        const sums = new Float64Array(detailPeriod * detailPeriod);
+        values.forEach((v, i) => { sums[coarseClass(i)] += v; });
+        // Every class holds the same number of the 64 positions
+        const perClass = 64 / (detailPeriod * detailPeriod);
+        return values.map((v, i) => v - sums[coarseClass(i)] / perClass);
+    };
+    const correlate = (a, b) => {
+        const meanA = a.reduce((s, v) => s + v, 0) / a.length;
+        const meanB = b.reduce((s, v) => s + v, 0) / b.length;
+        let num = 0, da = 0, db = 0;
+        for (let i = 0; i < a.length; i++) {
+            num += (a[i] - meanA) * (b[i] - meanB);
+            da += (a[i] - meanA) * (a[i] - meanA);
+            db += (b[i] - meanB) * (b[i] - meanB);
+        }
+        return da && db ? num / Math.sqrt(da * db) : 0;
+    };
+
+    const target = removeCoarse(means);
+    let best = -Infinity;
+    for (let sy = 0; sy < n; sy++) {
+        for (let sx = 0; sx < n; sx++) {
+            const tiled = [];
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    tiled.push(-matrix[(y + sy) % n][(x + sx) % n]);
+                }
+            }
+            best = Math.max(best, correlate(target, removeCoarse(tiled)));
+        }
+    }
+    return best;
+}
+
+/**
+ * Estimate dithering strength by re-dithering the blurred reference.
+ * 
+ * A box blur of the native image approximates the colors the dither was
+ * trying to reproduce. That blur is dithered with the detected method at
+ * each candidate strength, and the strength whose statistics are closest
+ * to the reference wins: the share of pixels that differ from plain
+ * quantization for ordered dithering, dither density for error diffusion.
+ * Work is limited to a centered crop.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - Native-resolution pixels
+ * @param {Array<Array<number>>} paletteColors - Palette as RGB arrays
+ * @param {string} dither - Detected dithering method
+ * @returns {number} Estimated strength (0-100)
+ */
+function estimateDitherStrength(image, paletteColors, dither) {
+    const cropSize = ReferenceAnalysisConstants.STRENGTH_CROP_SIZE;
+    const cropW = Math.min(image.width, cropSize);
+    const cropH = Math.min(image.height, cropSize);
+    const x0 = Math.floor((image.width - cropW) / 2);
+    const y0 = Math.floor((image.height - cropH) / 2);
+    const crop = new Uint8ClampedArray(cropW * cropH * 4);
+    for (let y = 0; y < cropH; y++) {
+        const start = ((y0 + y) * image.width + x0) * 4;
+        crop.set(image.data.subarray(start, start + cropW * 4), y * cropW * 4);
+    }
+    const reference = { data: crop, width: cropW, height: cropH };
+
+    // Blur over one matrix period for ordered dithering, 3x3 for error diffusion
+    const matrixSizes = { '2x2 bayer': 2, '4x4 bayer': 4, 'clustered 4x4': 4, 'ordered': 8 };
+    const radius = Math.max(1, Math.floor((matrixSizes[dither] || 3) / 2));
+    const blurred = boxBlur(reference, radius);
+
+    // Ordered strength shows up as how often pixels leave the plain (undithered) quantization;
+    // error diffusion always leaves it, so its strength is matched on dither density instead
+    const plain = { data: blurred.data.slice(), width: cropW, height: cropH };
+    applyPalette(plain, paletteColors);
+    const measure = matrixSizes[dither] ? (image) => {
+        let changed = 0;
+        for (let i = 0; i < image.data.length; i += 4) {
+            if (image.data[i] !== plain.data[i] || image.data[i + 1] !== plain.data[i + 1] || image.data[i + 2] !== plain.data[i + 2]) {
+                changed++;
+            }
+        }
+        return changed / (cropW * cropH);
+    } : measureDitherDensity;
+    const target = measure(reference);
+
+    let bestStrength = PixelationConstants.DEFAULT_DITHER_STRENGTH;
+    let bestError = Infinity;
+    for (let strength = 10; strength <= 100; strength += 10) {
+        const trial = pixelateImageData(
+            { data: blurred.data.slice(), width: cropW, height: cropH },
+            { width: cropW, dither, strength, palette: paletteColors, resolution: 'pixel' }
+        );
+        const error = Math.abs(measure(trial) - target);
+        if (error < bestError) {
+            bestError = error;
+            bestStrength = strength;
+        }
+    }
+    return bestStrength;
+}
+
+/**
+ * Box blur RGBA pixels with a square window, clamping at the edges.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @param {number} radius - Window radius in pixels
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Blurred pixels
+ */
+function boxBlur(image, radius) {
+    const { data, width, height } = image;
+    const output = new Uint8ClampedArray(data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sums = [0, 0, 0, 0];
+            let count = 0;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const sy = Math.min(height - 1, Math.max(0, y + dy));
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const sx = Math.min(width - 1, Math.max(0, x + dx));
+                    const i = (sy * width + sx) * 4;
+                    sums[0] += data[i];
+                    sums[1] += data[i + 1];
+                    sums[2] += data[i + 2];
+                    sums[3] += data[i + 3];
+                    count++;
+                }
+            }
+            const o = (y * width + x) * 4;
+            for (let c = 0; c < 4; c++) output[o + c] = Math.round(sums[c] / count);
+        }
+    }
+    return { data: output, width, height };
+}
+
+/**
+ * Apply color palette quantization to image data.
+ * 
+ * This function reduces the image colors to a limited palette,
+ * which is essential for creating authentic pixel art. It maps
+ * each pixel to its nearest color in the target palette.
+ * 
+ * For training data, this ensures consistent color schemes that
+ * models can learn to recognize as characteristic of pixel art.
+ * 
+ * @param {ImageData} imageData - Canvas image data to modify in-place
+ * @param {Array<Array<number>>} paletteColors - Target palette as RGB arrays
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched
+ */
+function applyPalette(imageData, paletteColors, distance = 'rgb', onProgress = null, skipTransparent = false) {
+    const { data, width, height } = imageData;
+    const matcher = getPaletteMatcher(paletteColors, distance);
+    for (let y = 0; y < height; y++) {
+        for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+            if (skipTransparent && data[i + 3] === 0) continue;
+            const color = paletteColors[matcher.nearestIndex(data[i], data[i + 1], data[i + 2])];
+            data[i] = color[0];
+            data[i + 1] = color[1];
+            data[i + 2] = color[2];
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+}
+/**
+ * Apply Atkinson dithering algorithm for gentler error diffusion.
+ * 
+ * Atkinson dithering, developed by Bill Atkinson for early Macintosh
+ * computers, diffuses only 75% of the quantization error (compared to
+ * Floyd-Steinberg's 100%). This creates higher contrast but preserves
+ * detail better in areas of similar tones.
+ * 
+ * CHARACTERISTICS:
+ * - Better for high-contrast images and line art
+ * - Preserves sharp edges better than Floyd-Steinberg
+ * - Creates a distinctive retro computing aesthetic
+ * - Good for training models to recognize vintage pixel art styles
+ * 
+ * ERROR DISTRIBUTION PATTERN:
+ *     *   1/8  1/8
+ * 1/8 1/8 1/8
+ *     1/8
+ * 
+ * Where * is the current pixel being processed.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {boolean} [serpentine=false] - Scan odd rows right-to-left with a mirrored pattern
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched and out of error diffusion
+ * @returns {ImageData} Modified image data with dithering applied
+ */
+function atkinsonDithering(imageData, width, height, strength, paletteColors, distance = 'rgb', serpentine = false, onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const errorBuffer = new Float32Array(data.length);
+    const matcher = getPaletteMatcher(paletteColors, distance);
+
+    for (let y = 0; y < height; y++) {
+        const dir = serpentine && y % 2 === 1 ? -1 : 1;
+        for (let i = 0; i < width; i++) {
+            const x = dir === 1 ? i : width - 1 - i;
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            // Get original color and add accumulated error
+            const r = data[idx] + errorBuffer[idx];
+            const g = data[idx + 1] + errorBuffer[idx + 1];
+            const b = data[idx + 2] + errorBuffer[idx + 2];
+
+            // Quantize the pixel to the nearest palette color
+            const newColor = paletteColors[matcher.nearestIndex(r, g, b)];
+
+            // Update the image data with the new color
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+
+            // Calculate the quantization error
+            const errR = (r - newColor[0]) * strength;
+            const errG = (g - newColor[1]) * strength;
+            const errB = (b - newColor[2]) * strength;
+
+            // Distribute the error to neighboring pixels
+            distributeError(errorBuffer, x + dir, y, errR, errG, errB, (1 / 8), width, height);
+            distributeError(errorBuffer, x + 2 * dir, y, errR, errG, errB, (1 / 8), width, height);
+            distributeError(errorBuffer, x - dir, y + 1, errR, errG, errB, (1 / 8), width, height);
+            distributeError(errorBuffer, x, y + 1, errR, errG, errB, (1 / 8), width, height);
+            distributeError(errorBuffer, x + dir, y + 1, errR, errG, errB, (1 / 8), width, height);
+            distributeError(errorBuffer, x, y + 2, errR, errG, errB, (1 / 8), width, height);
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Apply Floyd-Steinberg dithering for classic error diffusion.
+ * 
+ * Floyd-Steinberg is the most widely used error diffusion algorithm.
+ * It distributes quantization error to neighboring pixels in a specific
+ * pattern, creating smooth gradients even with limited colors.
+ * 
+ * CHARACTERISTICS:
+ * - Excellent for photographs and gradients
+ * - Creates organic, non-repetitive patterns
+ * - Can produce "worm" artifacts in flat color areas
+ * - Industry standard for pixel art conversion
+ * 
+ * ERROR DISTRIBUTION PATTERN:
+ *     * 7/16
+ * 3/16 5/16 1/16
+ * 
+ * Where * is the current pixel. The fractions show how much
+ * error is distributed to each neighboring pixel.
+ * 
+ * This algorithm is ideal for training data because it produces
+ * results similar to hand-crafted pixel art with careful shading.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {boolean} [serpentine=false] - Scan odd rows right-to-left with a mirrored pattern
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched and out of error diffusion
+ * @returns {ImageData} Modified image data with dithering applied
+ */
+function floydSteinbergDithering(imageData, width, height, strength, paletteColors, distance = 'rgb', serpentine = false, onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const errorBuffer = new Float32Array(data.length);
+    const matcher = getPaletteMatcher(paletteColors, distance);
+
+    for (let y = 0; y < height; y++) {
+        const dir = serpentine && y % 2 === 1 ? -1 : 1;
+        for (let i = 0; i < width; i++) {
+            const x = dir === 1 ? i : width - 1 - i;
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            // Get original color and add accumulated error
+            const r = data[idx] + errorBuffer[idx];
+            const g = data[idx + 1] + errorBuffer[idx + 1];
+            const b = data[idx + 2] + errorBuffer[idx + 2];
+
+            // Quantize the pixel to the nearest palette color
+            const newColor = paletteColors[matcher.nearestIndex(r, g, b)];
+
+            // Update the image data with the new color
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+
+            // Calculate the quantization error
+            const errR = (r - newColor[0]) * strength;
+            const errG = (g - newColor[1]) * strength;
+            const errB = (b - newColor[2]) * strength;
+
+            // Distribute the error to neighboring pixels using Floyd-Steinberg coefficients
+            distributeError(errorBuffer, x + dir, y, errR, errG, errB, DitheringCoefficients.FLOYD_STEINBERG.RIGHT, width, height);
+            distributeError(errorBuffer, x - dir, y + 1, errR, errG, errB, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM_LEFT, width, height);
+            distributeError(errorBuffer, x, y + 1, errR, errG, errB, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM, width, height);
+            distributeError(errorBuffer, x + dir, y + 1, errR, errG, errB, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM_RIGHT, width, height);
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Apply error diffusion with a fixed kernel from DitheringCoefficients.
+ * 
+ * Jarvis-Judice-Ninke, Stucki, Burkes and the Sierra family all work like
+ * Floyd-Steinberg and differ only in how far and in what proportions the
+ * quantization error is spread. Wider kernels give smoother gradients and
+ * fewer worms; Sierra Lite is almost as cheap as Floyd-Steinberg.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {{DIVISOR: number, WEIGHTS: Array<Array<number>>}} kernel - [dx, dy, weight] entries and their divisor
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {boolean} [serpentine=false] - Scan odd rows right-to-left with a mirrored kernel
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched and out of error diffusion
+ * @returns {ImageData} Modified image data with dithering applied
+ */
+function errorDiffusionDithering(imageData, width, height, strength, paletteColors, kernel, distance = 'rgb', serpentine = false, onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const errorBuffer = new Float32Array(data.length);
+    const matcher = getPaletteMatcher(paletteColors, distance);
+
+    // Flatten the kernel once so the pixel loop does no destructuring
+    const taps = kernel.WEIGHTS.length;
+    const offsetsX = new Int32Array(taps);
+    const offsetsY = new Int32Array(taps);
+    const factors = new Float64Array(taps);
+    kernel.WEIGHTS.forEach(([dx, dy, weight], t) => {
+        offsetsX[t] = dx;
+        offsetsY[t] = dy;
+        factors[t] = weight / kernel.DIVISOR;
+    });
+
+    for (let y = 0; y < height; y++) {
+        const dir = serpentine && y % 2 === 1 ? -1 : 1;
+        for (let i = 0; i < width; i++) {
+            const x = dir === 1 ? i : width - 1 - i;
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            // Get original color and add accumulated error
+            const r = data[idx] + errorBuffer[idx];
+            const g = data[idx + 1] + errorBuffer[idx + 1];
+            const b = data[idx + 2] + errorBuffer[idx + 2];
+
+            const newColor = paletteColors[matcher.nearestIndex(r, g, b)];
+
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+
+            const errR = (r - newColor[0]) * strength;
+            const errG = (g - newColor[1]) * strength;
+            const errB = (b - newColor[2]) * strength;
+
+            for (let t = 0; t < taps; t++) {
+                distributeError(errorBuffer, x + offsetsX[t] * dir, y + offsetsY[t], errR, errG, errB, factors[t], width, height);
+            }
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Apply Ostromoukhov variable-coefficient error diffusion.
+ * 
+ * Uses the Floyd-Steinberg footprint (right, bottom-left, bottom) but picks
+ * the weights from DitheringCoefficients.OSTROMOUKHOV according to the
+ * pixel's input level. The coefficients were optimized so every gray level
+ * produces a blue-noise-like pattern, avoiding the regular textures fixed
+ * kernels show in mid-tones. For color images the level is the pixel's
+ * luma before error is added.
+ * 
+ * The algorithm was designed for serpentine scanning; pass serpentine
+ * to get the published behavior.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {boolean} [serpentine=false] - Scan odd rows right-to-left with a mirrored kernel
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched and out of error diffusion
+ * @returns {ImageData} Modified image data with dithering applied
+ */
+function ostromoukhovDithering(imageData, width, height, strength, paletteColors, distance = 'rgb', serpentine = false, onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const errorBuffer = new Float32Array(data.length);
+    const matcher = getPaletteMatcher(paletteColors, distance);
+
+    for (let y = 0; y < height; y++) {
+        const dir = serpentine && y % 2 === 1 ? -1 : 1;
+        for (let i = 0; i < width; i++) {
+            const x = dir === 1 ? i : width - 1 - i;
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            // Coefficients depend on the original level, mirrored around mid-gray
+            const level = Math.round(0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]);
+            const coefficients = DitheringCoefficients.OSTROMOUKHOV[level > 127 ? 255 - level : level];
+            const divisor = coefficients[3];
+
+            const r = data[idx] + errorBuffer[idx];
+            const g = data[idx + 1] + errorBuffer[idx + 1];
+            const b = data[idx + 2] + errorBuffer[idx + 2];
+
+            const newColor = paletteColors[matcher.nearestIndex(r, g, b)];
+
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+
+            const errR = (r - newColor[0]) * strength;
+            const errG = (g - newColor[1]) * strength;
+            const errB = (b - newColor[2]) * strength;
+
+            distributeError(errorBuffer, x + dir, y, errR, errG, errB, coefficients[0] / divisor, width, height);
+            distributeError(errorBuffer, x - dir, y + 1, errR, errG, errB, coefficients[1] / divisor, width, height);
+            distributeError(errorBuffer, x, y + 1, errR, errG, errB, coefficients[2] / divisor, width, height);
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Apply ordered dithering using a Bayer matrix pattern.
+ * 
+ * Ordered dithering uses a fixed threshold matrix to determine whether
+ * to round colors up or down. This creates predictable, repeating patterns
+ * that are useful for consistent training data generation.
+ * 
+ * CHARACTERISTICS:
+ * - Creates regular, predictable patterns
+ * - No error accumulation (each pixel processed independently)
+ * - Good for flat colors and gradients
+ * - Produces consistent results across identical inputs
+ * - Ideal for training models to recognize pattern-based dithering
+ * 
+ * The Bayer matrix provides threshold values that create the
+ * characteristic crosshatch pattern of ordered dithering.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {Array<Array<number>>} bayerMatrix - Threshold matrix for pattern
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched and out of error diffusion
+ * @returns {ImageData} Modified image data with ordered dithering
+ */
+function orderedDithering(imageData, width, height, strength, paletteColors, bayerMatrix, distance = 'rgb', onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const matrixSize = bayerMatrix.length;
+    const matcher = getPaletteMatcher(paletteColors, distance);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            const threshold = ((bayerMatrix[y % matrixSize][x % matrixSize] + 0.5) / (matrixSize * matrixSize)) * 255;
+
+            // Adjust color based on Bayer matrix threshold
+            // The threshold shifts the color before quantization, creating the dither pattern
+            const offset = (threshold - DitheringCoefficients.ORDERED_THRESHOLD_CENTER) * strength;
+
+            // Quantize the adjusted color
+            const newColor = paletteColors[matcher.nearestIndex(data[idx] + offset, data[idx + 1] + offset, data[idx + 2] + offset)];
+
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Apply Thomas Knoll's pattern dithering, a palette-aware ordered dither.
+ * 
+ * orderedDithering() shifts all three channels by one threshold offset and
+ * snaps to the nearest color, so with a sparse palette (PICO-8, Batpalette)
+ * it mostly flips between two shades of the nearest hue and bands. Pattern
+ * dithering builds a mixing plan for each input color instead: palette
+ * colors are picked one at a time, each pick steered by the error the
+ * earlier picks left, so together they average out to the input. The
+ * picks are sorted by luminance and the threshold map decides which one
+ * each pixel of the cell shows, reproducing in-between hues with whatever
+ * palette colors mix to them.
+ * 
+ * Strength scales how far the error steers each pick: 0 gives plain
+ * palette matching, 1 the full mix. Plans only depend on the input color
+ * and are cached per call, so flat areas plan once. Linear light input is
+ * planned per PATTERN_FLOAT_KEY_BITS bucket instead of per float color,
+ * with square-root spacing so shadows keep as many steps as highlights.
+ * 
+ * @param {ImageData} imageData - Image data to process in-place
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} strength - Dithering strength (0-1 range)
+ * @param {Array<Array<number>>} paletteColors - Target color palette
+ * @param {Array<Array<number>>} thresholdMap - Threshold matrix choosing each pixel's pick,
+ *        holding NxN consecutive levels from 0 (Bayer) or 1 (clustered 4x4)
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @param {Function} [onProgress] - Called with the fraction of rows done (0-1)
+ * @param {boolean} [skipTransparent=false] - Leave pixels with alpha 0 untouched
+ * @returns {ImageData} Modified image data with pattern dithering
+ */
+function knollDithering(imageData, width, height, strength, paletteColors, thresholdMap, distance = 'rgb', onProgress = null, skipTransparent = false) {
+    const data = imageData.data;
+    const matrixSize = thresholdMap.length;
+    const levels = matrixSize * matrixSize;
+    // Bayer maps count from 0 and the clustered map from 1; either way the lowest value is level 0
+    const firstLevel = Math.min(...thresholdMap.flat());
+    const candidateCount = Math.min(levels, DitheringCoefficients.MAX_PATTERN_CANDIDATES);
+    const matcher = getPaletteMatcher(paletteColors, distance);
+    const luma = paletteColors.map(color => 0.299 * color[0] + 0.587 * color[1] + 0.114 * color[2]);
+    // Plans live in one flat table; `plans` maps a color key to its slot
+    const slotCount = Math.min(DitheringCoefficients.MAX_PATTERN_PLANS, width * height);
+    const table = new Int32Array(slotCount * candidateCount);
+    const picks = new Int32Array(candidateCount);
+    const plans = new Map();
+    const floatInput = data instanceof Float32Array;
+    const bucketMax = (1 << DitheringCoefficients.PATTERN_FLOAT_KEY_BITS) - 1;
+    const toBucket = value => Math.round(Math.sqrt(Math.min(255, Math.max(0, value)) / 255) * bucketMax);
+    const fromBucket = bucket => (bucket / bucketMax) ** 2 * 255;
+
+    // Returns the offset of the color's plan in `table`
+    const getPlan = (r, g, b) => {
+        let key;
+        if (floatInput) {
+            r = toBucket(r);
+            g = toBucket(g);
+            b = toBucket(b);
+            key = (r << 16) | (g << 8) | b;
+            r = fromBucket(r);
+            g = fromBucket(g);
+            b = fromBucket(b);
+        } else {
+            key = (r << 16) | (g << 8) | b;
+        }
+        let slot = plans.get(key);
+        if (slot !== undefined) return slot * candidateCount;
+
+        let errR = 0;
+        let errG = 0;
+        let errB = 0;
+        for (let c = 0; c < candidateCount; c++) {
+            const index = matcher.nearestIndex(
+                Math.min(255, Math.max(0, r + errR * strength)),
+                Math.min(255, Math.max(0, g + errG * strength)),
+                Math.min(255, Math.max(0, b + errB * strength)));
+            const color = paletteColors[index];
+            picks[c] = index;
+            errR += r - color[0];
+            errG += g - color[1];
+            errB += b - color[2];
+        }
+        // Dark to light, so the threshold map spreads the picks like Bayer levels
+        picks.sort((p, q) => luma[p] - luma[q] || p - q);
+        if (plans.size >= slotCount) plans.clear();
+        slot = plans.size;
+        plans.set(key, slot);
+        table.set(picks, slot * candidateCount);
+        return slot * candidateCount;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            if (skipTransparent && data[idx + 3] === 0) continue;
+
+            const plan = getPlan(data[idx], data[idx + 1], data[idx + 2]);
+            const level = thresholdMap[y % matrixSize][x % matrixSize] - firstLevel;
+            const newColor = paletteColors[table[plan + Math.floor(level * candidateCount / levels)]];
+
+            data[idx] = newColor[0];
+            data[idx + 1] = newColor[1];
+            data[idx + 2] = newColor[2];
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return imageData;
+}
+
+/**
+ * Distribute quantization error to a neighboring pixel.
+ * 
+ * This helper function is used by error diffusion dithering algorithms
+ * to propagate color quantization errors to nearby pixels. The error
+ * accumulation creates the smooth gradients characteristic of these methods.
+ * 
+ * The function safely handles boundary conditions to prevent buffer overflows.
+ * 
+ * @param {Float32Array} buffer - Error accumulation buffer
+ * @param {number} x - Target pixel X coordinate
+ * @param {number} y - Target pixel Y coordinate
+ * @param {number} errR - Red error to distribute
+ * @param {number} errG - Green error to distribute
+ * @param {number} errB - Blue error to distribute
+ * @param {number} factor - Fraction of error to apply (0-1 range)
+ * @param {number} width - Image width for bounds checking
+ * @param {number} height - Image height for bounds checking
+ */
+function distributeError(buffer, x, y, errR, errG, errB, factor, width, height) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return;
+    const idx = (y * width + x) * 4;
+    buffer[idx] += errR * factor;
+    buffer[idx + 1] += errG * factor;
+    buffer[idx + 2] += errB * factor;
+}
+
+/**
+ * Find the nearest color in a palette using the selected distance metric.
+ * 
+ * This function maps an arbitrary RGB color to its closest match
+ * in a limited palette. The quality of this mapping directly affects
+ * the visual quality of the pixel art output.
+ * 
+ * The default 'rgb' metric uses Euclidean distance in RGB space, which
+ * is computationally efficient though not perceptually uniform. The
+ * perceptual metrics ('redmean', 'cie76', 'ciede2000', 'oklab') give
+ * noticeably better matches on skin tones and dark blues at a higher cost.
+ * 
+ * Lookups go through the palette's cached matcher (see getPaletteMatcher),
+ * so repeated calls with the same palette array are cheap. Dithering loops
+ * use the matcher directly to avoid allocating per pixel.
+ * 
+ * @param {Array<number>} color - RGB color to match [r, g, b]
+ * @param {Array<Array<number>>} palette - Available colors [[r,g,b], ...]
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @returns {Array<number>} Closest palette color [r, g, b]
+ */
+function findClosestPaletteColor(color, palette, distance = 'rgb') {
+    return palette[getPaletteMatcher(palette, distance).nearestIndex(color[0], color[1], color[2])];
+}
+
+/**
+ * Look up a color distance metric by name.
+ * 
+ * Names are matched case-insensitively so UI labels such as 'OKLab'
+ * or 'CIEDE2000' can be passed straight through.
+ * 
+ * @param {string} distance - Metric name (see ColorDistanceMetrics)
+ * @param {boolean} [linearLight=false] - Get the variant for linear light colors (see LinearLightMetrics)
+ * @returns {{convert: Function|null, distance: Function}} Metric definition
+ * @throws {Error} If the metric name is unknown
+ */
+function getColorDistanceMetric(distance, linearLight = false) {
+    const metrics = linearLight ? LinearLightMetrics : ColorDistanceMetrics;
+    const name = String(distance).toLowerCase();
+    if (!Object.hasOwn(metrics, name)) {
+        throw new Error(`Unknown color distance: ${distance}`);
+    }
+    return metrics[name];
+}
+
+/**
+ * Cache of palettes converted into the color space of a distance metric.
+ * Keyed by palette array identity so repeated frames with the same palette
+ * skip the conversion entirely.
+ */
+const convertedPaletteCache = new WeakMap();
+
+/**
+ * Convert a palette into the color space used by a distance metric.
+ * 
+ * @param {Array<Array<number>>} palette - Palette as RGB arrays
+ * @param {string} distance - Metric name with a color space conversion
+ * @returns {Array<Array<number>>} Palette colors in the metric's color space
+ */
+function getConvertedPalette(palette, distance) {
+    const key = String(distance).toLowerCase();
+    let entry = convertedPaletteCache.get(palette);
+    if (!entry) {
+        entry = {};
+        convertedPaletteCache.set(palette, entry);
+    }
+    if (!entry[key]) {
+        const { convert } = getColorDistanceMetric(key, linearLightPalettes.has(palette));
+        entry[key] = palette.map(color => convert(color));
+    }
+    return entry[key];
+}
+
+/**
+ * Palettes made by getLinearLightPalette(). Their converted palettes and
+ * matchers use LinearLightMetrics, so dithering code needs no changes to
+ * work in linear light: it only ever sees linear pixels and this palette.
+ */
+const linearLightPalettes = new WeakSet();
+
+/**
+ * Cache of linearized palettes, keyed by the sRGB palette's identity so
+ * their matchers are built once per palette like any other.
+ */
+const linearLightPaletteCache = new WeakMap();
+
+/**
+ * Get a palette's colors in linear light on the 0-255 scale.
+ * 
+ * @param {Array<Array<number>>} palette - Palette as sRGB arrays
+ * @returns {Array<Array<number>>} Linear light palette, matched with LinearLightMetrics
+ */
+function getLinearLightPalette(palette) {
+    let linear = linearLightPaletteCache.get(palette);
+    if (!linear) {
+        linear = palette.map(color => [
+            srgbToLinear(color[0]) * 255,
+            srgbToLinear(color[1]) * 255,
+            srgbToLinear(color[2]) * 255,
+        ]);
+        linearLightPalettes.add(linear);
+        linearLightPaletteCache.set(palette, linear);
+    }
+    return linear;
+}
+
+/**
+ * Convert RGBA pixels to linear light for dithering.
+ * 
+ * Channels keep the 0-255 scale so error diffusion and threshold offsets
+ * need no changes, but are stored as floats: dark linear values are far
+ * too close together for bytes. Alpha is copied as is.
+ * 
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - sRGB pixels
+ * @returns {{data: Float32Array, width: number, height: number}} Linear light pixels
+ */
+function toLinearLight(imageData) {
+    const { data, width, height } = imageData;
+    const table = new Float32Array(256);
+    for (let i = 0; i < 256; i++) table[i] = srgbToLinear(i) * 255;
+
+    const linear = new Float32Array(data.length);
+    for (let idx = 0; idx < data.length; idx += 4) {
+        linear[idx] = table[data[idx]];
+        linear[idx + 1] = table[data[idx + 1]];
+        linear[idx + 2] = table[data[idx + 2]];
+        linear[idx + 3] = data[idx + 3];
+    }
+    return { data: linear, width, height };
+}
+
+/**
+ * Convert dithered linear light pixels back to sRGB bytes.
+ * 
+ * Palette colors survive the round trip exactly, so the result only
+ * contains colors from the sRGB palette.
+ * 
+ * @param {{data: Float32Array, width: number, height: number}} imageData - Linear light pixels
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} sRGB pixels
+ */
+function fromLinearLight(imageData) {
+    const { data, width, height } = imageData;
+    const output = new Uint8ClampedArray(data.length);
+    for (let idx = 0; idx < data.length; idx += 4) {
+        output[idx] = Math.round(linearToSrgb(data[idx] / 255));
+        output[idx + 1] = Math.round(linearToSrgb(data[idx + 1] / 255));
+        output[idx + 2] = Math.round(linearToSrgb(data[idx + 2] / 255));
+        output[idx + 3] = data[idx + 3];
+    }
+    return { data: output, width, height };
+}
+
+/**
+ * Cache of nearest-color matchers per palette and distance metric.
+ * Keyed by palette array identity like convertedPaletteCache, so a batch
+ * that reuses one resolved palette builds each matcher only once.
+ */
+const paletteMatcherCache = new WeakMap();
+
+/**
+ * Get the nearest-color matcher for a palette and distance metric.
+ * 
+ * Euclidean metrics ('rgb', 'cie76', 'oklab') get a k-d tree over the
+ * palette in the metric's color space, so a lookup in a 256-color palette
+ * visits a handful of colors instead of all of them. 'redmean' and
+ * 'ciede2000' are not Euclidean and use a linear scan. Either way the
+ * result is exactly what a full scan would return, ties included (the
+ * lowest palette index wins), and lookups allocate nothing.
+ * 
+ * @param {Array<Array<number>>} palette - Palette as RGB arrays
+ * @param {string} [distance='rgb'] - Color distance metric (see ColorDistanceMetrics)
+ * @returns {{nearestIndex: function(number, number, number): number}} Matcher returning
+ *          the palette index closest to an RGB color
+ */
+function getPaletteMatcher(palette, distance = 'rgb') {
+    const key = String(distance).toLowerCase();
+    const metric = getColorDistanceMetric(key, linearLightPalettes.has(palette));
+    let entry = paletteMatcherCache.get(palette);
+    if (!entry) {
+        entry = {};
+        paletteMatcherCache.set(palette, entry);
+    }
+    if (!entry[key]) {
+        const candidates = metric.convert ? getConvertedPalette(palette, key) : palette;
+        entry[key] = metric.distance === colorDistance
+            ? createKdTreeMatcher(candidates, metric.convert)
+            : createLinearMatcher(candidates, metric);
+    }
+    return entry[key];
+}
+
+/**
+ * Build a k-d tree matcher for squared Euclidean distance.
+ * 
+ * The tree is stored implicitly in typed arrays: each range of `order`
+ * has its split node in the middle, split on the axis with the largest
+ * spread. Searches descend the near side first and only visit the far
+ * side when the splitting plane is within the best distance found.
+ * 
+ * @param {Array<Array<number>>} candidates - Palette colors in the metric's color space
+ * @param {Function|null} convert - RGB to metric space conversion, or null for RGB
+ * @returns {{nearestIndex: function(number, number, number): number}} Matcher
+ */
+function createKdTreeMatcher(candidates, convert) {
+    const count = candidates.length;
+    const points = new Float64Array(count * 3);
+    candidates.forEach((color, i) => {
+        points[i * 3] = color[0];
+        points[i * 3 + 1] = color[1];
+        points[i * 3 + 2] = color[2];
+    });
+
+    const order = new Int32Array(count);
+    const axes = new Uint8Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+
+    const build = (lo, hi) => {
+        if (hi - lo < 1) return;
+        let axis = 0;
+        let widestSpread = -1;
+        for (let a = 0; a < 3; a++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = lo; i < hi; i++) {
+                const value = points[order[i] * 3 + a];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > widestSpread) {
+                widestSpread = max - min;
+                axis = a;
+            }
+        }
+        order.subarray(lo, hi).sort((p, q) => points[p * 3 + axis] - points[q * 3 + axis] || p - q);
+        const mid = (lo + hi) >> 1;
+        axes[mid] = axis;
+        build(lo, mid);
+        build(mid + 1, hi);
+    };
+    build(0, count);
+
+    // Search state lives in the closure so lookups don't allocate
+    const color = [0, 0, 0];
+    const converted = [0, 0, 0];
+    let t0 = 0;
+    let t1 = 0;
+    let t2 = 0;
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+
+    const search = (lo, hi) => {
+        if (lo >= hi) return;
+        const mid = (lo + hi) >> 1;
+        const index = order[mid];
+        const p = index * 3;
+
+        const d0 = t0 - points[p];
+        const d1 = t1 - points[p + 1];
+        const d2 = t2 - points[p + 2];
+        const dist = d0 * d0 + d1 * d1 + d2 * d2;
+        if (dist < bestDistance || (dist === bestDistance && index < bestIndex)) {
+            bestDistance = dist;
+            bestIndex = index;
+        }
+
+        const axis = axes[mid];
+        const diff = (axis === 0 ? t0 : axis === 1 ? t1 : t2) - points[p + axis];
+        // <= keeps equally distant colors across the plane in play for the index tie-break
+        if (diff < 0) {
+            search(lo, mid);
+            if (diff * diff <= bestDistance) search(mid + 1, hi);
+        } else {
+            search(mid + 1, hi);
+            if (diff * diff <= bestDistance) search(lo, mid);
+        }
+    };
+
+    // Flat areas repeat the same input color, so remember the last answer
+    let lastR = NaN;
+    let lastG = NaN;
+    let lastB = NaN;
+
+    return {
+        nearestIndex(r, g, b) {
+            if (r === lastR && g === lastG && b === lastB) return bestIndex;
+            lastR = r;
+            lastG = g;
+            lastB = b;
+
+            if (convert) {
+                color[0] = r;
+                color[1] = g;
+                color[2] = b;
+                convert(color, converted);
+                t0 = converted[0];
+                t1 = converted[1];
+                t2 = converted[2];
+            } else {
+                t0 = r;
+                t1 = g;
+                t2 = b;
+            }
+            bestIndex = 0;
+            bestDistance = Infinity;
+            search(0, count);
+            return bestIndex;
+        }
+    };
+}
+
+/**
+ * Build a linear-scan matcher for metrics a k-d tree can't prune
+ * ('redmean', 'ciede2000').
+ * 
+ * @param {Array<Array<number>>} candidates - Palette colors in the metric's color space
+ * @param {{convert: Function|null, distance: Function}} metric - Metric definition
+ * @returns {{nearestIndex: function(number, number, number): number}} Matcher
+ */
+function createLinearMatcher(candidates, metric) {
+    const color = [0, 0, 0];
+    const converted = [0, 0, 0];
+
+    return {
+        nearestIndex(r, g, b) {
+            color[0] = r;
+            color[1] = g;
+            color[2] = b;
+            const target = metric.convert ? metric.convert(color, converted) : color;
+
+            let closestIndex = 0;
+            let closestDistance = metric.distance(target, candidates[0]);
+            for (let i = 1; i < candidates.length; i++) {
+                const currentDistance = metric.distance(target, candidates[i]);
+                if (currentDistance < closestDistance) {
+                    closestDistance = currentDistance;
+                    closestIndex = i;
+                }
+            }
+            return closestIndex;
+        }
+    };
+}
+
+/**
+ * Calculate Euclidean distance between two RGB colors.
+ * 
+ * This measures color similarity for palette matching. While not
+ * perceptually uniform (human vision is more sensitive to green),
+ * Euclidean distance is fast and produces consistent results for
+ * training data generation.
+ * 
+ * The squared distance is returned (without square root) for
+ * efficiency, since we only need relative distances for comparison.
+ * The same function is reused for CIE76 and OKLab, which are plain
+ * Euclidean distances once colors are converted to those spaces.
+ * 
+ * @param {Array<number>} color1 - First RGB color [r, g, b]
+ * @param {Array<number>} color2 - Second RGB color [r, g, b]
+ * @returns {number} Squared Euclidean distance between colors
+ */
+function colorDistance(color1, color2) {
+    // Use squared Euclidean distance (skip sqrt for efficiency)
+    const rDiff = color1[0] - color2[0];
+    const gDiff = color1[1] - color2[1];
+    const bDiff = color1[2] - color2[2];
+    return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+}
+
+/**
+ * Calculate the "redmean" weighted RGB distance between two colors.
+ * 
+ * A low-cost approximation of perceived difference that weights the
+ * red and blue channels by the mean red level of the two colors.
+ * It fixes most of plain RGB's worst picks without any color space
+ * conversion.
+ * 
+ * @param {Array<number>} color1 - First RGB color [r, g, b]
+ * @param {Array<number>} color2 - Second RGB color [r, g, b]
+ * @returns {number} Squared weighted distance between colors
+ */
+function redmeanDistance(color1, color2) {
+    const rMean = (color1[0] + color2[0]) / 2;
+    const rDiff = color1[0] - color2[0];
+    const gDiff = color1[1] - color2[1];
+    const bDiff = color1[2] - color2[2];
+    return (2 + rMean / 256) * rDiff * rDiff +
+        4 * gDiff * gDiff +
+        (2 + (255 - rMean) / 256) * bDiff * bDiff;
+}
+
+/**
+ * Calculate the CIEDE2000 color difference between two CIELAB colors.
+ * 
+ * CIEDE2000 corrects CIE76's known problems in the blue region and for
+ * neutral and saturated colors. Implementation follows Sharma, Wu and
+ * Dalal (2005) with unit weighting factors.
+ * 
+ * @param {Array<number>} lab1 - First color [L, a, b]
+ * @param {Array<number>} lab2 - Second color [L, a, b]
+ * @returns {number} Delta E 2000 between the colors
+ */
+function ciede2000Distance(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const deg = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / deg + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / deg + 360) % 360;
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * deg);
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) meanHp /= 2;
+        else meanHp = (h1p + h2p < 360) ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos((meanHp - 30) * deg) +
+        0.24 * Math.cos((2 * meanHp) * deg) +
+        0.32 * Math.cos((3 * meanHp + 6) * deg) -
+        0.20 * Math.cos((4 * meanHp - 63) * deg);
+    const dTheta = 30 * Math.exp(-Math.pow((meanHp - 275) / 25, 2));
+    const meanCp7 = Math.pow(meanCp, 7);
+    const Rc = 2 * Math.sqrt(meanCp7 / (meanCp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+    const Sc = 1 + 0.045 * meanCp;
+    const Sh = 1 + 0.015 * meanCp * T;
+    const Rt = -Math.sin(2 * dTheta * deg) * Rc;
+
+    const lTerm = dLp / Sl;
+    const cTerm = dCp / Sc;
+    const hTerm = dHp / Sh;
+    return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + Rt * cTerm * hTerm);
+}
+
+/**
+ * Convert an sRGB channel value (0-255) to linear light (0-1).
+ * 
+ * Values outside 0-255 (possible after error diffusion adds error)
+ * are clamped so the conversion stays well defined.
+ * 
+ * @param {number} value - sRGB channel value
+ * @returns {number} Linear light intensity
+ */
+function srgbToLinear(value) {
+    const c = Math.min(255, Math.max(0, value)) / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear light intensity (0-1) back to an sRGB channel value (0-255).
+ * 
+ * The inverse of srgbToLinear, with out of range input clamped the same way.
+ * 
+ * @param {number} value - Linear light intensity
+ * @returns {number} sRGB channel value (not rounded)
+ */
+function linearToSrgb(value) {
+    const c = clampUnit(value);
+    return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Clamp a linear light intensity to 0-1. Diffused error can push pixels
+ * past either end, and the color space conversions expect valid light.
+ * 
+ * @param {number} value - Linear light intensity
+ * @returns {number} Intensity clamped to 0-1
+ */
+function clampUnit(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Convert a linear light color (0-255 scale) back to sRGB for the
+ * 'redmean' metric, which is defined on sRGB values.
+ * 
+ * @param {Array<number>} color - Linear light color [r, g, b]
+ * @param {Array<number>} [out] - Array to write the result into (avoids allocating)
+ * @returns {Array<number>} sRGB color [r, g, b] (0-255, not rounded)
+ */
+function linearLightToRgb(color, out = [0, 0, 0]) {
+    out[0] = linearToSrgb(color[0] / 255);
+    out[1] = linearToSrgb(color[1] / 255);
+    out[2] = linearToSrgb(color[2] / 255);
+    return out;
+}
+
+/**
+ * CIELAB companding function f(t) for rgbToLab.
+ * 
+ * @param {number} t - XYZ component relative to the reference white
+ * @returns {number} Companded value
+ */
+function labCompand(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+/**
+ * Convert an sRGB color to CIELAB (D65 white point).
+ * 
+ * @param {Array<number>} color - RGB color [r, g, b] (0-255)
+ * @param {Array<number>} [out] - Array to write the result into (avoids allocating)
+ * @returns {Array<number>} CIELAB color [L, a, b]
+ */
+function rgbToLab(color, out = [0, 0, 0]) {
+    return linearRgbToLab(srgbToLinear(color[0]), srgbToLinear(color[1]), srgbToLinear(color[2]), out);
+}
+
+/**
+ * Convert a linear light color (0-255 scale) to CIELAB.
+ * 
+ * @param {Array<number>} color - Linear light color [r, g, b]
+ * @param {Array<number>} [out] - Array to write the result into (avoids allocating)
+ * @returns {Array<number>} CIELAB color [L, a, b]
+ */
+function linearLightToLab(color, out = [0, 0, 0]) {
+    return linearRgbToLab(clampUnit(color[0] / 255), clampUnit(color[1] / 255), clampUnit(color[2] / 255), out);
+}
+
+/**
+ * Convert linear sRGB intensities (0-1) to CIELAB, shared by rgbToLab and linearLightToLab.
+ * 
+ * @param {number} r - Linear red
+ * @param {number} g - Linear green
+ * @param {number} b - Linear blue
+ * @param {Array<number>} out - Array to write the result into
+ * @returns {Array<number>} CIELAB color [L, a, b]
+ */
+function linearRgbToLab(r, g, b, out) {
+    // Linear sRGB -> XYZ, normalized by the D65 reference white
+    const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+    const y = 0.2126729 * r + 0.7151522 * g + 0.0721750 * b;
+    const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+
+    const fx = labCompand(x);
+    const fy = labCompand(y);
+    const fz = labCompand(z);
+
+    out[0] = 116 * fy - 16;
+    out[1] = 500 * (fx - fy);
+    out[2] = 200 * (fy - fz);
+    return out;
+}
+
+/**
+ * Convert a CIELAB color (D65 white point) back to sRGB, the inverse of
+ * rgbToLab. Colors outside the sRGB gamut are clipped.
+ * 
+ * @param {Array<number>} lab - CIELAB color [L, a, b]
+ * @returns {Array<number>} RGB color [r, g, b] (0-255)
+ */
+function labToRgb(lab) {
+    const fy = (lab[0] + 16) / 116;
+    const fx = fy + lab[1] / 500;
+    const fz = fy - lab[2] / 200;
+    const x = labUncompand(fx) * 0.95047;
+    const y = labUncompand(fy);
+    const z = labUncompand(fz) * 1.08883;
+
+    // XYZ -> linear sRGB
+    const r = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
+    const g = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
+    const b = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
+    return [clampByte(linearToSrgb(r)), clampByte(linearToSrgb(g)), clampByte(linearToSrgb(b))];
+}
+
+/**
+ * Inverse of labCompand.
+ * 
+ * @param {number} f - Companded value
+ * @returns {number} XYZ component relative to the reference white
+ */
+function labUncompand(f) {
+    const cube = f * f * f;
+    return cube > 216 / 24389 ? cube : (116 * f - 16) / (24389 / 27);
+}
+
+/**
+ * Convert an HSB/HSV color to sRGB.
+ * 
+ * @param {number} hue - Hue in degrees (0-360)
+ * @param {number} saturation - Saturation (0-1)
+ * @param {number} value - Brightness (0-1)
+ * @returns {Array<number>} RGB color [r, g, b] (0-255)
+ */
+function hsvToRgb(hue, saturation, value) {
+    const channel = (n) => {
+        const k = (n + hue / 60) % 6;
+        return clampByte((value - value * saturation * Math.max(0, Math.min(k, 4 - k, 1))) * 255);
+    };
+    return [channel(5), channel(3), channel(1)];
 }
 
 /**
- * Apply color palette quantization to image data.
- * 
- * This function reduces the image colors to a limited palette,
- * which is essential for creating authentic pixel art. It maps
- * each pixel to its nearest color in the target palette.
+ * Convert an sRGB color to OKLab.
  * 
- * For training data, this ensures consistent color schemes that
- * models can learn to recognize as characteristic of pixel art.
+ * OKLab (Björn Ottosson, 2020) is close to perceptually uniform while
+ * being much cheaper to compare than CIEDE2000.
  * 
- * @param {ImageData} imageData - Canvas image data to modify in-place
- * @param {Array<Array<number>>} paletteColors - Target palette as RGB arrays
+ * @param {Array<number>} color - RGB color [r, g, b] (0-255)
+ * @param {Array<number>} [out] - Array to write the result into (avoids allocating)
+ * @returns {Array<number>} OKLab color [L, a, b]
  */
-function applyPalette(imageData, paletteColors) {
-    const data = imageData.data;
-    for (let i = 0; i < data.length; i += 4) {
-        const color = [data[i], data[i + 1], data[i + 2]];
-        const [r, g, b] = findClosestPaletteColor(color, paletteColors);
-        data[i] = r;
-        data[i + 1] = g;
-        data[i + 2] = b;
-    }
+function rgbToOklab(color, out = [0, 0, 0]) {
+    return linearRgbToOklab(srgbToLinear(color[0]), srgbToLinear(color[1]), srgbToLinear(color[2]), out);
 }
+
 /**
- * Apply Atkinson dithering algorithm for gentler error diffusion.
- * 
- * Atkinson dithering, developed by Bill Atkinson for early Macintosh
- * computers, diffuses only 75% of the quantization error (compared to
- * Floyd-Steinberg's 100%). This creates higher contrast but preserves
- * detail better in areas of similar tones.
- * 
- * CHARACTERISTICS:
- * - Better for high-contrast images and line art
- * - Preserves sharp edges better than Floyd-Steinberg
- * - Creates a distinctive retro computing aesthetic
- * - Good for training models to recognize vintage pixel art styles
- * 
- * ERROR DISTRIBUTION PATTERN:
- *     *   1/8  1/8
- * 1/8 1/8 1/8
- *     1/8
+ * Convert a linear light color (0-255 scale) to OKLab.
  * 
- * Where * is the current pixel being processed.
+ * @param {Array<number>} color - Linear light color [r, g, b]
+ * @param {Array<number>} [out] - Array to write the result into (avoids allocating)
+ * @returns {Array<number>} OKLab color [L, a, b]
+ */
+function linearLightToOklab(color, out = [0, 0, 0]) {
+    return linearRgbToOklab(clampUnit(color[0] / 255), clampUnit(color[1] / 255), clampUnit(color[2] / 255), out);
+}
+
+/**
+ * Convert linear sRGB intensities (0-1) to OKLab, shared by rgbToOklab and linearLightToOklab.
  * 
- * @param {ImageData} imageData - Image data to process in-place
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {number} strength - Dithering strength (0-1 range)
- * @param {Array<Array<number>>} paletteColors - Target color palette
- * @returns {ImageData} Modified image data with dithering applied
+ * @param {number} r - Linear red
+ * @param {number} g - Linear green
+ * @param {number} b - Linear blue
+ * @param {Array<number>} out - Array to write the result into
+ * @returns {Array<number>} OKLab color [L, a, b]
  */
-function atkinsonDithering(imageData, width, height, strength, paletteColors) {
-    const data = imageData.data;
-    const errorBuffer = new Float32Array(data.length);
+function linearRgbToOklab(r, g, b, out) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
+    out[0] = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    out[1] = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    out[2] = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+    return out;
+}
 
-            // Get original color and add accumulated error
-            let r = data[idx] + errorBuffer[idx];
-            let g = data[idx + 1] + errorBuffer[idx + 1];
-            let b = data[idx + 2] + errorBuffer[idx + 2];
+/**
+ * Indexed file formats produced by encodeIndexedImage().
+ * PNG and GIF need a palette of at most 256 colors; the index map
+ * formats switch to 16-bit indices for larger palettes.
+ */
+const INDEXED_FORMATS = {
+    'png': { mimeType: 'image/png', extension: '.png', encode: encodeIndexedPNG },
+    'gif': { mimeType: 'image/gif', extension: '.gif', encode: encodeGIF },
+    'idx': { mimeType: 'application/octet-stream', extension: '.idx', encode: encodeIndexMap },
+    'npy': { mimeType: 'application/octet-stream', extension: '.npy', encode: encodeNpy },
+};
 
-            const oldColor = [r, g, b];
+/**
+ * Convert pixelated RGBA pixels back into palette indices.
+ * 
+ * Every visible pixel must be exactly one of the palette colors, which is
+ * always the case for pixelateImageData() output with a palette. Pixels
+ * with alpha 0 map to transparentIndex; if there is no reserved index
+ * (alpha modes other than 'index'), one transparent entry is appended
+ * after the palette, keeping the palette colors and their order intact.
+ * Partially transparent pixels count as opaque; use alpha 'threshold',
+ * 'dither' or 'index' to decide their coverage explicitly.
+ * 
+ * @param {{data: ArrayLike<number>, width: number, height: number}} imageData - RGBA pixels,
+ *        typically a pixelateImageData() result
+ * @param {Array<Array<number>|string>} [palette=imageData.palette] - Palette the pixels were quantized to
+ * @param {number} [transparentIndex=imageData.transparentIndex] - Palette index reserved for transparency, or -1
+ * @returns {{indices: Uint8Array|Uint16Array, width: number, height: number, palette: Array<Array<number>>, transparentIndex: number}}
+ *          One row-major index per pixel (Uint16Array above 256 colors), the palette used and the transparent index (-1 if none)
+ * @throws {Error} If there is no palette or a visible pixel's color is not in it
+ */
+function indexImageData(imageData, palette = imageData.palette, transparentIndex = imageData.transparentIndex) {
+    if (!palette || palette.length === 0) {
+        throw new Error('Indexed output needs a palette.');
+    }
+    if (transparentIndex === undefined) transparentIndex = -1;
 
-            // Quantize the pixel to the nearest palette color
-            const newColor = findClosestPaletteColor(oldColor, paletteColors);
+    const { data, width, height } = imageData;
+    const colors = normalizePaletteColors(palette).slice();
 
-            // Update the image data with the new color
-            data[idx] = newColor[0];
-            data[idx + 1] = newColor[1];
-            data[idx + 2] = newColor[2];
+    // First index wins for duplicate colors, matching the nearest-color tie-break
+    const lookup = new Map();
+    colors.forEach((color, index) => {
+        const key = (color[0] << 16) | (color[1] << 8) | color[2];
+        if (index !== transparentIndex && !lookup.has(key)) lookup.set(key, index);
+    });
 
-            // Calculate the quantization error
-            const quantError = [
-                (r - newColor[0]) * strength,
-                (g - newColor[1]) * strength,
-                (b - newColor[2]) * strength
-            ];
+    let transparent = transparentIndex;
+    if (transparent < 0) {
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] === 0) {
+                transparent = colors.length;
+                colors.push([0, 0, 0]);
+                break;
+            }
+        }
+    }
 
-            // Distribute the error to neighboring pixels
-            distributeError(errorBuffer, x + 1, y, quantError, (1 / 8), width, height);
-            distributeError(errorBuffer, x + 2, y, quantError, (1 / 8), width, height);
-            distributeError(errorBuffer, x - 1, y + 1, quantError, (1 / 8), width, height);
-            distributeError(errorBuffer, x, y + 1, quantError, (1 / 8), width, height);
-            distributeError(errorBuffer, x + 1, y + 1, quantError, (1 / 8), width, height);
-            distributeError(errorBuffer, x, y + 2, quantError, (1 / 8), width, height);
+    const indices = colors.length > 256 ? new Uint16Array(width * height) : new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        const idx = i * 4;
+        if (data[idx + 3] === 0) {
+            indices[i] = transparent;
+            continue;
         }
+        const index = lookup.get((data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2]);
+        if (index === undefined) {
+            const x = i % width;
+            const y = Math.floor(i / width);
+            throw new Error(`Pixel (${x}, ${y}) color ${rgbToHex([data[idx], data[idx + 1], data[idx + 2]])} is not in the palette.`);
+        }
+        indices[i] = index;
     }
-    return imageData;
+
+    return { indices, width, height, palette: colors, transparentIndex: transparent };
 }
 
 /**
- * Apply Floyd-Steinberg dithering for classic error diffusion.
- * 
- * Floyd-Steinberg is the most widely used error diffusion algorithm.
- * It distributes quantization error to neighboring pixels in a specific
- * pattern, creating smooth gradients even with limited colors.
- * 
- * CHARACTERISTICS:
- * - Excellent for photographs and gradients
- * - Creates organic, non-repetitive patterns
- * - Can produce "worm" artifacts in flat color areas
- * - Industry standard for pixel art conversion
- * 
- * ERROR DISTRIBUTION PATTERN:
- *     * 7/16
- * 3/16 5/16 1/16
+ * Encode a pixelateImageData() result as an indexed PNG, GIF or index map file.
  * 
- * Where * is the current pixel. The fractions show how much
- * error is distributed to each neighboring pixel.
+ * @param {{data: ArrayLike<number>, width: number, height: number, palette: Array, transparentIndex?: number}} result -
+ *        Pixelated pixels with the palette they use
+ * @param {string} [format='png'] - 'png', 'gif', 'idx' or 'npy' (see INDEXED_FORMATS)
+ * @returns {Promise<Uint8Array>} Encoded file bytes
+ * @throws {Error} If there is no palette, or it has more than 256 colors for PNG and GIF
+ */
+async function encodeIndexedImage(result, format = 'png') {
+    if (!Object.hasOwn(INDEXED_FORMATS, format)) {
+        throw new Error(`Unknown indexed format: ${format}`);
+    }
+    return INDEXED_FORMATS[format].encode(indexImageData(result));
+}
+
+/**
+ * Encode palette indices as a raw index map with a JSON header.
  * 
- * This algorithm is ideal for training data because it produces
- * results similar to hand-crafted pixel art with careful shading.
+ * Layout (all little-endian):
+ *   bytes 0-3   uint32 header length N
+ *   bytes 4..   N bytes of UTF-8 JSON: {width, height, dtype ('uint8' or 'uint16'),
+ *               palette (hex strings, in index order), transparentIndex}, padded
+ *               with spaces so the index data starts on a 16-byte boundary
+ *   then        width * height indices, row-major
  * 
- * @param {ImageData} imageData - Image data to process in-place
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {number} strength - Dithering strength (0-1 range)
- * @param {Array<Array<number>>} paletteColors - Target color palette
- * @returns {ImageData} Modified image data with dithering applied
+ * @param {{indices: Uint8Array|Uint16Array, width: number, height: number, palette: Array<Array<number>>, transparentIndex: number}} indexed -
+ *        Output of indexImageData()
+ * @returns {Uint8Array} File bytes
  */
-function floydSteinbergDithering(imageData, width, height, strength, paletteColors) {
-    const data = imageData.data;
-    const errorBuffer = new Float32Array(data.length);
-
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-
-            // Get original color and add accumulated error
-            let r = data[idx] + errorBuffer[idx];
-            let g = data[idx + 1] + errorBuffer[idx + 1];
-            let b = data[idx + 2] + errorBuffer[idx + 2];
-
-            const oldColor = [r, g, b];
+function encodeIndexMap(indexed) {
+    const { indices, width, height, palette, transparentIndex } = indexed;
+    const header = JSON.stringify({
+        width,
+        height,
+        dtype: indices.BYTES_PER_ELEMENT === 2 ? 'uint16' : 'uint8',
+        palette: palette.map(rgbToHex),
+        transparentIndex,
+    });
 
-            // Quantize the pixel to the nearest palette color
-            const newColor = findClosestPaletteColor(oldColor, paletteColors);
+    const headerBytes = padHeaderBytes(new TextEncoder().encode(header), 4, 16, 0x20);
+    const output = new Uint8Array(4 + headerBytes.length + indices.byteLength);
+    new DataView(output.buffer).setUint32(0, headerBytes.length, true);
+    output.set(headerBytes, 4);
+    writeIndicesLittleEndian(output, 4 + headerBytes.length, indices);
+    return output;
+}
 
-            // Update the image data with the new color
-            data[idx] = newColor[0];
-            data[idx + 1] = newColor[1];
-            data[idx + 2] = newColor[2];
+/**
+ * Encode palette indices as a NumPy .npy array (format version 1.0).
+ * 
+ * The array has shape (height, width) and dtype uint8 or little-endian
+ * uint16, so np.load() gives class targets directly. The .npy header has
+ * no room for the palette; store indexed.palette alongside it.
+ * 
+ * @param {{indices: Uint8Array|Uint16Array, width: number, height: number}} indexed - Output of indexImageData()
+ * @returns {Uint8Array} File bytes
+ */
+function encodeNpy(indexed) {
+    const { indices, width, height } = indexed;
+    const descr = indices.BYTES_PER_ELEMENT === 2 ? '<u2' : '|u1';
+    const header = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${height}, ${width}), }`;
 
-            // Calculate the quantization error
-            const quantError = [
-                (r - newColor[0]) * strength,
-                (g - newColor[1]) * strength,
-                (b - newColor[2]) * strength
-            ];
+    // Magic, version and header length take 10 bytes; the header ends in a newline and
+    // is space padded so the data is 64-byte aligned, as numpy writes it
+    const headerBytes = padHeaderBytes(new TextEncoder().encode(header + '\n'), 10, 64, 0x20, true);
+    const output = new Uint8Array(10 + headerBytes.length + indices.byteLength);
+    output.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+    new DataView(output.buffer).setUint16(8, headerBytes.length, true);
+    output.set(headerBytes, 10);
+    writeIndicesLittleEndian(output, 10 + headerBytes.length, indices);
+    return output;
+}
 
-            // Distribute the error to neighboring pixels using Floyd-Steinberg coefficients
-            distributeError(errorBuffer, x + 1, y, quantError, DitheringCoefficients.FLOYD_STEINBERG.RIGHT, width, height);
-            distributeError(errorBuffer, x - 1, y + 1, quantError, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM_LEFT, width, height);
-            distributeError(errorBuffer, x, y + 1, quantError, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM, width, height);
-            distributeError(errorBuffer, x + 1, y + 1, quantError, DitheringCoefficients.FLOYD_STEINBERG.BOTTOM_RIGHT, width, height);
-        }
+/**
+ * Pad a file header so the data after it starts on an aligned offset.
+ * 
+ * @param {Uint8Array} bytes - Header bytes
+ * @param {number} prefixLength - Bytes written before the header
+ * @param {number} alignment - Required alignment of the data offset
+ * @param {number} padByte - Byte used for padding
+ * @param {boolean} [keepLastByte=false] - Insert the padding before the final byte (the .npy newline)
+ * @returns {Uint8Array} Padded header
+ */
+function padHeaderBytes(bytes, prefixLength, alignment, padByte, keepLastByte = false) {
+    const padding = (alignment - ((prefixLength + bytes.length) % alignment)) % alignment;
+    const padded = new Uint8Array(bytes.length + padding).fill(padByte);
+    if (keepLastByte) {
+        padded.set(bytes.subarray(0, bytes.length - 1));
+        padded[padded.length - 1] = bytes[bytes.length - 1];
+    } else {
+        padded.set(bytes);
     }
-    return imageData;
+    return padded;
 }
 
 /**
- * Apply ordered dithering using a Bayer matrix pattern.
- * 
- * Ordered dithering uses a fixed threshold matrix to determine whether
- * to round colors up or down. This creates predictable, repeating patterns
- * that are useful for consistent training data generation.
+ * Copy indices into a byte buffer, little-endian regardless of the platform.
  * 
- * CHARACTERISTICS:
- * - Creates regular, predictable patterns
- * - No error accumulation (each pixel processed independently)
- * - Good for flat colors and gradients
- * - Produces consistent results across identical inputs
- * - Ideal for training models to recognize pattern-based dithering
+ * @param {Uint8Array} output - Destination bytes
+ * @param {number} offset - Byte offset to start writing at
+ * @param {Uint8Array|Uint16Array} indices - Palette indices
+ */
+function writeIndicesLittleEndian(output, offset, indices) {
+    if (indices.BYTES_PER_ELEMENT === 1) {
+        output.set(indices, offset);
+        return;
+    }
+    const view = new DataView(output.buffer, output.byteOffset + offset, indices.byteLength);
+    for (let i = 0; i < indices.length; i++) {
+        view.setUint16(i * 2, indices[i], true);
+    }
+}
+
+/**
+ * Encode palette indices as an 8-bit indexed PNG.
  * 
- * The Bayer matrix provides threshold values that create the
- * characteristic crosshatch pattern of ordered dithering.
+ * The PLTE chunk holds exactly the given palette in its order, and a tRNS
+ * chunk marks the transparent index when there is one, so tools and game
+ * engines read back the same colors and indices.
  * 
- * @param {ImageData} imageData - Image data to process in-place
- * @param {number} width - Image width in pixels
- * @param {number} height - Image height in pixels
- * @param {number} strength - Dithering strength (0-1 range)
- * @param {Array<Array<number>>} paletteColors - Target color palette
- * @param {Array<Array<number>>} bayerMatrix - Threshold matrix for pattern
- * @returns {ImageData} Modified image data with ordered dithering
+ * @param {{indices: ArrayLike<number>, width: number, height: number, palette: Array<Array<number>>, transparentIndex: number}} indexed -
+ *        Output of indexImageData()
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ * @throws {Error} If the palette has more than 256 colors
  */
-function orderedDithering(imageData, width, height, strength, paletteColors, bayerMatrix) {
-    const data = imageData.data;
-    const matrixSize = bayerMatrix.length;
+async function encodeIndexedPNG(indexed) {
+    const { indices, width, height, palette, transparentIndex } = indexed;
+    if (palette.length > 256) {
+        throw new Error(`Indexed PNG supports at most 256 colors (palette has ${palette.length}).`);
+    }
 
+    // Each scanline starts with filter type 0 (none); indices compress well without filtering
+    const scanlines = new Uint8Array((width + 1) * height);
     for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = (y * width + x) * 4;
-            const oldColor = [data[idx], data[idx + 1], data[idx + 2]];
+        scanlines.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
 
-            const threshold = ((bayerMatrix[y % matrixSize][x % matrixSize] + 0.5) / (matrixSize * matrixSize)) * 255;
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 3; // color type: indexed
 
-            // Adjust color based on Bayer matrix threshold
-            // The threshold shifts the color before quantization, creating the dither pattern
-            let adjustedColor = [
-                oldColor[0] + (threshold - DitheringCoefficients.ORDERED_THRESHOLD_CENTER) * strength,
-                oldColor[1] + (threshold - DitheringCoefficients.ORDERED_THRESHOLD_CENTER) * strength,
-                oldColor[2] + (threshold - DitheringCoefficients.ORDERED_THRESHOLD_CENTER) * strength
-            ];
+    const chunks = [pngChunk('IHDR', header), pngChunk('PLTE', Uint8Array.from(palette.flat()))];
+    if (transparentIndex >= 0) {
+        const alphas = new Uint8Array(transparentIndex + 1).fill(255);
+        alphas[transparentIndex] = 0;
+        chunks.push(pngChunk('tRNS', alphas));
+    }
+    chunks.push(pngChunk('IDAT', await zlibDeflate(scanlines)));
+    chunks.push(pngChunk('IEND', new Uint8Array(0)));
 
-            // Quantize the adjusted color
-            const newColor = findClosestPaletteColor(adjustedColor, paletteColors);
+    return concatBytes([Uint8Array.of(137, 80, 78, 71, 13, 10, 26, 10), ...chunks]);
+}
 
-            data[idx] = newColor[0];
-            data[idx + 1] = newColor[1];
-            data[idx + 2] = newColor[2];
+/**
+ * Build a PNG chunk: length, type, data and CRC-32.
+ * 
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array} Chunk bytes
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/** Lazily built CRC-32 lookup table for pngChunk() */
+let crc32Table = null;
+
+/**
+ * CRC-32 (ISO 3309) as used by PNG chunks.
+ * 
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
         }
     }
-    return imageData;
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 /**
- * Distribute quantization error to a neighboring pixel.
- * 
- * This helper function is used by error diffusion dithering algorithms
- * to propagate color quantization errors to nearby pixels. The error
- * accumulation creates the smooth gradients characteristic of these methods.
+ * Compress bytes into a zlib stream for PNG IDAT data.
  * 
- * The function safely handles boundary conditions to prevent buffer overflows.
+ * Uses CompressionStream in browsers (and Node 18+), or Node's zlib.
  * 
- * @param {Float32Array} buffer - Error accumulation buffer
- * @param {number} x - Target pixel X coordinate
- * @param {number} y - Target pixel Y coordinate
- * @param {Array<number>} quantError - RGB error values to distribute
- * @param {number} factor - Fraction of error to apply (0-1 range)
- * @param {number} width - Image width for bounds checking
- * @param {number} height - Image height for bounds checking
+ * @param {Uint8Array} bytes - Uncompressed bytes
+ * @returns {Promise<Uint8Array>} zlib-wrapped deflate stream
  */
-function distributeError(buffer, x, y, quantError, factor, width, height) {
-    if (x < 0 || x >= width || y < 0 || y >= height) return;
-    const idx = (y * width + x) * 4;
-    buffer[idx] += quantError[0] * factor;
-    buffer[idx + 1] += quantError[1] * factor;
-    buffer[idx + 2] += quantError[2] * factor;
+async function zlibDeflate(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    return new Uint8Array(require('zlib').deflateSync(bytes));
 }
 
 /**
- * Find the nearest color in a palette using Euclidean distance.
- * 
- * This function maps an arbitrary RGB color to its closest match
- * in a limited palette. The quality of this mapping directly affects
- * the visual quality of the pixel art output.
+ * Join byte arrays into one.
  * 
- * The function uses Euclidean distance in RGB space, which is
- * computationally efficient though not perceptually uniform.
- * For training data, consistency is more important than perfect
- * perceptual accuracy.
+ * @param {Array<Uint8Array>} parts - Byte arrays in order
+ * @returns {Uint8Array} Concatenated bytes
+ */
+function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Encode palette indices as a GIF89a.
  * 
- * OPTIMIZATION NOTE:
- * For large palettes or batch processing, this could be optimized
- * with a k-d tree or octree structure.
+ * The global color table is the palette in order, padded with black to
+ * the next power of two as GIF requires. A Graphic Control Extension
+ * marks the transparent index when there is one.
  * 
- * @param {Array<number>} color - RGB color to match [r, g, b]
- * @param {Array<Array<number>>} palette - Available colors [[r,g,b], ...]
- * @returns {Array<number>} Closest palette color [r, g, b]
+ * @param {{indices: ArrayLike<number>, width: number, height: number, palette: Array<Array<number>>, transparentIndex: number}} indexed -
+ *        Output of indexImageData()
+ * @returns {Uint8Array} GIF file bytes
+ * @throws {Error} If the palette has more than 256 colors
  */
-function findClosestPaletteColor(color, palette) {
-    let closestColor = palette[0];
-    let closestDistance = colorDistance(color, closestColor);
+function encodeGIF(indexed) {
+    const { indices, width, height, palette, transparentIndex } = indexed;
+    if (palette.length > 256) {
+        throw new Error(`GIF supports at most 256 colors (palette has ${palette.length}).`);
+    }
 
-    for (let i = 1; i < palette.length; i++) {
-        const currentDistance = colorDistance(color, palette[i]);
-        if (currentDistance < closestDistance) {
-            closestDistance = currentDistance;
-            closestColor = palette[i];
-        }
+    const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+    const bytes = [];
+    const pushWord = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+
+    // Header and logical screen descriptor with a global color table
+    for (const char of 'GIF89a') bytes.push(char.charCodeAt(0));
+    pushWord(width);
+    pushWord(height);
+    bytes.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+    for (let i = 0; i < (1 << tableBits); i++) {
+        const color = palette[i] || [0, 0, 0];
+        bytes.push(color[0], color[1], color[2]);
+    }
+
+    if (transparentIndex >= 0) {
+        bytes.push(0x21, 0xF9, 0x04, 0x01, 0, 0, transparentIndex, 0);
     }
 
-    return closestColor;
+    // Image descriptor covering the whole screen, no local color table
+    bytes.push(0x2C);
+    pushWord(0);
+    pushWord(0);
+    pushWord(width);
+    pushWord(height);
+    bytes.push(0);
+
+    const minCodeSize = Math.max(2, tableBits);
+    const compressed = lzwEncode(indices, minCodeSize);
+    bytes.push(minCodeSize);
+    for (let offset = 0; offset < compressed.length; offset += 255) {
+        const block = compressed.subarray(offset, offset + 255);
+        bytes.push(block.length, ...block);
+    }
+    bytes.push(0, 0x3B);
+
+    return Uint8Array.from(bytes);
 }
 
 /**
- * Calculate Euclidean distance between two RGB colors.
+ * GIF variable-length LZW compression.
  * 
- * This measures color similarity for palette matching. While not
- * perceptually uniform (human vision is more sensitive to green),
- * Euclidean distance is fast and produces consistent results for
- * training data generation.
- * 
- * The squared distance is returned (without square root) for
- * efficiency, since we only need relative distances for comparison.
- * 
- * ALTERNATIVE APPROACHES:
- * - Weighted Euclidean: Weight green channel higher (matches human vision)
- * - LAB color space: More perceptually uniform but computationally expensive
- * - Delta E: Industry standard for color difference but complex
+ * Codes are packed least significant bit first. The code size grows when
+ * the next table entry would not fit, and a clear code resets the table
+ * once it reaches 4096 entries.
  * 
- * @param {Array<number>} color1 - First RGB color [r, g, b]
- * @param {Array<number>} color2 - Second RGB color [r, g, b]
- * @returns {number} Squared Euclidean distance between colors
+ * @param {ArrayLike<number>} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Uint8Array} Compressed code stream (without sub-block framing)
  */
-function colorDistance(color1, color2) {
-    // Use squared Euclidean distance (skip sqrt for efficiency)
-    const rDiff = color1[0] - color2[0];
-    const gDiff = color1[1] - color2[1];
-    const bDiff = color1[2] - color2[2];
-    return rDiff * rDiff + gDiff * gDiff + bDiff * bDiff;
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    let table = new Map();
+    let nextCode = endCode + 1;
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = prefix * 256 + value;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = value;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) output.push(bitBuffer & 0xFF);
+
+    return Uint8Array.from(output);
+}
+
+// Loaded with new Worker(...): serve render requests from pixelateInWorker()
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => handleWorkerJob(event.data);
+}
+
+// Expose the engine to Node (pixelate.js) while staying a plain <script> in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PixelationConstants,
+        DitheringCoefficients,
+        registerDither,
+        listDithers,
+        getDither,
+        ColorDistanceMetrics,
+        DEFAULT_PALETTES,
+        pixelate,
+        pixelateImageData,
+        createSequencePixelator,
+        measureFlicker,
+        resolvePaletteColors,
+        fetchPalette,
+        configurePaletteLoader,
+        clearPaletteCache,
+        createFilePaletteStorage,
+        findDefaultPalette,
+        extractPalette,
+        PALETTE_EXTRACTION_METHODS,
+        ALPHA_MODES,
+        DOWNSAMPLE_METHODS,
+        downsampleImageData,
+        FIT_MODES,
+        FIT_ANCHORS,
+        getGridGeometry,
+        DISPLAY_OVERLAYS,
+        applyDisplayOverlay,
+        ADJUSTMENTS,
+        applyAdjustments,
+        scaleNearest,
+        INDEXED_FORMATS,
+        indexImageData,
+        encodeIndexedImage,
+        encodeIndexedPNG,
+        encodeGIF,
+        encodeIndexMap,
+        encodeNpy,
+        analyzeReference,
+        hexToRgb,
+        rgbToHex,
+        PALETTE_FORMATS,
+        getPaletteFormat,
+        parsePaletteFile,
+        encodePaletteFile,
+        paletteFromSwatchImage,
+        createSeededRandom,
+        applyPalette,
+        floydSteinbergDithering,
+        atkinsonDithering,
+        errorDiffusionDithering,
+        ostromoukhovDithering,
+        orderedDithering,
+        knollDithering,
+        getBayerMatrix,
+        getBlueNoiseMatrix,
+        findClosestPaletteColor,
+        getPaletteMatcher,
+    };
 }
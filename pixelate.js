@@ -3,13 +3,178 @@
 /**
  * pixelate.js - Dead simple batch pixelation script
  * 
- * Usage: node pixelate.js --in <dir> --out <dir> --size <pixels>
+ * Usage: node pixelate.js --in <dir> --out <dir> --size <pixels> [options]
  * Example: node pixelate.js --in ./images --out ./output --size 128
+ * Example: node pixelate.js --in ./frames --out ./lr --size 320 --palette pico-8 --dither floyd-steinberg --strength 40
+ *
+ * Options:
+ *   --height <pixels>          Grid height (default: from the source's aspect ratio and --pixel-aspect)
+ *   --fit <mode>               How sources fill an explicit --height: fill, contain or cover (default: fill)
+ *   --anchor <position>        Crop/placement for contain and cover: center, top, bottom, left, right,
+ *                              top-left, top-right, bottom-left or bottom-right (default: center)
+ *   --pixel-aspect <n>         Grid pixel height / width as displayed, e.g. 1.2 for 320x200 at 4:3
+ *   --dither <method>          Any registered method (default: none, see --list-dithers),
+ *                              "NxN bayer" for any power of two, "blue noise [NxN]", or "knoll [NxN]"
+ *   --strength <0-100>         Dithering strength (default: 10)
+ *   --palette <name|slug|file> Built-in palette name, Lospec slug, or palette file: JSON, .gpl, .pal,
+ *                              .act, .aco, .ase, Paint.NET .txt, .hex or a .png swatch strip
+ *                              auto:<N>[:<method>] extracts N colors from each image
+ *                              (method: median-cut, kmeans or octree)
+ *   --palette-url <url|dir>    Load Lospec slugs from a mirror: <url>/<slug>.json (default: lospec.com)
+ *   --palette-cache <file|off> Where fetched Lospec palettes are cached between runs
+ *                              (default: ~/.cache/image-to-pixel/palettes.json)
+ *   --resolution <mode>        original (scale back up) or pixel (default: original)
+ *   --scale <n>                Exact integer upscale of the grid instead of --resolution
+ *   --grid <0-1>               Preview overlay: pixel grid lines
+ *   --scanlines <0-1>          Preview overlay: CRT scanlines
+ *   --shadow-mask <0-1>        Preview overlay: RGB phosphor stripes
+ *   --bloom <0-1>              Preview overlay: glow around bright areas
+ *                              Overlays go to a separate preview_<name>.png (preview/ in dataset
+ *                              mode); the regular outputs stay clean
+ *   --distance <metric>        Palette matching metric (default: rgb)
+ *   --serpentine               Alternate the error diffusion scan direction per row
+ *   --linear-light             Quantize and dither in linear RGB so dithered areas keep their brightness
+ *   --dither-seed <n>          Seed for generated threshold maps such as "blue noise" (default: 0)
+ *   --downsample <method>      How the pixel grid is sampled: box, nearest, median, mode or
+ *                              lanczos (default: box); mode keeps thin dark outlines
+ *   --brightness <-100-100>    Brightness of the pixel grid before quantization (default: 0)
+ *   --contrast <-100-100>      Contrast before quantization (default: 0)
+ *   --gamma <0.1-5>            Midtone gamma, above 1 brightens (default: 1)
+ *   --saturation <-100-100>    -100 is grayscale (default: 0)
+ *   --hue <-180-180>           Hue rotation in degrees (default: 0)
+ *   --black-point <0-254>      Input level mapped to black (default: 0)
+ *   --white-point <1-255>      Input level mapped to white (default: 255)
+ *   --auto-levels <percent>    Take the levels from each image, clipping this share at both ends
+ *   --sharpen <0-500>          Unsharp mask amount in percent (default: 0)
+ *   --sharpen-radius <1-10>    Unsharp mask radius in grid pixels (default: 1)
+ *   --sharpen-threshold <n>    Minimum difference to sharpen, 0-255 (default: 0)
+ *   --posterize <levels>       Levels per channel, 2-256 (default: off)
+ *   --alpha <mode>             preserve, threshold, dither, index or ignore (default: preserve)
+ *   --alpha-threshold <0-255>  Alpha cutoff for threshold and index modes (default: 128)
+ *   --transparent-index <n>    Palette index reserved for transparency in index mode (default: 0)
+ *   --format <type>            source (keep the input format), png8, gif, idx or npy (default: source);
+ *                              png8 and gif store exactly the palette, in order; idx and npy
+ *                              write per-pixel palette indices (npy gets a .palette.json beside it)
+ *   --preset <file.json>       Start from a preset written by --analyze; explicit flags win
+ *   --dataset                  Write paired lr/ and hr/ trees plus manifest.jsonl (see below)
+ *   --hr-mode <crop|resize>    How HR frames fit the LR grid in dataset mode (default: crop)
+ *   --hr-scale <n>             HR size as a multiple of the LR grid (default: largest that fits)
+ *   --split <train,val,test>   Split weights for dataset mode, e.g. 80,10,10
+ *   --seed <n>                 Seed for the split shuffle and --sample (default: 0)
+ *   --sample <config.json>     Draw width, dither, strength, palette, distance, serpentine and
+ *                              downsample per image from a seeded config (see below)
+ *   --sequence                 Treat the sorted input files as consecutive video frames and
+ *                              keep static areas stable between frames (reports flicker)
+ *   --temporal-threshold <n>   How far (RGBA distance) a pixel's source must move before
+ *                              sequence mode redraws it (default: 12)
+ *   --flicker                  Report frame-to-frame flicker without sequence mode
+ *   --plugin <file.js>         Load a module that calls registerDither() (repeatable);
+ *                              a module exporting a function is called with the library
+ *   --list-dithers             Print the registered dithering methods and exit
+ *
+ * Reference analysis:
+ *   node pixelate.js --analyze doom-4x.png [--preset-out doom.json]
+ *   Prints the inferred preset (width, dither, strength, palette) as JSON and
+ *   optionally saves it, ready for --preset.
+ *
+ * Dataset mode:
+ *   node pixelate.js --in frames --out dataset --size 320 --palette pico-8 --dataset --split 80,10,10
+ *   Writes lr/<split>/<name>.png (the pixel grid) and hr/<split>/<name>.png (the source, cropped
+ *   or resized to exactly --hr-scale times the LR size), and one manifest.jsonl line per pair
+ *   with the full pixelation parameters. LR frames are pixelated from the HR frames, so the
+ *   pairs stay aligned. With --height or --pixel-aspect, crop mode cuts the HR frame at --anchor
+ *   to the grid's displayed shape; resize mode applies --fit.
+ *
+ * Randomized parameters:
+ *   node pixelate.js --in frames --out lr --sample sample.json [--dataset]
+ *   Each key of sample.json is a fixed value, an array to choose from, or a {min, max}
+ *   range; "variants" renders every image several times and "seed" (or --seed) fixes
+ *   the draws. Every output's values are recorded in manifest.jsonl:
+ *   { "variants": 3, "width": { "min": 160, "max": 320 }, "dither": ["none", "atkinson"],
+ *     "strength": { "min": 10, "max": 60 }, "palette": ["pico-8", "endesga-32", "auto:16"] }
+ *
+ * Sequence mode:
+ *   node pixelate.js --in clip --out lr --size 320 --palette pico-8 --dither floyd-steinberg --sequence
+ *   Frames go through createSequencePixelator(), so dithering no longer shimmers where the
+ *   picture holds still. With --sample, values are drawn once per variant for the whole clip;
+ *   with --split, the clip is cut into contiguous train/val/test blocks instead of shuffled.
+ *   Flicker is the share of static source pixels whose output still changed between frames.
+ *
+ * Images are processed by the same headless pipeline as the web UI
+ * (pixelateImageData in image-to-pixel.js), so results match pixel for pixel.
+ *
+ * --distance selects the palette matching metric used by image-to-pixel.js
+ * (rgb, redmean, cie76, ciede2000, oklab) whenever a palette is applied.
  */
 
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const pixelLibrary = require('./image-to-pixel.js');
+const {
+    pixelateImageData,
+    resolvePaletteColors,
+    findDefaultPalette,
+    getPaletteFormat,
+    parsePaletteFile,
+    paletteFromSwatchImage,
+    configurePaletteLoader,
+    createFilePaletteStorage,
+    analyzeReference,
+    PixelationConstants,
+    ColorDistanceMetrics,
+    ALPHA_MODES,
+    DOWNSAMPLE_METHODS,
+    FIT_MODES,
+    FIT_ANCHORS,
+    DISPLAY_OVERLAYS,
+    applyDisplayOverlay,
+    ADJUSTMENTS,
+    scaleNearest,
+    INDEXED_FORMATS,
+    indexImageData,
+    rgbToHex,
+    createSeededRandom,
+    createSequencePixelator,
+    measureFlicker,
+    listDithers,
+    getDither,
+    PALETTE_EXTRACTION_METHODS
+} = pixelLibrary;
+
+// Palette matching metrics understood by image-to-pixel.js
+const DISTANCE_METRICS = Object.keys(ColorDistanceMetrics);
+
+// Output resolutions understood by pixelateImageData()
+const RESOLUTIONS = ['original', 'pixel'];
+
+// --format values: source keeps the input file type (encoded by sharp),
+// the others map to indexed formats written by encodeIndexedImage()
+const OUTPUT_FORMATS = { source: null, png8: 'png', gif: 'gif', idx: 'idx', npy: 'npy' };
+
+// How dataset mode fits HR frames to an exact multiple of the LR grid
+const HR_MODES = ['crop', 'resize'];
+
+// sharp's resize positions for each --anchor
+const SHARP_POSITIONS = {
+    'center': 'centre',
+    'top': 'top',
+    'bottom': 'bottom',
+    'left': 'left',
+    'right': 'right',
+    'top-left': 'left top',
+    'top-right': 'right top',
+    'bottom-left': 'left bottom',
+    'bottom-right': 'right bottom'
+};
+
+// --brightness, --black-point, ... for every pre-quantization adjustment
+const ADJUSTMENT_FLAGS = Object.fromEntries(Object.keys(ADJUSTMENTS).map(name =>
+    ['--' + name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase()), name]
+));
+
+// Keys a --sample config may randomize, in the order they are drawn
+const SAMPLED_KEYS = ['width', 'dither', 'strength', 'palette', 'distance', 'serpentine', 'downsample'];
 
 // Parse command line args - no fancy libraries needed
 function parseArgs() {
@@ -17,10 +182,52 @@ function parseArgs() {
     const options = {
         in: null,
         out: null,
-        size: 128
+        size: 128,
+        height: null,
+        fit: 'fill',
+        anchor: 'center',
+        pixelAspect: 1,
+        scale: null,
+        overlay: {},
+        adjustments: {},
+        dither: 'none',
+        strength: PixelationConstants.DEFAULT_DITHER_STRENGTH,
+        palette: null,
+        paletteUrl: null,
+        paletteCache: null,
+        resolution: 'original',
+        distance: 'rgb',
+        serpentine: false,
+        linearLight: false,
+        ditherSeed: 0,
+        downsample: 'box',
+        alpha: 'preserve',
+        alphaThreshold: PixelationConstants.DEFAULT_ALPHA_THRESHOLD,
+        transparentIndex: 0,
+        format: 'source',
+        dataset: false,
+        hrMode: 'crop',
+        hrScale: null,
+        split: null,
+        seed: 0,
+        sample: null,
+        sequence: false,
+        temporalThreshold: PixelationConstants.DEFAULT_TEMPORAL_THRESHOLD,
+        flicker: false,
+        preset: null,
+        analyze: null,
+        presetOut: null,
+        plugins: [],
+        listDithers: false,
+        // Flags given on the command line, so they can override --preset values
+        explicit: new Set()
     };
     
     for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options.explicit.add(args[i].slice(2));
+        }
+
         if (args[i] === '--in' && args[i + 1]) {
             options.in = args[i + 1];
             i++;
@@ -30,6 +237,117 @@ function parseArgs() {
         } else if (args[i] === '--size' && args[i + 1]) {
             options.size = parseInt(args[i + 1]);
             i++;
+        } else if (args[i] === '--height' && args[i + 1]) {
+            options.height = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--fit' && args[i + 1]) {
+            options.fit = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--anchor' && args[i + 1]) {
+            options.anchor = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--pixel-aspect' && args[i + 1]) {
+            options.pixelAspect = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--dither' && args[i + 1]) {
+            options.dither = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--strength' && args[i + 1]) {
+            options.strength = parseFloat(args[i + 1]);
+            i++;
+        } else if (args[i] === '--palette' && args[i + 1]) {
+            options.palette = args[i + 1];
+            i++;
+        } else if (args[i] === '--scale' && args[i + 1]) {
+            options.scale = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--grid' && args[i + 1]) {
+            options.overlay.grid = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--scanlines' && args[i + 1]) {
+            options.overlay.scanlines = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--shadow-mask' && args[i + 1]) {
+            options.overlay.shadowMask = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--bloom' && args[i + 1]) {
+            options.overlay.bloom = Number(args[i + 1]);
+            i++;
+        } else if (ADJUSTMENT_FLAGS[args[i]] && args[i + 1]) {
+            options.adjustments[ADJUSTMENT_FLAGS[args[i]]] = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--resolution' && args[i + 1]) {
+            options.resolution = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--distance' && args[i + 1]) {
+            options.distance = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--serpentine') {
+            options.serpentine = true;
+        } else if (args[i] === '--linear-light') {
+            options.linearLight = true;
+        } else if (args[i] === '--dither-seed' && args[i + 1]) {
+            options.ditherSeed = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--downsample' && args[i + 1]) {
+            options.downsample = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--alpha' && args[i + 1]) {
+            options.alpha = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--alpha-threshold' && args[i + 1]) {
+            options.alphaThreshold = parseFloat(args[i + 1]);
+            i++;
+        } else if (args[i] === '--transparent-index' && args[i + 1]) {
+            options.transparentIndex = parseInt(args[i + 1]);
+            i++;
+        } else if (args[i] === '--format' && args[i + 1]) {
+            options.format = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--dataset') {
+            options.dataset = true;
+        } else if (args[i] === '--hr-mode' && args[i + 1]) {
+            options.hrMode = args[i + 1].toLowerCase();
+            i++;
+        } else if (args[i] === '--hr-scale' && args[i + 1]) {
+            options.hrScale = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--split' && args[i + 1]) {
+            options.split = args[i + 1];
+            i++;
+        } else if (args[i] === '--seed' && args[i + 1]) {
+            options.seed = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--sample' && args[i + 1]) {
+            options.sample = args[i + 1];
+            i++;
+        } else if (args[i] === '--sequence') {
+            options.sequence = true;
+        } else if (args[i] === '--temporal-threshold' && args[i + 1]) {
+            options.temporalThreshold = parseFloat(args[i + 1]);
+            i++;
+        } else if (args[i] === '--flicker') {
+            options.flicker = true;
+        } else if (args[i] === '--palette-url' && args[i + 1]) {
+            options.paletteUrl = args[i + 1];
+            i++;
+        } else if (args[i] === '--palette-cache' && args[i + 1]) {
+            options.paletteCache = args[i + 1];
+            i++;
+        } else if (args[i] === '--preset' && args[i + 1]) {
+            options.preset = args[i + 1];
+            i++;
+        } else if (args[i] === '--analyze' && args[i + 1]) {
+            options.analyze = args[i + 1];
+            i++;
+        } else if (args[i] === '--preset-out' && args[i + 1]) {
+            options.presetOut = args[i + 1];
+            i++;
+        } else if (args[i] === '--plugin' && args[i + 1]) {
+            options.plugins.push(args[i + 1]);
+            i++;
+        } else if (args[i] === '--list-dithers') {
+            options.listDithers = true;
         }
     }
     
@@ -42,51 +360,825 @@ function isImageFile(filename) {
     return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'].includes(ext);
 }
 
+// Resolve --palette into RGB colors
+// Order: auto:<N>[:<method>], local palette file (any PALETTE_FORMATS, JSON if the extension is unknown),
+// built-in DEFAULT_PALETTES name, Lospec slug
+async function loadPalette(paletteArg) {
+    const autoMatch = paletteArg.match(/^auto:(\d+)(?::([a-z-]+))?$/i);
+    if (autoMatch) {
+        const method = (autoMatch[2] || 'median-cut').toLowerCase();
+        if (!PALETTE_EXTRACTION_METHODS.includes(method)) {
+            throw new Error(`Unknown palette extraction method: ${method} (available: ${PALETTE_EXTRACTION_METHODS.join(', ')})`);
+        }
+        // Extracted per image by pixelateImageData()
+        return { name: `auto ${autoMatch[1]} colors (${method})`, colors: { auto: parseInt(autoMatch[1]), method } };
+    }
+
+    if (fs.existsSync(paletteArg) && fs.statSync(paletteArg).isFile()) {
+        const format = getPaletteFormat(paletteArg) || 'json';
+        const palette = format === 'png'
+            ? { name: null, colors: paletteFromSwatchImage(await readRawImage(paletteArg)) }
+            : parsePaletteFile(fs.readFileSync(paletteArg), format);
+        if (palette.colors.length === 0) {
+            throw new Error(`Palette file has no colors: ${paletteArg}`);
+        }
+        return { name: palette.name || path.basename(paletteArg), colors: palette.colors };
+    }
+
+    const builtIn = findDefaultPalette(paletteArg);
+    if (builtIn) {
+        return { name: builtIn.name, colors: await resolvePaletteColors(builtIn.colors) };
+    }
+
+    return { name: paletteArg, colors: await resolvePaletteColors(paletteArg) };
+}
+
+// Load dithering plugins (--plugin) before --dither is validated
+function loadPlugins(pluginPaths) {
+    for (const pluginPath of pluginPaths) {
+        const plugin = require(path.resolve(pluginPath));
+        if (typeof plugin === 'function') {
+            plugin(pixelLibrary);
+        }
+    }
+}
+
+// Decode an image to raw RGBA for the image-to-pixel.js core
+async function readRawImage(inputPath) {
+    const { data, info } = await sharp(inputPath)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+// Infer a preset from a reference screenshot (--analyze)
+async function analyzeImage(imagePath, presetOut) {
+    const preset = analyzeReference(await readRawImage(imagePath));
+    const json = JSON.stringify(preset, null, 2);
+
+    if (presetOut) {
+        fs.writeFileSync(presetOut, json);
+        console.error(`Preset saved to ${presetOut}`);
+    }
+    console.log(json);
+}
+
+// Fill in options from a preset file (--preset); flags given on the command line take precedence
+async function applyPreset(options) {
+    const preset = JSON.parse(fs.readFileSync(options.preset, 'utf8'));
+
+    if (preset.width !== undefined && !options.explicit.has('size')) options.size = preset.width;
+    if (preset.dither !== undefined && !options.explicit.has('dither')) options.dither = preset.dither.toLowerCase();
+    if (preset.strength !== undefined && !options.explicit.has('strength')) options.strength = preset.strength;
+    if (preset.resolution !== undefined && !options.explicit.has('resolution')) options.resolution = preset.resolution;
+    if (preset.distance !== undefined && !options.explicit.has('distance')) options.distance = preset.distance;
+    if (preset.serpentine !== undefined && !options.explicit.has('serpentine')) options.serpentine = preset.serpentine;
+
+    if (Array.isArray(preset.palette) && preset.palette.length > 0 && !options.explicit.has('palette')) {
+        return { name: `preset ${path.basename(options.preset)}`, colors: await resolvePaletteColors(preset.palette) };
+    }
+    return null;
+}
+
+// .npy has no room for the palette: save it next to the array in the picker's palette JSON
+// format (usable with --palette), plus the transparent index (-1 if none)
+function writeNpyPalette(npyPath, indexed) {
+    const palettePath = npyPath.replace(/\.npy$/, '.palette.json');
+    const palette = {
+        name: path.basename(npyPath, '.npy'),
+        colors: indexed.palette.map(rgbToHex),
+        transparentIndex: indexed.transparentIndex
+    };
+    fs.writeFileSync(palettePath, JSON.stringify(palette, null, 2));
+}
+
+// Options for pixelateImageData() from the command line
+function getPixelationOptions(options, paletteColors) {
+    return {
+        width: options.size,
+        height: options.height,
+        fit: options.fit,
+        anchor: options.anchor,
+        pixelAspect: options.pixelAspect,
+        scale: options.scale,
+        adjustments: options.adjustments,
+        dither: options.dither,
+        strength: options.strength,
+        palette: paletteColors,
+        resolution: options.resolution,
+        distance: options.distance,
+        serpentine: options.serpentine,
+        linearLight: options.linearLight,
+        ditherSeed: options.ditherSeed,
+        downsample: options.downsample,
+        alpha: options.alpha,
+        alphaThreshold: options.alphaThreshold,
+        transparentIndex: options.transparentIndex
+    };
+}
+
+// Encode raw RGBA pixels; sharp picks the format from the output extension
+async function writeRawImage(image, outputPath) {
+    await sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), {
+        raw: { width: image.width, height: image.height, channels: 4 }
+    }).toFile(outputPath);
+}
+
+// Write a pixelateImageData() result in the --format chosen on the command line
+async function writeResult(result, outputPath, options) {
+    const indexedFormat = OUTPUT_FORMATS[options.format];
+    if (!indexedFormat) {
+        await writeRawImage(result, outputPath);
+        return;
+    }
+
+    const indexed = indexImageData(result);
+    fs.writeFileSync(outputPath, await INDEXED_FORMATS[indexedFormat].encode(indexed));
+    if (indexedFormat === 'npy') {
+        writeNpyPalette(outputPath, indexed);
+    }
+}
+
+// Write a display preview with the --grid/--scanlines/--shadow-mask/--bloom overlays, if any
+// `result` is the clean output, `scale` blows up a bare pixel grid first
+async function writePreview(result, previewPath, options, scale = 1) {
+    if (Object.keys(options.overlay).length === 0) {
+        return;
+    }
+    const image = scale > 1
+        ? scaleNearest(result, result.width * scale, Math.round(result.height * scale * options.pixelAspect))
+        : result;
+    await writeRawImage(applyDisplayOverlay(image, result.gridWidth, result.gridHeight, options.overlay), previewPath);
+}
+
+// Frames of one output stream: each sampled variant is its own sequence
+function streamKey(job) {
+    return job.sample ? job.sample.variant : 0;
+}
+
+// Runs frames through pixelateImageData(), or a sequence pixelator per stream with --sequence,
+// and measures flicker against the stream's previous frame with --sequence or --flicker
+function createFrameRunner(options) {
+    const pixelators = new Map();
+    const previousFrames = new Map();
+    const totals = { pairs: 0, changed: 0, flicker: 0 };
+
+    return {
+        pixelate(job, source, pixelation) {
+            if (!options.sequence) {
+                return pixelateImageData(source, pixelation);
+            }
+            const key = streamKey(job);
+            if (!pixelators.has(key)) {
+                pixelators.set(key, createSequencePixelator({ ...pixelation, temporalThreshold: options.temporalThreshold }));
+            }
+            return pixelators.get(key).next(source);
+        },
+
+        // Flicker against the previous frame, or null (first frame, size change, not measuring)
+        measure(job, source, result, pixelation) {
+            if (!options.sequence && !options.flicker) {
+                return null;
+            }
+            const key = streamKey(job);
+            const previous = previousFrames.get(key);
+            previousFrames.set(key, { source, result });
+            if (!previous || previous.result.width !== result.width || previous.result.height !== result.height) {
+                return null;
+            }
+
+            // Frames at 'original' resolution are in source pixels, so their pixels are square
+            const layout = {
+                fit: pixelation.fit,
+                anchor: pixelation.anchor,
+                pixelAspect: pixelation.resolution === 'pixel' ? pixelation.pixelAspect : 1
+            };
+            const sources = { previous: previous.source, current: source };
+            const { changed, flicker } = measureFlicker(previous.result, result, sources, options.temporalThreshold, layout);
+            totals.pairs++;
+            totals.changed += changed;
+            totals.flicker += flicker;
+            return { changed: Number(changed.toFixed(6)), flicker: Number(flicker.toFixed(6)) };
+        },
+
+        report() {
+            if (totals.pairs > 0) {
+                const percent = value => (100 * value / totals.pairs).toFixed(2);
+                console.log(`Flicker: ${percent(totals.flicker)}% of static pixels changed, ${percent(totals.changed)}% of all pixels (mean over ${totals.pairs} frame pairs)`);
+            }
+        }
+    };
+}
+
 // Pixelate a single image
-async function pixelateImage(inputPath, outputPath, pixelSize) {
+// Decodes to raw RGBA with sharp and runs the same pixelateImageData() core as the web UI
+// Returns the result and its flicker measurement, or null if the image failed
+async function pixelateImage(job, outputPath, previewPath, runner) {
+    const inputPath = path.join(job.options.in, job.file);
     try {
-        // Get original image metadata
-        const metadata = await sharp(inputPath).metadata();
-        const originalWidth = metadata.width;
-        const originalHeight = metadata.height;
-        
-        // Calculate pixel dimensions maintaining aspect ratio
-        const aspectRatio = originalHeight / originalWidth;
-        const pixelWidth = pixelSize;
-        const pixelHeight = Math.round(pixelSize * aspectRatio);
-        
-        // Process: resize down to pixel size, then back up to original
-        await sharp(inputPath)
-            // Step 1: Resize down to pixel dimensions
-            .resize(pixelWidth, pixelHeight, {
-                kernel: sharp.kernel.nearest,  // Use nearest neighbor for crisp pixels
-                fit: 'fill'
-            })
-            // Step 2: Resize back up to original dimensions
-            .resize(originalWidth, originalHeight, {
-                kernel: sharp.kernel.nearest,  // Maintain pixelated look
-                fit: 'fill'
-            })
-            // Save the result
-            .toFile(outputPath);
-            
-        return true;
+        const source = await readRawImage(inputPath);
+        const pixelation = getPixelationOptions(job.options, job.palette ? job.palette.colors : null);
+        const result = runner.pixelate(job, source, pixelation);
+        await writeResult(result, outputPath, job.options);
+        await writePreview(result, previewPath, job.options);
+        return { result, flicker: runner.measure(job, source, result, pixelation) };
     } catch (error) {
         console.error(`Error processing ${inputPath}:`, error.message);
-        return false;
+        return null;
+    }
+}
+
+// Pixelation parameters for a manifest entry, with the exact palette colors used
+// (including per-image auto palettes) instead of the palette option
+function describeParams(pixelation, palette, result) {
+    const { palette: paletteOption, ...params } = pixelation;
+    return {
+        ...params,
+        paletteName: palette ? palette.name : null,
+        palette: result.palette ? result.palette.map(rgbToHex) : null
+    };
+}
+
+// 32-bit FNV-1a hash, giving every file and variant its own random stream
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Draw one value from a --sample config entry:
+// an array is a uniform choice, {min, max} a uniform range (inclusive for integers), anything else is fixed
+function drawValue(spec, random, integer) {
+    if (Array.isArray(spec)) {
+        return spec[Math.floor(random() * spec.length)];
+    }
+    if (spec !== null && typeof spec === 'object') {
+        return integer
+            ? spec.min + Math.floor(random() * (spec.max - spec.min + 1))
+            : spec.min + random() * (spec.max - spec.min);
+    }
+    return spec;
+}
+
+// Every value a --sample config entry can produce (range ends for {min, max})
+function possibleValues(spec) {
+    if (Array.isArray(spec)) return spec;
+    if (spec !== null && typeof spec === 'object') return [spec.min, spec.max];
+    return [spec];
+}
+
+// Load and validate a --sample config, resolving its palettes once for the whole run
+async function loadSampler(options) {
+    const config = JSON.parse(fs.readFileSync(options.sample, 'utf8'));
+    for (const key of Object.keys(config)) {
+        if (key !== 'seed' && key !== 'variants' && !SAMPLED_KEYS.includes(key)) {
+            throw new Error(`Unknown key "${key}" (available: seed, variants, ${SAMPLED_KEYS.join(', ')})`);
+        }
+        const spec = config[key];
+        if (spec !== null && typeof spec === 'object' && !Array.isArray(spec) &&
+            (typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max)) {
+            throw new Error(`"${key}" range needs numeric min <= max`);
+        }
+        if (Array.isArray(spec) && spec.length === 0) {
+            throw new Error(`"${key}" has no values to choose from`);
+        }
+    }
+
+    const variants = config.variants === undefined ? 1 : config.variants;
+    if (!Number.isInteger(variants) || variants < 1) {
+        throw new Error('"variants" must be a positive integer');
+    }
+    // --seed on the command line wins over the config's seed
+    const seed = config.seed === undefined || options.explicit.has('seed') ? options.seed : config.seed;
+    if (!Number.isInteger(seed)) {
+        throw new Error('"seed" must be an integer');
+    }
+
+    for (const width of config.width === undefined ? [] : possibleValues(config.width)) {
+        if (!Number.isInteger(width) || width < PixelationConstants.MIN_PIXEL_WIDTH || width > PixelationConstants.MAX_PIXEL_WIDTH) {
+            throw new Error(`"width" values must be integers from ${PixelationConstants.MIN_PIXEL_WIDTH} to ${PixelationConstants.MAX_PIXEL_WIDTH}`);
+        }
+    }
+    for (const dither of config.dither === undefined ? [] : possibleValues(config.dither)) {
+        if (typeof dither !== 'string') {
+            throw new Error(`Unknown dithering method: ${dither}`);
+        }
+        getDither(dither);
+    }
+    for (const strength of config.strength === undefined ? [] : possibleValues(config.strength)) {
+        if (typeof strength !== 'number' || strength < 0 || strength > 100) {
+            throw new Error('"strength" values must be numbers between 0 and 100');
+        }
+    }
+    for (const distance of config.distance === undefined ? [] : possibleValues(config.distance)) {
+        if (!DISTANCE_METRICS.includes(distance)) {
+            throw new Error(`Unknown color distance: ${distance}`);
+        }
+    }
+    for (const serpentine of config.serpentine === undefined ? [] : possibleValues(config.serpentine)) {
+        if (typeof serpentine !== 'boolean') {
+            throw new Error('"serpentine" values must be true or false');
+        }
+    }
+    for (const downsample of config.downsample === undefined ? [] : possibleValues(config.downsample)) {
+        if (!DOWNSAMPLE_METHODS.includes(downsample)) {
+            throw new Error(`Unknown downsampling method: ${downsample}`);
+        }
+    }
+
+    // null stands for "no palette"
+    const palettes = new Map();
+    for (const paletteArg of config.palette === undefined ? [] : possibleValues(config.palette)) {
+        if (paletteArg !== null && !palettes.has(paletteArg)) {
+            palettes.set(paletteArg, await loadPalette(String(paletteArg)));
+        }
+    }
+
+    return { config, variants, seed, palettes };
+}
+
+// Draw the values for one output; depends only on the seed, file name and variant,
+// so adding or removing files never changes the other outputs
+// In sequence mode the file name is left out, so every frame of a variant shares its values
+function drawSample(sampler, file, variant) {
+    const random = createSeededRandom(hashString(`${file}#${variant}`) ^ sampler.seed);
+    const values = {};
+    for (const key of SAMPLED_KEYS) {
+        if (sampler.config[key] !== undefined) {
+            values[key] = drawValue(sampler.config[key], random, key === 'width');
+        }
     }
+    return values;
+}
+
+// Output name stem for each input file, shared by all of its outputs and its manifest id
+// Files that differ only in extension (a.jpg, a.png) keep it in the stem (a_jpg, a_png),
+// so they never overwrite each other's outputs; case is ignored as on macOS and Windows
+function getOutputStems(files) {
+    const baseStem = (file) => path.basename(file, path.extname(file));
+    const counts = new Map();
+    for (const file of files) {
+        const key = baseStem(file).toLowerCase();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const stems = new Map();
+    const owners = new Map();
+    for (const file of files) {
+        const base = baseStem(file);
+        const stem = counts.get(base.toLowerCase()) > 1 ? `${base}_${path.extname(file).slice(1)}` : base;
+        const key = stem.toLowerCase();
+        if (owners.has(key)) {
+            throw new Error(`${owners.get(key)} and ${file} would write the same outputs; rename one of them`);
+        }
+        owners.set(key, file);
+        stems.set(file, stem);
+    }
+    return stems;
+}
+
+// Build the list of outputs: one per image, or one per sampled variant with --sample
+function planJobs(files, options, palette, sampler) {
+    const stems = getOutputStems(files);
+    const jobs = [];
+    for (const file of files) {
+        const stem = stems.get(file);
+        if (!sampler) {
+            jobs.push({ file, stem, options, palette, sample: null });
+            continue;
+        }
+
+        for (let variant = 0; variant < sampler.variants; variant++) {
+            const values = drawSample(sampler, options.sequence ? '' : file, variant);
+            const jobOptions = { ...options };
+            if (values.width !== undefined) jobOptions.size = values.width;
+            if (values.dither !== undefined) jobOptions.dither = values.dither.toLowerCase();
+            if (values.strength !== undefined) jobOptions.strength = values.strength;
+            if (values.distance !== undefined) jobOptions.distance = values.distance;
+            if (values.serpentine !== undefined) jobOptions.serpentine = values.serpentine;
+            if (values.downsample !== undefined) jobOptions.downsample = values.downsample;
+
+            jobs.push({
+                file,
+                stem: sampler.variants > 1 ? `${stem}_v${variant}` : stem,
+                options: jobOptions,
+                palette: values.palette === undefined ? palette : sampler.palettes.get(values.palette) || null,
+                sample: { seed: sampler.seed, variant, values }
+            });
+        }
+    }
+    return jobs;
+}
+
+// Parse --split "train,val,test" weights into fractions that sum to 1
+function parseSplit(value) {
+    const weights = value.split(',').map(Number);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weights.length !== 3 || weights.some(weight => isNaN(weight) || weight < 0) || total <= 0) {
+        throw new Error('--split needs three non-negative weights: train,val,test (e.g. 80,10,10)');
+    }
+    return weights.map(weight => weight / total);
+}
+
+// Seeded shuffle, then train/val/test in order of the split fractions
+// The same file list, split and seed always give the same assignment
+// Video frames (contiguous) are not shuffled, so neighbouring frames don't leak across splits
+function assignSplits(files, fractions, seed, contiguous = false) {
+    const random = createSeededRandom(seed);
+    const order = files.slice();
+    for (let i = order.length - 1; i > 0 && !contiguous; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const trainCount = Math.round(order.length * fractions[0]);
+    const valCount = Math.round(order.length * fractions[1]);
+    const splits = new Map();
+    order.forEach((file, i) => {
+        splits.set(file, i < trainCount ? 'train' : i < trainCount + valCount ? 'val' : 'test');
+    });
+    return splits;
+}
+
+// Fit the HR frame to an exact integer multiple of a `width`-pixel LR grid
+// (times --pixel-aspect vertically, so HR pixels stay square)
+// crop: crop at --anchor and --hr-scale (default: the largest scale the source allows), no resampling
+// resize: resample the frame to the LR size times --hr-scale (default: nearest scale) per --fit
+function getHrGeometry(sourceWidth, sourceHeight, width, options) {
+    const { height: fixedHeight, pixelAspect } = options;
+
+    if (options.hrMode === 'crop') {
+        const scale = options.hrScale || Math.floor(fixedHeight
+            ? Math.min(sourceWidth / width, sourceHeight / (fixedHeight * pixelAspect))
+            : sourceWidth / width);
+        const height = fixedHeight || Math.floor(sourceHeight / (scale * pixelAspect));
+        const cropHeight = Math.round(height * scale * pixelAspect);
+        if (scale < 1 || width * scale > sourceWidth || height < 1 || cropHeight > sourceHeight) {
+            throw new Error(`${sourceWidth}x${sourceHeight} source is too small for a ${width}px grid at ${scale || 1}x`);
+        }
+        const [anchorX, anchorY] = FIT_ANCHORS[options.anchor];
+        return {
+            scale,
+            lrWidth: width,
+            lrHeight: height,
+            crop: {
+                left: Math.floor((sourceWidth - width * scale) * anchorX),
+                top: Math.floor((sourceHeight - cropHeight) * anchorY),
+                width: width * scale,
+                height: cropHeight
+            }
+        };
+    }
+
+    const scale = options.hrScale || Math.max(1, Math.round(sourceWidth / width));
+    const height = fixedHeight || Math.max(1, Math.round(width * sourceHeight / sourceWidth / pixelAspect));
+    return {
+        scale,
+        lrWidth: width,
+        lrHeight: height,
+        resize: { width: width * scale, height: Math.round(height * scale * pixelAspect), fit: options.fit, position: SHARP_POSITIONS[options.anchor] }
+    };
+}
+
+// Decode the HR frame as raw RGBA, cropped or resized per getHrGeometry()
+async function readHrImage(inputPath, geometry) {
+    const image = geometry.crop
+        ? sharp(inputPath).extract(geometry.crop)
+        : sharp(inputPath).resize(geometry.resize.width, geometry.resize.height, {
+            fit: geometry.resize.fit,
+            position: geometry.resize.position,
+            background: { r: 0, g: 0, b: 0, alpha: 0 },
+            kernel: 'lanczos3'
+        });
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    return { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+// Write one LR/HR pair and return its manifest entry
+// LR is pixelated from the HR frame itself, so both cover exactly the same area
+async function writeDatasetPair(job, split, runner) {
+    const { file, stem, options, palette } = job;
+    const inputPath = path.join(options.in, file);
+    const { width: sourceWidth, height: sourceHeight } = await sharp(inputPath).metadata();
+    const geometry = getHrGeometry(sourceWidth, sourceHeight, options.size, options);
+    const hr = await readHrImage(inputPath, geometry);
+
+    // The HR frame already has the grid's displayed shape, so the LR grid simply fills it
+    const pixelation = {
+        ...getPixelationOptions(options, palette ? palette.colors : null),
+        height: geometry.lrHeight,
+        fit: 'fill',
+        resolution: 'pixel',
+        scale: null
+    };
+    const result = runner.pixelate(job, hr, pixelation);
+    const flicker = runner.measure(job, hr, result, pixelation);
+
+    const indexedFormat = OUTPUT_FORMATS[options.format];
+    const lrPath = path.posix.join('lr', split || '', stem + (indexedFormat ? INDEXED_FORMATS[indexedFormat].extension : '.png'));
+    const hrPath = path.posix.join('hr', split || '', stem + '.png');
+    fs.mkdirSync(path.dirname(path.join(options.out, lrPath)), { recursive: true });
+    fs.mkdirSync(path.dirname(path.join(options.out, hrPath)), { recursive: true });
+
+    await writeResult(result, path.join(options.out, lrPath), options);
+    await writeRawImage(hr, path.join(options.out, hrPath));
+
+    // Previews show the LR grid at --scale, or at the HR size
+    const previewPath = path.join(options.out, 'preview', split || '', stem + '.png');
+    if (Object.keys(options.overlay).length > 0) {
+        fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+    }
+    await writePreview(result, previewPath, options, options.scale || geometry.scale);
+
+    return {
+        id: stem,
+        source: file,
+        split,
+        lr: lrPath,
+        hr: hrPath,
+        lrWidth: result.width,
+        lrHeight: result.height,
+        hrWidth: hr.width,
+        hrHeight: hr.height,
+        scale: geometry.scale,
+        hrMode: options.hrMode,
+        ...(geometry.crop ? { crop: geometry.crop } : {}),
+        ...(job.sample ? { sample: job.sample } : {}),
+        ...(flicker ? { flicker } : {}),
+        params: describeParams(pixelation, palette, result)
+    };
+}
+
+// Dataset mode (--dataset): paired lr/ and hr/ trees plus manifest.jsonl
+// Splits are assigned per source file, so variants of one image never straddle splits
+async function runDataset(files, jobs, options) {
+    const fractions = options.split ? parseSplit(options.split) : null;
+    const splits = fractions ? assignSplits(files, fractions, options.seed, options.sequence) : null;
+    const runner = createFrameRunner(options);
+    const entries = [];
+    let failed = 0;
+
+    for (const job of jobs) {
+        process.stdout.write(`Processing ${job.stem}... `);
+        try {
+            entries.push(await writeDatasetPair(job, splits ? splits.get(job.file) : null, runner));
+            console.log('✓');
+        } catch (error) {
+            console.log('✗');
+            console.error(`Error processing ${job.file}:`, error.message);
+            failed++;
+        }
+    }
+
+    const manifestPath = path.join(options.out, 'manifest.jsonl');
+    fs.writeFileSync(manifestPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+    console.log('\n--- Complete ---');
+    console.log(`Pairs: ${entries.length}`);
+    if (splits) {
+        for (const split of ['train', 'val', 'test']) {
+            console.log(`  ${split}: ${entries.filter(entry => entry.split === split).length}`);
+        }
+    }
+    console.log(`Failed: ${failed}`);
+    runner.report();
+    console.log(`Manifest: ${manifestPath}`);
 }
 
 // Main function
 async function main() {
     const options = parseArgs();
+
+    try {
+        loadPlugins(options.plugins);
+    } catch (error) {
+        console.error(`Could not load plugin: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (options.listDithers) {
+        console.log(listDithers().join('\n'));
+        return;
+    }
+
+    if (options.analyze) {
+        try {
+            await analyzeImage(options.analyze, options.presetOut);
+        } catch (error) {
+            console.error(`Could not analyze ${options.analyze}: ${error.message}`);
+            process.exit(1);
+        }
+        return;
+    }
     
     // Validate arguments
     if (!options.in || !options.out) {
-        console.error('Usage: node pixelate.js --in <input_dir> --out <output_dir> --size <pixel_width>');
+        console.error('Usage: node pixelate.js --in <input_dir> --out <output_dir> --size <pixel_width> [options]');
+        console.error('       node pixelate.js --analyze <screenshot> [--preset-out <file.json>]');
+        console.error('Options: --dither <method> --strength <0-100> --palette <name|slug|file.json|auto:N>');
+        console.error('         --palette-url <url|dir> --palette-cache <file|off>');
+        console.error('         --height <pixels> --fit <fill|contain|cover> --anchor <position> --pixel-aspect <n>');
+        console.error('         --scale <n> --grid <0-1> --scanlines <0-1> --shadow-mask <0-1> --bloom <0-1>');
+        console.error('         --brightness --contrast --gamma --saturation --hue --black-point --white-point');
+        console.error('         --auto-levels --sharpen --sharpen-radius --sharpen-threshold --posterize <value>');
+        console.error('         --resolution <original|pixel> --distance <metric> --serpentine --linear-light --dither-seed <n>');
+        console.error('         --downsample <box|nearest|median|mode|lanczos>');
+        console.error('         --alpha <mode> --alpha-threshold <0-255> --transparent-index <n>');
+        console.error('         --format <source|png8|gif|idx|npy>');
+        console.error('         --dataset --hr-mode <crop|resize> --hr-scale <n> --split <train,val,test> --seed <n>');
+        console.error('         --sample <config.json> --sequence --temporal-threshold <n> --flicker');
+        console.error('         --preset <file.json> --plugin <file.js> --list-dithers');
         console.error('Example: node pixelate.js --in ./images --out ./output --size 128');
         process.exit(1);
     }
+
+    // Lospec slugs (from --palette, presets and --sample) load through the shared palette cache
+    if (options.paletteUrl) {
+        configurePaletteLoader({ baseUrl: options.paletteUrl });
+    }
+    if (options.paletteCache) {
+        configurePaletteLoader({ storage: options.paletteCache === 'off' ? null : createFilePaletteStorage(path.resolve(options.paletteCache)) });
+    }
+
+    // Preset values fill in anything not given on the command line
+    let presetPalette = null;
+    if (options.preset) {
+        try {
+            presetPalette = await applyPreset(options);
+        } catch (error) {
+            console.error(`Could not load preset "${options.preset}": ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    // getDither() also registers sized threshold maps such as "64x64 bayer" on first use
+    try {
+        getDither(options.dither);
+    } catch (error) {
+        console.error(error.message);
+        console.error(`Available: ${listDithers().join(', ')}, "NxN bayer", "blue noise NxN", "knoll NxN"`);
+        process.exit(1);
+    }
+
+    if (!Number.isInteger(options.ditherSeed)) {
+        console.error('Dither seed must be an integer');
+        process.exit(1);
+    }
+
+    if (isNaN(options.strength) || options.strength < 0 || options.strength > 100) {
+        console.error('Strength must be a number between 0 and 100');
+        process.exit(1);
+    }
+
+    if (!RESOLUTIONS.includes(options.resolution)) {
+        console.error(`Unknown resolution: ${options.resolution}`);
+        console.error(`Available: ${RESOLUTIONS.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (options.height !== null && (!Number.isInteger(options.height) ||
+        options.height < PixelationConstants.MIN_PIXEL_WIDTH || options.height > PixelationConstants.MAX_PIXEL_WIDTH)) {
+        console.error(`Height must be an integer from ${PixelationConstants.MIN_PIXEL_WIDTH} to ${PixelationConstants.MAX_PIXEL_WIDTH}`);
+        process.exit(1);
+    }
+
+    if (!FIT_MODES.includes(options.fit)) {
+        console.error(`Unknown fit mode: ${options.fit}`);
+        console.error(`Available: ${FIT_MODES.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!FIT_ANCHORS[options.anchor]) {
+        console.error(`Unknown anchor: ${options.anchor}`);
+        console.error(`Available: ${Object.keys(FIT_ANCHORS).join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!(options.pixelAspect > 0) || !isFinite(options.pixelAspect)) {
+        console.error('Pixel aspect must be a positive number');
+        process.exit(1);
+    }
+
+    if (options.scale !== null && (!Number.isInteger(options.scale) || options.scale < 1 || options.scale > PixelationConstants.MAX_SCALE)) {
+        console.error(`Scale must be an integer from 1 to ${PixelationConstants.MAX_SCALE}`);
+        process.exit(1);
+    }
+
+    for (const [name, amount] of Object.entries(options.overlay)) {
+        if (!(amount >= 0 && amount <= 1)) {
+            console.error(`${name} overlay must be a number between 0 and 1`);
+            process.exit(1);
+        }
+    }
+
+    for (const [name, value] of Object.entries(options.adjustments)) {
+        const { min, max } = ADJUSTMENTS[name];
+        if (!(value >= min && value <= max)) {
+            const flag = Object.keys(ADJUSTMENT_FLAGS).find(key => ADJUSTMENT_FLAGS[key] === name);
+            console.error(`${flag} must be a number from ${min} to ${max}`);
+            process.exit(1);
+        }
+    }
+    if ((options.adjustments.blackPoint || 0) >= (options.adjustments.whitePoint || 255)) {
+        console.error('--black-point must be below --white-point');
+        process.exit(1);
+    }
+
+    if (!DOWNSAMPLE_METHODS.includes(options.downsample)) {
+        console.error(`Unknown downsampling method: ${options.downsample}`);
+        console.error(`Available: ${DOWNSAMPLE_METHODS.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!ALPHA_MODES.includes(options.alpha)) {
+        console.error(`Unknown alpha mode: ${options.alpha}`);
+        console.error(`Available: ${ALPHA_MODES.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (isNaN(options.alphaThreshold) || options.alphaThreshold < 0 || options.alphaThreshold > 255) {
+        console.error('Alpha threshold must be a number between 0 and 255');
+        process.exit(1);
+    }
+
+    if (!DISTANCE_METRICS.includes(options.distance)) {
+        console.error(`Unknown color distance: ${options.distance}`);
+        console.error(`Available: ${DISTANCE_METRICS.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!Object.hasOwn(OUTPUT_FORMATS, options.format)) {
+        console.error(`Unknown output format: ${options.format}`);
+        console.error(`Available: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        process.exit(1);
+    }
+
+    if (!HR_MODES.includes(options.hrMode)) {
+        console.error(`Unknown HR mode: ${options.hrMode}`);
+        console.error(`Available: ${HR_MODES.join(', ')}`);
+        process.exit(1);
+    }
+
+    if (options.hrScale !== null && (!Number.isInteger(options.hrScale) || options.hrScale < 1)) {
+        console.error('HR scale must be a positive integer');
+        process.exit(1);
+    }
+
+    if (!Number.isInteger(options.seed)) {
+        console.error('Seed must be an integer');
+        process.exit(1);
+    }
+
+    if (isNaN(options.temporalThreshold) || options.temporalThreshold < 0) {
+        console.error('Temporal threshold must be a non-negative number');
+        process.exit(1);
+    }
+
+    if (options.split) {
+        try {
+            parseSplit(options.split);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+    }
+
+    // Resolve the palette once for the whole batch
+    let palette = presetPalette;
+    if (options.palette) {
+        try {
+            palette = await loadPalette(options.palette);
+        } catch (error) {
+            console.error(`Could not load palette "${options.palette}": ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    let sampler = null;
+    if (options.sample) {
+        try {
+            sampler = await loadSampler(options);
+        } catch (error) {
+            console.error(`Could not load sample config "${options.sample}": ${error.message}`);
+            process.exit(1);
+        }
+    }
+    const samplesPalette = sampler && sampler.config.palette !== undefined;
+
+    if (!palette && !samplesPalette && OUTPUT_FORMATS[options.format]) {
+        console.error(`--format ${options.format} needs --palette (or auto:<N>)`);
+        process.exit(1);
+    }
+
+    if (!palette && !samplesPalette && options.dither !== 'none') {
+        console.warn('Warning: --dither has no effect without --palette');
+    }
     
     // Check if input directory exists
     if (!fs.existsSync(options.in)) {
@@ -101,42 +1193,97 @@ async function main() {
     }
     
     // Get all image files in input directory
-    const files = fs.readdirSync(options.in).filter(isImageFile);
+    const files = fs.readdirSync(options.in).filter(isImageFile).sort();
     
     if (files.length === 0) {
         console.error('No image files found in input directory');
         process.exit(1);
     }
     
+    let jobs;
+    try {
+        jobs = planJobs(files, options, palette, sampler);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
     console.log(`Found ${files.length} images to process`);
-    console.log(`Pixel size: ${options.size}px wide`);
+    console.log(`Pixel size: ${options.size}px wide${options.height ? `, ${options.height}px high (${options.fit}${options.fit !== 'fill' ? ` at ${options.anchor}` : ''})` : ''}${options.pixelAspect !== 1 ? `, pixel aspect ${options.pixelAspect}` : ''}`);
+    console.log(`Palette: ${palette ? palette.name + (Array.isArray(palette.colors) ? ` (${palette.colors.length} colors)` : '') : 'none'}`);
+    console.log(`Dither: ${options.dither}${options.dither !== 'none' ? ` @ ${options.strength}%` : ''}${options.serpentine ? ' (serpentine)' : ''}${options.linearLight ? ' (linear light)' : ''}`);
+    console.log(`Resolution: ${options.scale ? `${options.scale}x` : options.resolution}`);
+    if (Object.keys(options.adjustments).length > 0) {
+        console.log(`Adjustments: ${Object.entries(options.adjustments).map(([name, value]) => `${name} ${value}`).join(', ')}`);
+    }
+    if (Object.keys(options.overlay).length > 0) {
+        console.log(`Preview overlays: ${DISPLAY_OVERLAYS.filter(name => name in options.overlay).map(name => `${name} ${options.overlay[name]}`).join(', ')}`);
+    }
+    console.log(`Downsample: ${options.downsample}`);
+    console.log(`Color distance: ${options.distance}`);
+    console.log(`Alpha: ${options.alpha}`);
+    console.log(`Format: ${options.format}`);
+    if (sampler) {
+        console.log(`Sampling: ${SAMPLED_KEYS.filter(key => sampler.config[key] !== undefined).join(', ')} from ${options.sample} (seed ${sampler.seed}, ${sampler.variants} variant${sampler.variants > 1 ? 's' : ''} per image)`);
+    }
+    if (options.sequence) {
+        console.log(`Sequence: ${files.length} frames, temporal threshold ${options.temporalThreshold}`);
+    }
+    if (options.dataset) {
+        console.log(`Dataset: HR ${options.hrMode} at ${options.hrScale ? options.hrScale + 'x' : 'auto scale'}${options.split ? `, split ${options.split} (seed ${options.seed})` : ''}`);
+    }
     console.log('Processing...\n');
+
+    if (options.dataset) {
+        await runDataset(files, jobs, options);
+        return;
+    }
     
     let successful = 0;
     let failed = 0;
+    const runner = createFrameRunner(options);
+    // Sampled values are recorded per output so the run can be reproduced exactly
+    const manifest = [];
     
     // Process each image
-    for (const file of files) {
-        const inputPath = path.join(options.in, file);
-        const outputPath = path.join(options.out, `pixelated_${file}`);
+    for (const job of jobs) {
+        const indexedFormat = OUTPUT_FORMATS[job.options.format];
+        const outputName = job.stem + (indexedFormat ? INDEXED_FORMATS[indexedFormat].extension : path.extname(job.file));
+        const outputPath = path.join(options.out, `pixelated_${outputName}`);
         
-        process.stdout.write(`Processing ${file}... `);
+        process.stdout.write(`Processing ${outputName}... `);
         
-        const success = await pixelateImage(inputPath, outputPath, options.size);
+        const previewPath = path.join(options.out, `preview_${job.stem}.png`);
+        const frame = await pixelateImage(job, outputPath, previewPath, runner);
         
-        if (success) {
+        if (frame) {
             console.log('✓');
             successful++;
+            if (job.sample) {
+                const paletteColors = job.palette ? job.palette.colors : null;
+                manifest.push({
+                    source: job.file,
+                    output: `pixelated_${outputName}`,
+                    sample: job.sample,
+                    ...(frame.flicker ? { flicker: frame.flicker } : {}),
+                    params: describeParams(getPixelationOptions(job.options, paletteColors), job.palette, frame.result)
+                });
+            }
         } else {
             console.log('✗');
             failed++;
         }
     }
+
+    if (sampler) {
+        fs.writeFileSync(path.join(options.out, 'manifest.jsonl'), manifest.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
     
     // Summary
     console.log('\n--- Complete ---');
     console.log(`Successful: ${successful}`);
     console.log(`Failed: ${failed}`);
+    runner.report();
     console.log(`Output directory: ${options.out}`);
 }
 
@@ -10,11 +10,26 @@
  * - Integrates Pickr color picker library for color selection
  * - Manages both default and custom palettes
  * - Persists custom palettes to localStorage
- * - Supports palette import/export for sharing
+ * - Supports palette import/export for sharing, in JSON and the formats of
+ *   GIMP, Aseprite, Photoshop, Paint.NET and Lospec (see PALETTE_FORMATS)
+ * - Extracts palettes from images (median-cut, k-means, octree)
+ * - Edits the active palette: drag-and-drop reordering, sorting, duplicate
+ *   removal, ramps and bulk edits of a multi-swatch selection
  * 
  * CONNECTIONS:
  * - Called by index.html for palette UI management
+ * - Reads DEFAULT_PALETTES from image-to-pixel.js (shared with the Node CLI),
+ *   so image-to-pixel.js must be loaded before this script
  * - Provides activePalette to image-to-pixel.js for color quantization
+ * - Cancels stale auto-pixelation renders with an AbortSignal
+ * - Fills the dither dropdown from listDithers() in image-to-pixel.js
+ * - Reads and writes palette files with the PALETTE_FORMATS parsers in
+ *   image-to-pixel.js, the same ones behind the CLI's --palette
+ * - Builds the adjustment sliders from ADJUSTMENTS in image-to-pixel.js and
+ *   provides activeAdjustments for pixelate({ adjustments })
+ * - Uses rgbToLab, labToRgb and ciede2000Distance from image-to-pixel.js for
+ *   duplicate removal and ramps, and applyAdjustments for bulk hue and
+ *   brightness shifts
  * - Uses Pickr library (loaded via CDN in index.html)
  * 
  * TRAINING DATA CONSIDERATIONS:
@@ -34,50 +49,19 @@ const PaletteConstants = {
     /** Maximum palette name length to prevent UI issues */
     MAX_PALETTE_NAME_LENGTH: 50,
     /** Maximum colors per palette for performance */
-    MAX_COLORS_PER_PALETTE: 256
+    MAX_COLORS_PER_PALETTE: 256,
+    /** Suggested color count for "Extract from image" */
+    DEFAULT_EXTRACT_COLORS: 16,
+    /** Largest Delta E 2000 that "Remove duplicates" treats as a duplicate (about one just-noticeable difference) */
+    DEFAULT_DUPLICATE_THRESHOLD: 2.3,
+    /** Suggested number of colors for "Insert ramp" */
+    DEFAULT_RAMP_STEPS: 3,
+    /** Suggested hue rotation in degrees for "Shift hue" */
+    DEFAULT_HUE_SHIFT: 15,
+    /** Suggested brightness change in percent for "Shift brightness" */
+    DEFAULT_BRIGHTNESS_SHIFT: 10
 };
 
-/**
- * Curated collection of popular pixel art palettes.
- * 
- * These palettes are carefully selected for their use in pixel art and
- * game development. They provide excellent starting points for training
- * data generation with authentic color schemes.
- * 
- * PALETTE CHARACTERISTICS:
- * - Sweet Canyon Extended 64: Large palette for detailed work
- * - PICO-8: Classic 16-color fantasy console palette
- * - Endesga 32: Versatile 32-color general purpose palette
- * - Resurrect 64: Comprehensive palette for complex scenes
- * 
- * Each palette includes:
- * - name: Display name for UI
- * - author: Original creator for attribution
- * - colors: Hex color codes (without # prefix)
- */
-const DEFAULT_PALETTES = sortPalettesByName([
-    { "name": "Sweet Canyon Extended 64", "author": "Mr Slime", "colors": ["0f0e11", "2d2c33", "40404a", "51545c", "6b7179", "7c8389", "a8b2b6", "d5d5d5", "eeebe0", "f1dbb1", "eec99f", "e1a17e", "cc9562", "ab7b49", "9a643a", "86482f", "783a29", "6a3328", "541d29", "42192c", "512240", "782349", "8b2e5d", "a93e89", "d062c8", "ec94ea", "f2bdfc", "eaebff", "a2fafa", "64e7e7", "54cfd8", "2fb6c3", "2c89af", "25739d", "2a5684", "214574", "1f2966", "101445", "3c0d3b", "66164c", "901f3d", "bb3030", "dc473c", "ec6a45", "fb9b41", "f0c04c", "f4d66e", "fffb76", "ccf17a", "97d948", "6fba3b", "229443", "1d7e45", "116548", "0c4f3f", "0a3639", "251746", "48246d", "69189c", "9f20c0", "e527d2", "ff51cf", "ff7ada", "ff9edb"] },
-    { "name": "Beached Boogaloo", "author": ".tomais", "colors": ["ff0b20", "8f0434", "500037", "a0ff00", "57e71e", "0ea717", "057833", "2cdeef", "2483e7", "153ab7", "0d0a87", "ff0b88", "a60fff", "6409cf", "eaef30", "ff880b", "b75308", "802202", "000000", "231940", "514378", "ffffff", "73a3a7", "366770", "f7b771", "c77650", "974c38", "873939", "601e2c", "300c1f"] },
-    { "name": "Endesga 32", "author": "ENDESGA", "colors": ["be4a2f", "d77643", "ead4aa", "e4a672", "b86f50", "733e39", "3e2731", "a22633", "e43b44", "f77622", "feae34", "fee761", "63c74d", "3e8948", "265c42", "193c3e", "124e89", "0099db", "2ce8f5", "ffffff", "c0cbdc", "8b9bb4", "5a6988", "3a4466", "262b44", "181425", "ff0044", "68386c", "b55088", "f6757a", "e8b796", "c28569"] },
-    { "name": "Intacto14", "author": "Anubi", "colors": ["221529", "4b5561", "879ba3", "cbf5ef", "62b4de", "5660d6", "5b29a6", "d64562", "f2735c", "edbb8e", "ab6375", "522152", "37ada2", "8cde8c"] },
-    { "name": "Batpalette", "author": "el Rojaz", "colors": ["000000", "7f7f7f", "ffffff", "681e99", "3f48cc", "88ff82", "bfa621", "cc3d18"] },
-    { "name": "Hidden Library", "author": "Pixel Hoo", "colors": ["100b2a", "2a213a", "314743", "65856d", "adca9a", "ecfeca", "582d27", "974133", "d67654", "5d3441", "a3685b", "ffb379", "ffe6a9", "ffffff"] },
-    { "name": "Toxic Haze", "author": "sillyTheJester", "colors": ["e5ff00", "b8d14a", "9ab06e", "708763", "4c5c52", "393e40", "242424"] },
-    { "name": "Chaotic neutral", "author": "Dodecahedron ⷽ", "colors": ["e1d4cb", "c19f90", "a56457", "6d504d", "484044", "392b29", "31312f", "d8eef0", "97999f", "81a4c0", "6a7f92", "415973", "43425a", "45334b", "4b1f40", "671087", "955ab9"] },
-    { "name": "Resurrect 64", "author": "Kerrie Lake", "colors": ["2e222f", "3e3546", "625565", "966c6c", "ab947a", "694f62", "7f708a", "9babb2", "c7dcd0", "ffffff", "6e2727", "b33831", "ea4f36", "f57d4a", "ae2334", "e83b3b", "fb6b1d", "f79617", "f9c22b", "7a3045", "9e4539", "cd683d", "e6904e", "fbb954", "4c3e24", "676633", "a2a947", "d5e04b", "fbff86", "165a4c", "239063", "1ebc73", "91db69", "cddf6c", "313638", "374e4a", "547e64", "92a984", "b2ba90", "0b5e65", "0b8a8f", "0eaf9b", "30e1b9", "8ff8e2", "323353", "484a77", "4d65b4", "4d9be6", "8fd3ff", "45293f", "6b3e75", "905ea9", "a884f3", "eaaded", "753c54", "a24b6f", "cf657f", "ed8099", "831c5d", "c32454", "f04f78", "f68181", "fca790", "fdcbb0"] },
-    { "name": "Apollo", "author": "AdamCYounis", "colors": ["172038", "253a5e", "3c5e8b", "4f8fba", "73bed3", "a4dddb", "19332d", "25562e", "468232", "75a743", "a8ca58", "d0da91", "4d2b32", "7a4841", "ad7757", "c09473", "d7b594", "e7d5b3", "341c27", "602c2c", "884b2b", "be772b", "de9e41", "e8c170", "241527", "411d31", "752438", "a53030", "cf573c", "da863e", "1e1d39", "402751", "7a367b", "a23e8c", "c65197", "df84a5", "090a14", "10141f", "151d28", "202e37", "394a50", "577277", "819796", "a8b5b2", "c7cfcc", "ebede9"] },
-    { "name": "Lospec500", "author": "", "colors": ["10121c", "2c1e31", "6b2643", "ac2847", "ec273f", "94493a", "de5d3a", "e98537", "f3a833", "4d3533", "6e4c30", "a26d3f", "ce9248", "dab163", "e8d282", "f7f3b7", "1e4044", "006554", "26854c", "5ab552", "9de64e", "008b8b", "62a477", "a6cb96", "d3eed3", "3e3b65", "3859b3", "3388de", "36c5f4", "6dead6", "5e5b8c", "8c78a5", "b0a7b8", "deceed", "9a4d76", "c878af", "cc99ff", "fa6e79", "ffa2ac", "ffd1d5", "f6e8e0", "ffffff"] },
-    { "name": "CC-29", "author": "Alpha6", "colors": ["f2f0e5", "b8b5b9", "868188", "646365", "45444f", "3a3858", "212123", "352b42", "43436a", "4b80ca", "68c2d3", "a2dcc7", "ede19e", "d3a068", "b45252", "6a536e", "4b4158", "80493a", "a77b5b", "e5ceb4", "c2d368", "8ab060", "567b79", "4e584a", "7b7243", "b2b47e", "edc8c4", "cf8acb", "5f556a"] },
-    { "name": "SLSO8", "author": "Luis Miguel Maldonado", "colors": ["0d2b45", "203c56", "544e68", "8d697a", "d08159", "ffaa5e", "ffd4a3", "ffecd6"] },
-    { "name": "PICO-8", "author": "", "colors": ["000000", "1D2B53", "7E2553", "008751", "AB5236", "5F574F", "C2C3C7", "FFF1E8", "FF004D", "FFA300", "FFEC27", "00E436", "29ADFF", "83769C", "FF77A8", "FFCCAA"] },
-    { "name": "Sweetie 16", "author": "", "colors": ["1a1c2c", "5d275d", "b13e53", "ef7d57", "ffcd75", "a7f070", "38b764", "257179", "29366f", "3b5dc9", "41a6f6", "73eff7", "f4f4f4", "94b0c2", "566c86", "333c57"] },
-    { "name": "Vinik24", "author": "Vinik", "colors": ["000000", "6f6776", "9a9a97", "c5ccb8", "8b5580", "c38890", "a593a5", "666092", "9a4f50", "c28d75", "7ca1c0", "416aa3", "8d6268", "be955c", "68aca9", "387080", "6e6962", "93a167", "6eaa78", "557064", "9d9f7f", "7e9e99", "5d6872", "433455"] },
-    { "name": "Fantasy 24", "author": "", "colors": ["1f240a", "39571c", "a58c27", "efac28", "efd8a1", "ab5c1c", "183f39", "ef692f", "efb775", "a56243", "773421", "724113", "2a1d0d", "392a1c", "684c3c", "927e6a", "276468", "ef3a0c", "45230d", "3c9f9c", "9b1a0a", "36170c", "550f0a", "300f0a"] },
-    { "name": "Oil 6", "author": "", "colors": ["fbf5ef", "f2d3ab", "c69fa5", "8b6d9c", "494d7e", "272744"] },
-    { "name": "Journey", "author": "🍍PineappleOnPizza🍍(Comissions Open)", "colors": ["050914", "110524", "3b063a", "691749", "9c3247", "d46453", "f5a15d", "ffcf8e", "ff7a7d", "ff417d", "d61a88", "94007a", "42004e", "220029", "100726", "25082c", "3d1132", "73263d", "bd4035", "ed7b39", "ffb84a", "fff540", "c6d831", "77b02a", "429058", "2c645e", "153c4a", "052137", "0e0421", "0c0b42", "032769", "144491", "488bd4", "78d7ff", "b0fff1", "faffff", "c7d4e1", "928fb8", "5b537d", "392946", "24142c", "0e0f2c", "132243", "1a466b", "10908e", "28c074", "3dff6e", "f8ffb8", "f0c297", "cf968c", "8f5765", "52294b", "0f022e", "35003b", "64004c", "9b0e3e", "d41e3c", "ed4c40", "ff9757", "d4662f", "9c341a", "691b22", "450c28", "2d002e"] },
-
-]);
-
 /**
  * Global state for auto-pixelation feature.
  * When enabled, changes to palette trigger immediate re-rendering.
@@ -86,28 +70,29 @@ const DEFAULT_PALETTES = sortPalettesByName([
 let autoPixelateEnabled = false;
 
 /**
- * Sort palettes alphabetically by name for consistent UI display.
- * 
- * This ensures palettes appear in a predictable order regardless
- * of how they were added, improving user experience when selecting
- * palettes for training data generation.
+ * Controller for the render started by the latest palette change.
+ * Aborted by the next change so a stale render never lands after a newer one.
+ */
+let pixelationAbortController = null;
+
+/**
+ * Re-render after a palette change when auto-pixelation is on.
  * 
- * @param {Array<Object>} palettes - Array of palette objects with name property
- * @returns {Array<Object>} New array sorted by palette name (case-insensitive)
+ * Cancels the render still running from an earlier change, then calls
+ * applyPixelation() with a fresh AbortSignal, which it passes on to
+ * pixelate({ worker: true, signal }). Rapid edits therefore keep the page
+ * responsive and only the latest palette is rendered to completion.
  */
-function sortPalettesByName(palettes) {
-    return palettes.slice().sort((a, b) => {
-        const nameA = a.name.toUpperCase();
-        const nameB = b.name.toUpperCase();
-        if (nameA < nameB) {
-            return -1;
-        }
-        if (nameA > nameB) {
-            return 1;
-        }
-        return 0;
+function requestAutoPixelation() {
+    if (!autoPixelateEnabled) return;
+    if (pixelationAbortController) pixelationAbortController.abort();
+    pixelationAbortController = new AbortController();
+
+    Promise.resolve(applyPixelation(pixelationAbortController.signal)).catch(error => {
+        if (error.name !== 'AbortError') console.error('Pixelation failed:', error);
     });
 }
+
 /** LocalStorage key for persisting custom palettes across sessions */
 const PALETTE_STORAGE_KEY = PaletteConstants.STORAGE_KEY;
 
@@ -127,6 +112,27 @@ let activePalette = DEFAULT_PALETTES[0].colors.map(color => {
     return color.startsWith('#') ? color : `#${color}`;
 });
 
+/**
+ * Pre-quantization adjustments set with the sliders (see ADJUSTMENTS in
+ * image-to-pixel.js). The page's applyPixelation() must pass them on as
+ * pixelate({ adjustments: activeAdjustments }); this script never calls
+ * pixelate() itself. Only sliders moved away from their neutral value are
+ * included.
+ */
+let activeAdjustments = {};
+
+/**
+ * Indices into activePalette of the swatches selected for the palette
+ * tools. Cleared whenever the palette is re-rendered with colors moved.
+ */
+const selectedColorIndices = new Set();
+
+/** Index of the swatch last clicked into the selection, where a Shift-click range starts */
+let lastSelectedColorIndex = null;
+
+/** Index of the swatch being dragged, or null */
+let draggedColorIndex = null;
+
 /**
  * Initialize Pickr color picker instance.
  * 
@@ -235,16 +241,29 @@ function updateSelectors() {
  * 
  * FEATURES:
  * - Click swatches to edit colors with Pickr
+ * - Ctrl/Cmd-click to toggle a swatch in the selection, Shift-click
+ *   to select a range (used by the palette tools)
+ * - Drag swatches to reorder the palette
  * - X buttons to remove colors from palette
  * - Hex codes displayed for reference
  * - Auto-triggers pixelation if auto-mode is enabled
+ * 
+ * @param {boolean} [keepSelection=false] - Keep selectedColorIndices, for
+ *        edits that change colors without moving them
  */
-function updateColorList() {
+function updateColorList(keepSelection = false) {
+    if (!keepSelection) {
+        selectedColorIndices.clear();
+        lastSelectedColorIndex = null;
+    }
+
     const colorList = document.getElementById('selected-colors');
     colorList.innerHTML = '';
     activePalette.forEach((color, index) => {
         const colorItem = document.createElement('div');
         colorItem.className = 'color-item';
+        colorItem.draggable = true;
+        colorItem.dataset.index = index;
         colorItem.innerHTML = `
           <div class="color-swatch" data-index="${index}" style="background: ${color};"></div>
           <span class="color-code">${color}</span>
@@ -252,10 +271,15 @@ function updateColorList() {
         `;
         colorList.appendChild(colorItem);
     });
+    updateSelectionHighlight();
 
     document.querySelectorAll('.color-swatch').forEach(swatch => {
         swatch.addEventListener('click', function (e) {
             const index = e.target.dataset.index;
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                selectColor(Number(index), e.shiftKey);
+                return;
+            }
             pickr.currentIndex = index;
             pickr.currentSwatchElement = e.target;
 
@@ -271,7 +295,76 @@ function updateColorList() {
             updateColorList();
         });
     });
-    if (autoPixelateEnabled) applyPixelation();
+
+    document.querySelectorAll('.color-item').forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            draggedColorIndex = Number(item.dataset.index);
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag that carries data
+            e.dataTransfer.setData('text/plain', activePalette[draggedColorIndex]);
+        });
+        item.addEventListener('dragend', () => {
+            draggedColorIndex = null;
+        });
+        item.addEventListener('dragover', (e) => {
+            if (draggedColorIndex === null) return;
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+            item.classList.remove('drag-over');
+            if (draggedColorIndex === null) return;
+            e.preventDefault();
+            moveColor(draggedColorIndex, Number(item.dataset.index));
+            draggedColorIndex = null;
+        });
+    });
+    requestAutoPixelation();
+}
+
+/**
+ * Move a color to another position in the active palette.
+ * 
+ * @param {number} from - Current index
+ * @param {number} to - Index the color should end up at
+ */
+function moveColor(from, to) {
+    if (from === to) return;
+    const [color] = activePalette.splice(from, 1);
+    activePalette.splice(to, 0, color);
+    updateColorList();
+}
+
+/**
+ * Add a swatch to the selection, or toggle it.
+ * 
+ * @param {number} index - Index in activePalette
+ * @param {boolean} range - Select every swatch from the last one
+ *        selected up to this one instead of toggling
+ */
+function selectColor(index, range) {
+    if (range && lastSelectedColorIndex !== null) {
+        const step = index > lastSelectedColorIndex ? 1 : -1;
+        for (let i = lastSelectedColorIndex; i !== index + step; i += step) {
+            selectedColorIndices.add(i);
+        }
+    } else if (selectedColorIndices.has(index)) {
+        selectedColorIndices.delete(index);
+    } else {
+        selectedColorIndices.add(index);
+    }
+    lastSelectedColorIndex = index;
+    updateSelectionHighlight();
+}
+
+/**
+ * Mark the selected swatches without re-rendering the palette.
+ */
+function updateSelectionHighlight() {
+    document.querySelectorAll('.color-item').forEach(item => {
+        item.classList.toggle('selected', selectedColorIndices.has(Number(item.dataset.index)));
+    });
 }
 
 /**
@@ -293,7 +386,7 @@ pickr.on('change', (color) => {
         swatchElement.style.backgroundColor = newColor;
         swatchElement.parentElement.querySelector('.color-code').textContent = newColor;
     }
-    if (autoPixelateEnabled) applyPixelation();
+    requestAutoPixelation();
 });
 
 document.getElementById('default-palette-selector').addEventListener('change', (e) => {
@@ -379,40 +472,70 @@ document.getElementById('delete-palette-button').addEventListener('click', () =>
 const uploadPaletteButton = document.getElementById('upload-palette-button');
 const paletteFileInput = document.getElementById('palette-file-input');
 
+// The markup's file input predates the other formats, so widen what it offers
+paletteFileInput.accept = Object.values(PALETTE_FORMATS).map(format => format.extension).join(',');
+
 uploadPaletteButton.addEventListener('click', () => paletteFileInput.click());
 
-paletteFileInput.addEventListener('change', (event) => {
+paletteFileInput.addEventListener('change', async (event) => {
     const file = event.target.files[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const uploadedPalette = JSON.parse(e.target.result);
-
-                uploadedPalette.colors = uploadedPalette.colors.map(color =>
-                    color.startsWith('#') ? color : `#${color}`
-                );
-
-                const addedIndex = addUploadedPalette(uploadedPalette);
-
-                updateSelectors();
-
-                document.getElementById('custom-palette-selector').value = addedIndex;
-                document.getElementById('default-palette-selector').value = 'none';
-                activePalette = [...customPalettes[addedIndex].colors];
-                document.getElementById('palette-name-input').value = customPalettes[addedIndex].name;
-                updateColorList();
-
-                alert(`Palette "${uploadedPalette.name}" successfully uploaded and selected!`);
-            } catch (error) {
-                console.warn("Failed to parse uploaded palette file. Ensure it is in the correct format.");
-                alert('Invalid palette file. Please upload a properly formatted JSON file.');
-            }
-        };
-        reader.readAsText(file);
+    paletteFileInput.value = '';
+    if (!file) return;
+
+    let uploadedPalette;
+    try {
+        uploadedPalette = await readPaletteFile(file);
+    } catch (error) {
+        console.warn('Failed to parse uploaded palette file:', error);
+        alert(`Invalid palette file: ${error.message}`);
+        return;
+    }
+    if (uploadedPalette.colors.length > PaletteConstants.MAX_COLORS_PER_PALETTE) {
+        alert(`Palette has ${uploadedPalette.colors.length} colors; the maximum is ${PaletteConstants.MAX_COLORS_PER_PALETTE}.`);
+        return;
     }
+
+    const addedIndex = addUploadedPalette(uploadedPalette);
+    if (addedIndex === undefined) return;
+
+    updateSelectors();
+
+    document.getElementById('custom-palette-selector').value = addedIndex;
+    document.getElementById('default-palette-selector').value = 'none';
+    activePalette = [...customPalettes[addedIndex].colors];
+    document.getElementById('palette-name-input').value = customPalettes[addedIndex].name;
+    updateColorList();
+
+    alert(`Palette "${uploadedPalette.name}" successfully uploaded and selected!`);
 });
 
+/**
+ * Read an uploaded palette file in any of PALETTE_FORMATS.
+ * 
+ * PNG swatch strips are decoded like any other image; other files are
+ * parsed from their bytes, as JSON when the extension is unknown.
+ * Formats that store no name are named after the file.
+ * 
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} Palette with name, author and '#rrggbb' colors
+ * @throws {Error} If the file cannot be read as a palette
+ */
+async function readPaletteFile(file) {
+    const format = getPaletteFormat(file.name) || 'json';
+    const palette = format === 'png'
+        ? { name: null, author: null, colors: paletteFromSwatchImage(readImagePixels(await loadOriginalImage(file))) }
+        : parsePaletteFile(await file.arrayBuffer(), format);
+    if (palette.colors.length === 0) {
+        throw new Error('Palette file has no colors.');
+    }
+
+    return {
+        name: palette.name || file.name.replace(/\.[^.]+$/, ''),
+        author: palette.author,
+        colors: palette.colors.map(rgbToHex)
+    };
+}
+
 /**
  * Add an uploaded palette to the custom palettes collection.
  * 
@@ -425,6 +548,7 @@ paletteFileInput.addEventListener('change', (event) => {
  * suffix to create a unique name (e.g., "MyPalette-1").
  * 
  * @param {Object} palette - Palette object with name, colors, and optional author
+ *        (see readPaletteFile)
  * @returns {number} Index of the added palette in customPalettes array
  */
 function addUploadedPalette(palette) {
@@ -456,7 +580,18 @@ function addUploadedPalette(palette) {
 
 const downloadPaletteButton = document.getElementById('download-palette-button');
 
-downloadPaletteButton.addEventListener('click', () => {
+// Export format, created here like the extract controls below
+const paletteFormatSelector = document.createElement('select');
+paletteFormatSelector.id = 'palette-format-selector';
+Object.entries(PALETTE_FORMATS).forEach(([format, { label }]) => {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    paletteFormatSelector.appendChild(option);
+});
+downloadPaletteButton.after(paletteFormatSelector);
+
+downloadPaletteButton.addEventListener('click', async () => {
     const paletteName = document.getElementById('palette-name-input').value.trim();
     if (paletteName === '') {
         alert('Please enter a palette name before downloading.');
@@ -469,14 +604,461 @@ downloadPaletteButton.addEventListener('click', () => {
         return;
     }
 
-    const paletteJson = JSON.stringify(selectedPalette, null, 2);
-    const blob = new Blob([paletteJson], { type: 'application/json' });
+    const format = paletteFormatSelector.value;
+    let bytes;
+    try {
+        bytes = await encodePaletteFile(selectedPalette, format);
+    } catch (error) {
+        alert(`Could not export the palette: ${error.message}`);
+        return;
+    }
+
+    const blob = new Blob([bytes], { type: PALETTE_FORMATS[format].mimeType });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
-    link.download = `${paletteName}.json`;
+    link.download = `${paletteName}${PALETTE_FORMATS[format].extension}`;
     link.click();
 });
 
+/**
+ * Extract a palette from an image and load it into the editor.
+ * 
+ * The markup in index.html predates this action, so the button, method
+ * selector and file input are created here next to the upload button.
+ * The extracted colors replace activePalette without being saved, so
+ * they can be tweaked and then stored with the regular save button.
+ */
+const extractPaletteMethodSelector = document.createElement('select');
+extractPaletteMethodSelector.id = 'extract-palette-method';
+PALETTE_EXTRACTION_METHODS.forEach(method => {
+    const option = document.createElement('option');
+    option.value = method;
+    option.textContent = method;
+    extractPaletteMethodSelector.appendChild(option);
+});
+
+const extractPaletteButton = document.createElement('button');
+extractPaletteButton.id = 'extract-palette-button';
+extractPaletteButton.className = uploadPaletteButton.className;
+extractPaletteButton.textContent = 'Extract from image';
+
+const extractImageInput = document.createElement('input');
+extractImageInput.type = 'file';
+extractImageInput.accept = 'image/*';
+extractImageInput.style.display = 'none';
+
+uploadPaletteButton.after(extractPaletteButton, extractPaletteMethodSelector, extractImageInput);
+
+extractPaletteButton.addEventListener('click', () => extractImageInput.click());
+
+extractImageInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    extractImageInput.value = '';
+    if (!file) return;
+
+    const requested = prompt(
+        `How many colors should be extracted? (1-${PaletteConstants.MAX_COLORS_PER_PALETTE})`,
+        PaletteConstants.DEFAULT_EXTRACT_COLORS
+    );
+    if (requested === null) return;
+    const colorCount = parseInt(requested, 10);
+    if (!Number.isInteger(colorCount) || colorCount < 1 || colorCount > PaletteConstants.MAX_COLORS_PER_PALETTE) {
+        alert(`Please enter a number between 1 and ${PaletteConstants.MAX_COLORS_PER_PALETTE}.`);
+        return;
+    }
+
+    try {
+        const image = await loadOriginalImage(file);
+        const colors = extractPalette(readImagePixels(image), {
+            colors: colorCount,
+            method: extractPaletteMethodSelector.value
+        });
+
+        activePalette = colors.map(rgbToHex);
+        document.getElementById('palette-name-input').value = file.name.replace(/\.[^.]+$/, '');
+        document.getElementById('default-palette-selector').value = 'none';
+        document.getElementById('custom-palette-selector').value = 'none';
+        updateColorList();
+    } catch (error) {
+        console.warn('Failed to extract palette from image:', error);
+        alert('Could not extract a palette from that image.');
+    }
+});
+
+/**
+ * Palette editing tools for activePalette.
+ * 
+ * Created here for the same reason as the extract button. Swatches are
+ * selected with Ctrl/Cmd-click (toggle) or Shift-click (range) and
+ * reordered by dragging; the tools below sort the palette, drop near-
+ * duplicates, insert a ramp between two selected swatches and delete or
+ * shift the selection. None of them grows the palette past
+ * MAX_COLORS_PER_PALETTE.
+ */
+const paletteToolsPanel = document.createElement('div');
+paletteToolsPanel.id = 'palette-tools';
+paletteToolsPanel.className = 'palette-tools';
+
+const paletteToolsTitle = document.createElement('h4');
+paletteToolsTitle.textContent = 'Edit palette';
+paletteToolsPanel.appendChild(paletteToolsTitle);
+
+/**
+ * Create a button for the palette tools, styled like the upload button.
+ * 
+ * @param {string} id - Element id
+ * @param {string} text - Button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createPaletteToolButton(id, text, onClick) {
+    const button = document.createElement('button');
+    button.id = id;
+    button.className = uploadPaletteButton.className;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Create a number input for the palette tools.
+ * 
+ * @param {string} id - Element id
+ * @param {string} title - Tooltip describing the value
+ * @param {{min: number, max: number, step: number}} range - Allowed values
+ * @param {number} value - Initial value
+ * @returns {HTMLInputElement} The input
+ */
+function createPaletteToolInput(id, title, range, value) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.title = title;
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+    input.value = value;
+    return input;
+}
+
+/**
+ * Add a row of controls to the palette tools panel.
+ * 
+ * @param {...HTMLElement} controls - Controls in display order
+ */
+function addPaletteToolRow(...controls) {
+    const row = document.createElement('div');
+    row.className = 'palette-tool-row';
+    row.append(...controls);
+    paletteToolsPanel.appendChild(row);
+}
+
+/**
+ * Read a number input, clamped to its min and max.
+ * 
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number} The value, or NaN if it is not a number
+ */
+function readPaletteToolInput(input) {
+    const value = Number(input.value);
+    return Math.min(Number(input.max), Math.max(Number(input.min), value));
+}
+
+/**
+ * Hue (degrees), saturation and value (0-1) of an RGB color.
+ * 
+ * @param {Array<number>} color - RGB color [r, g, b] (0-255)
+ * @returns {{hue: number, saturation: number, value: number}} HSV color
+ */
+function rgbToHsv([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const chroma = max - Math.min(r, g, b);
+    let hue = 0;
+    if (chroma > 0) {
+        if (max === r) hue = ((g - b) / chroma + 6) % 6;
+        else if (max === g) hue = (b - r) / chroma + 2;
+        else hue = (r - g) / chroma + 4;
+    }
+    return { hue: hue * 60, saturation: max === 0 ? 0 : chroma / max, value: max / 255 };
+}
+
+/**
+ * Sort keys for the sort tool, ascending. Grays have no hue and sort
+ * before every hue; ties are broken by luminance.
+ */
+const PALETTE_SORT_KEYS = {
+    hue: (rgb) => {
+        const { hue, saturation } = rgbToHsv(rgb);
+        return saturation === 0 ? -1 : hue;
+    },
+    luminance: ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b,
+    saturation: (rgb) => rgbToHsv(rgb).saturation
+};
+
+/**
+ * Sort colors by one of PALETTE_SORT_KEYS.
+ * 
+ * @param {Array<string>} colors - '#rrggbb' colors
+ * @param {string} key - Key in PALETTE_SORT_KEYS
+ * @returns {Array<string>} Sorted copy
+ */
+function sortPaletteColors(colors, key) {
+    const keyOf = PALETTE_SORT_KEYS[key];
+    const luminanceOf = PALETTE_SORT_KEYS.luminance;
+    return colors
+        .map(color => ({ color, rgb: hexToRgb(color) }))
+        .map(entry => ({ ...entry, key: keyOf(entry.rgb), luminance: luminanceOf(entry.rgb) }))
+        .sort((a, b) => a.key - b.key || a.luminance - b.luminance)
+        .map(entry => entry.color);
+}
+
+/**
+ * Remove colors within a CIEDE2000 distance of an earlier color.
+ * 
+ * The first of each group of near-duplicates is kept, so the palette
+ * order is preserved. A threshold of 0 only removes exact duplicates.
+ * 
+ * @param {Array<string>} colors - '#rrggbb' colors
+ * @param {number} threshold - Largest Delta E 2000 still treated as a duplicate
+ * @returns {Array<string>} Colors without duplicates
+ */
+function removeDuplicateColors(colors, threshold) {
+    const kept = [];
+    const keptLab = [];
+    colors.forEach(color => {
+        const lab = rgbToLab(hexToRgb(color));
+        if (keptLab.some(other => ciede2000Distance(lab, other) <= threshold)) return;
+        kept.push(color);
+        keptLab.push(lab);
+    });
+    return kept;
+}
+
+/**
+ * Colors strictly between two colors, evenly spaced in CIELAB.
+ * 
+ * @param {string} from - '#rrggbb' start color
+ * @param {string} to - '#rrggbb' end color
+ * @param {number} steps - Number of colors to create
+ * @returns {Array<string>} '#rrggbb' colors, from the start toward the end
+ */
+function interpolateColorRamp(from, to, steps) {
+    const start = rgbToLab(hexToRgb(from));
+    const end = rgbToLab(hexToRgb(to));
+    return Array.from({ length: steps }, (_, step) => {
+        const t = (step + 1) / (steps + 1);
+        return rgbToHex(labToRgb(start.map((value, channel) => value + (end[channel] - value) * t)));
+    });
+}
+
+/**
+ * Run the selected colors through applyAdjustments() from
+ * image-to-pixel.js, so a shift matches the adjustment slider of the
+ * same name.
+ * 
+ * @param {Object} adjustments - Adjustment values by name (see ADJUSTMENTS)
+ */
+function adjustSelectedColors(adjustments) {
+    const indices = [...selectedColorIndices];
+    const image = { data: new Uint8ClampedArray(indices.length * 4), width: indices.length, height: 1 };
+    indices.forEach((index, i) => image.data.set([...hexToRgb(activePalette[index]), 255], i * 4));
+
+    applyAdjustments(image, adjustments);
+
+    indices.forEach((index, i) => {
+        activePalette[index] = rgbToHex(Array.from(image.data.subarray(i * 4, i * 4 + 3)));
+    });
+    updateColorList(true);
+}
+
+const paletteSortSelector = document.createElement('select');
+paletteSortSelector.id = 'palette-sort-selector';
+Object.keys(PALETTE_SORT_KEYS).forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = key;
+    paletteSortSelector.appendChild(option);
+});
+
+addPaletteToolRow(paletteSortSelector, createPaletteToolButton('sort-palette-button', 'Sort', () => {
+    activePalette = sortPaletteColors(activePalette, paletteSortSelector.value);
+    updateColorList();
+}));
+
+const duplicateThresholdInput = createPaletteToolInput(
+    'duplicate-threshold-input', 'Largest Delta E 2000 difference treated as a duplicate',
+    { min: 0, max: 100, step: 0.1 }, PaletteConstants.DEFAULT_DUPLICATE_THRESHOLD
+);
+
+addPaletteToolRow(duplicateThresholdInput, createPaletteToolButton('remove-duplicates-button', 'Remove duplicates', () => {
+    const threshold = readPaletteToolInput(duplicateThresholdInput);
+    if (Number.isNaN(threshold)) {
+        alert('Please enter a Delta E threshold between 0 and 100.');
+        return;
+    }
+    activePalette = removeDuplicateColors(activePalette, threshold);
+    updateColorList();
+}));
+
+const rampStepsInput = createPaletteToolInput(
+    'ramp-steps-input', 'Colors to insert between the two selected swatches',
+    { min: 1, max: PaletteConstants.MAX_COLORS_PER_PALETTE, step: 1 }, PaletteConstants.DEFAULT_RAMP_STEPS
+);
+
+addPaletteToolRow(rampStepsInput, createPaletteToolButton('insert-ramp-button', 'Insert ramp', () => {
+    if (selectedColorIndices.size !== 2) {
+        alert('Select exactly two swatches (Ctrl/Cmd-click) to insert a ramp between them.');
+        return;
+    }
+    const steps = Number(rampStepsInput.value);
+    const room = PaletteConstants.MAX_COLORS_PER_PALETTE - activePalette.length;
+    if (!Number.isInteger(steps) || steps < 1 || steps > room) {
+        alert(room > 0
+            ? `Please enter a number of steps between 1 and ${room}; the maximum is ${PaletteConstants.MAX_COLORS_PER_PALETTE} colors per palette.`
+            : `Maximum ${PaletteConstants.MAX_COLORS_PER_PALETTE} colors per palette`);
+        return;
+    }
+
+    // The ramp goes right after the first swatch and runs toward the second
+    const [first, second] = [...selectedColorIndices].sort((a, b) => a - b);
+    activePalette.splice(first + 1, 0, ...interpolateColorRamp(activePalette[first], activePalette[second], steps));
+    updateColorList();
+}));
+
+const hueShiftInput = createPaletteToolInput('hue-shift-input', 'Degrees to rotate the hue by', ADJUSTMENTS.hue, PaletteConstants.DEFAULT_HUE_SHIFT);
+const brightnessShiftInput = createPaletteToolInput(
+    'brightness-shift-input', 'Brightness change in percent', ADJUSTMENTS.brightness, PaletteConstants.DEFAULT_BRIGHTNESS_SHIFT
+);
+
+/**
+ * Shift the selected colors by one adjustment read from an input.
+ * 
+ * @param {string} name - Key in ADJUSTMENTS
+ * @param {HTMLInputElement} input - Input holding the amount
+ */
+function shiftSelectedColors(name, input) {
+    if (selectedColorIndices.size === 0) {
+        alert('Select one or more swatches (Ctrl/Cmd-click) first.');
+        return;
+    }
+    const amount = readPaletteToolInput(input);
+    if (Number.isNaN(amount)) {
+        alert(`Please enter a number between ${ADJUSTMENTS[name].min} and ${ADJUSTMENTS[name].max}.`);
+        return;
+    }
+    adjustSelectedColors({ [name]: amount });
+}
+
+addPaletteToolRow(hueShiftInput, createPaletteToolButton('shift-hue-button', 'Shift hue', () => shiftSelectedColors('hue', hueShiftInput)));
+addPaletteToolRow(brightnessShiftInput, createPaletteToolButton(
+    'shift-brightness-button', 'Shift brightness', () => shiftSelectedColors('brightness', brightnessShiftInput)
+));
+
+addPaletteToolRow(
+    createPaletteToolButton('select-all-colors-button', 'Select all', () => {
+        activePalette.forEach((_, index) => selectedColorIndices.add(index));
+        updateSelectionHighlight();
+    }),
+    createPaletteToolButton('clear-selection-button', 'Clear selection', () => {
+        selectedColorIndices.clear();
+        updateSelectionHighlight();
+    }),
+    createPaletteToolButton('delete-selected-colors-button', 'Delete selected', () => {
+        if (selectedColorIndices.size === 0) {
+            alert('Select one or more swatches (Ctrl/Cmd-click) first.');
+            return;
+        }
+        activePalette = activePalette.filter((_, index) => !selectedColorIndices.has(index));
+        updateColorList();
+    })
+);
+
+document.getElementById('selected-colors').after(paletteToolsPanel);
+
+/**
+ * Adjustment sliders, one per entry of ADJUSTMENTS.
+ * 
+ * Created here for the same reason as the extract button. Each slider
+ * updates activeAdjustments and goes through requestAutoPixelation(), so
+ * dragging re-renders live when auto-pixelation is on and every stale
+ * render is cancelled.
+ */
+const adjustmentsPanel = document.createElement('div');
+adjustmentsPanel.id = 'adjustments-panel';
+adjustmentsPanel.className = 'adjustments-panel';
+
+const adjustmentsTitle = document.createElement('h4');
+adjustmentsTitle.textContent = 'Adjustments';
+adjustmentsPanel.appendChild(adjustmentsTitle);
+
+const adjustmentSliders = {};
+
+/**
+ * Set one adjustment from its slider and show the value.
+ * 
+ * @param {string} name - Key in ADJUSTMENTS
+ * @param {number} value - New value
+ */
+function setAdjustment(name, value) {
+    const slider = adjustmentSliders[name];
+    slider.value = value;
+    slider.nextElementSibling.textContent = value;
+    if (value === ADJUSTMENTS[name].default) {
+        delete activeAdjustments[name];
+    } else {
+        activeAdjustments[name] = value;
+    }
+}
+
+Object.entries(ADJUSTMENTS).forEach(([name, range]) => {
+    const row = document.createElement('label');
+    row.className = 'adjustment-row';
+
+    const label = document.createElement('span');
+    label.className = 'adjustment-label';
+    label.textContent = name.replace(/[A-Z]/g, letter => ' ' + letter.toLowerCase()).replace(/^./, letter => letter.toUpperCase());
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+    slider.value = range.default;
+
+    const output = document.createElement('span');
+    output.className = 'adjustment-value';
+    output.textContent = range.default;
+
+    row.append(label, slider, output);
+    adjustmentsPanel.appendChild(row);
+    adjustmentSliders[name] = slider;
+
+    slider.addEventListener('input', () => {
+        const value = Number(slider.value);
+        setAdjustment(name, value);
+
+        // Keep the levels from crossing, which pixelate() would reject
+        if (name === 'blackPoint' && value >= Number(adjustmentSliders.whitePoint.value)) {
+            setAdjustment('whitePoint', value + 1);
+        } else if (name === 'whitePoint' && value <= Number(adjustmentSliders.blackPoint.value)) {
+            setAdjustment('blackPoint', value - 1);
+        }
+        requestAutoPixelation();
+    });
+});
+
+const resetAdjustmentsButton = document.createElement('button');
+resetAdjustmentsButton.id = 'reset-adjustments-button';
+resetAdjustmentsButton.className = uploadPaletteButton.className;
+resetAdjustmentsButton.textContent = 'Reset adjustments';
+resetAdjustmentsButton.addEventListener('click', () => {
+    Object.keys(ADJUSTMENTS).forEach(name => setAdjustment(name, ADJUSTMENTS[name].default));
+    requestAutoPixelation();
+});
+adjustmentsPanel.appendChild(resetAdjustmentsButton);
+
+(document.getElementById('dither-selector') || document.getElementById('selected-colors')).after(adjustmentsPanel);
+
 /**
  * Update palette dropdown selectors with current palette lists.
  * 
@@ -547,6 +1129,36 @@ function loadPalettes() {
     }
 }
 
+/**
+ * Populate the dither dropdown from the dithering registry.
+ * 
+ * Lists every method registered with registerDither() in image-to-pixel.js,
+ * so custom algorithms show up without editing the page. The current
+ * selection is kept when it is still registered.
+ */
+function updateDitherSelector() {
+    const ditherSelector = document.getElementById('dither-selector');
+    if (!ditherSelector) return;
+
+    const selected = ditherSelector.value.toLowerCase();
+    ditherSelector.innerHTML = '';
+
+    listDithers().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        ditherSelector.appendChild(option);
+    });
+
+    if (listDithers().includes(selected)) {
+        ditherSelector.value = selected;
+    }
+}
+
+// Methods registered after page load (e.g. from a user script) appear immediately
+window.addEventListener('ditherregistered', updateDitherSelector);
+
 updateSelectors();
+updateDitherSelector();
 document.getElementById('default-palette-selector').value = 0;
 updateColorList();
\ No newline at end of file